@@ -0,0 +1,341 @@
+// Audio codec layer: G.711 μ-law/A-law, RIFF WAV parsing and writing, and
+// sample rate conversion between the telephony (8kHz), STT (16kHz) and
+// TTS (24kHz) rates used by the translation pipeline.
+
+// ---------------------------------------------------------------------------
+// G.711
+// ---------------------------------------------------------------------------
+
+// Reference G.711 quantisers (as in the ITU-T G.191 / Sun reference code).
+// They are only used to fill the lookup tables below.
+const MULAW_SEGMENT_ENDS = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const ALAW_SEGMENT_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function findSegment(value, segmentEnds) {
+    const segment = segmentEnds.findIndex(end => value <= end);
+    return segment === -1 ? 8 : segment;
+}
+
+function quantizeMulaw(sample) {
+    // μ-law operates on 14-bit input
+    let value = sample >> 2;
+    let mask = 0xFF;
+    if (value < 0) {
+        value = -value;
+        mask = 0x7F;
+    }
+    if (value > 8159) value = 8159;
+    value += 0x21;
+
+    const segment = findSegment(value, MULAW_SEGMENT_ENDS);
+    if (segment >= 8) return 0x7F ^ mask;
+    return ((segment << 4) | ((value >> (segment + 1)) & 0x0F)) ^ mask;
+}
+
+function quantizeAlaw(sample) {
+    // A-law operates on 13-bit input
+    let value = sample >> 3;
+    let mask = 0xD5;
+    if (value < 0) {
+        value = -value - 1;
+        mask = 0x55;
+    }
+
+    const segment = findSegment(value, ALAW_SEGMENT_ENDS);
+    if (segment >= 8) return 0x7F ^ mask;
+    const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+const MULAW_DECODE_TABLE = new Int16Array(256);
+const ALAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+    const ulaw = ~i & 0xFF;
+    const ulawMagnitude = ((((ulaw & 0x0F) << 3) + 0x84) << ((ulaw & 0x70) >> 4)) - 0x84;
+    MULAW_DECODE_TABLE[i] = ulaw & 0x80 ? -ulawMagnitude : ulawMagnitude;
+
+    const alaw = i ^ 0x55;
+    const alawSegment = (alaw & 0x70) >> 4;
+    let alawMagnitude = (alaw & 0x0F) << 4;
+    if (alawSegment === 0) {
+        alawMagnitude += 8;
+    } else {
+        alawMagnitude = (alawMagnitude + 0x108) << (alawSegment - 1);
+    }
+    ALAW_DECODE_TABLE[i] = alaw & 0x80 ? alawMagnitude : -alawMagnitude;
+}
+
+// Encode tables indexed by the 16-bit sample's two's complement bit pattern
+const MULAW_ENCODE_TABLE = new Uint8Array(65536);
+const ALAW_ENCODE_TABLE = new Uint8Array(65536);
+for (let sample = -32768; sample < 32768; sample++) {
+    MULAW_ENCODE_TABLE[sample & 0xFFFF] = quantizeMulaw(sample);
+    ALAW_ENCODE_TABLE[sample & 0xFFFF] = quantizeAlaw(sample);
+}
+
+export function decodeMulawSample(byte) {
+    return MULAW_DECODE_TABLE[byte & 0xFF];
+}
+
+export function encodeMulawSample(sample) {
+    return MULAW_ENCODE_TABLE[sample & 0xFFFF];
+}
+
+export function decodeAlawSample(byte) {
+    return ALAW_DECODE_TABLE[byte & 0xFF];
+}
+
+export function encodeAlawSample(sample) {
+    return ALAW_ENCODE_TABLE[sample & 0xFFFF];
+}
+
+export function decodeMulaw(buffer) {
+    const samples = new Int16Array(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+        samples[i] = MULAW_DECODE_TABLE[buffer[i]];
+    }
+    return samples;
+}
+
+export function encodeMulaw(samples) {
+    const buffer = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        buffer[i] = MULAW_ENCODE_TABLE[samples[i] & 0xFFFF];
+    }
+    return buffer;
+}
+
+export function decodeAlaw(buffer) {
+    const samples = new Int16Array(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+        samples[i] = ALAW_DECODE_TABLE[buffer[i]];
+    }
+    return samples;
+}
+
+export function encodeAlaw(samples) {
+    const buffer = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        buffer[i] = ALAW_ENCODE_TABLE[samples[i] & 0xFFFF];
+    }
+    return buffer;
+}
+
+// ---------------------------------------------------------------------------
+// RIFF WAV
+// ---------------------------------------------------------------------------
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_ALAW = 6;
+const WAV_FORMAT_MULAW = 7;
+const WAV_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Parse a RIFF WAV file into mono 16-bit samples.
+// Streaming encoders (including OpenAI TTS) write placeholder chunk sizes,
+// so a data chunk that claims to run past the end of the buffer is clamped.
+export function parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF WAVE file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const bodyStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = buffer.readUInt16LE(bodyStart);
+            if (audioFormat === WAV_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+                // The first two bytes of the SubFormat GUID carry the real format
+                audioFormat = buffer.readUInt16LE(bodyStart + 24);
+            }
+            format = {
+                audioFormat,
+                channels: buffer.readUInt16LE(bodyStart + 2),
+                sampleRate: buffer.readUInt32LE(bodyStart + 4),
+                bitsPerSample: buffer.readUInt16LE(bodyStart + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            const dataEnd = Math.min(bodyStart + chunkSize, buffer.length);
+            const samples = decodeWavData(buffer.subarray(bodyStart, dataEnd), format);
+            return {
+                sampleRate: format.sampleRate,
+                channels: 1,
+                sourceChannels: format.channels,
+                samples
+            };
+        }
+
+        // Chunks are padded to an even length
+        offset = bodyStart + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+function decodeWavData(data, format) {
+    const { audioFormat, channels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+    const samples = new Int16Array(frameCount);
+
+    let readSample;
+    if (audioFormat === WAV_FORMAT_PCM && bitsPerSample === 16) {
+        readSample = (pos) => data.readInt16LE(pos);
+    } else if (audioFormat === WAV_FORMAT_PCM && bitsPerSample === 8) {
+        readSample = (pos) => (data[pos] - 128) << 8;
+    } else if (audioFormat === WAV_FORMAT_PCM && bitsPerSample === 24) {
+        readSample = (pos) => data.readIntLE(pos, 3) >> 8;
+    } else if (audioFormat === WAV_FORMAT_PCM && bitsPerSample === 32) {
+        readSample = (pos) => data.readInt32LE(pos) >> 16;
+    } else if (audioFormat === WAV_FORMAT_FLOAT && bitsPerSample === 32) {
+        readSample = (pos) => clampSample(data.readFloatLE(pos) * 32767);
+    } else if (audioFormat === WAV_FORMAT_MULAW && bitsPerSample === 8) {
+        readSample = (pos) => MULAW_DECODE_TABLE[data[pos]];
+    } else if (audioFormat === WAV_FORMAT_ALAW && bitsPerSample === 8) {
+        readSample = (pos) => ALAW_DECODE_TABLE[data[pos]];
+    } else {
+        throw new Error(`Unsupported WAV encoding: format ${audioFormat}, ${bitsPerSample} bits`);
+    }
+
+    // Downmix to mono by averaging channels
+    for (let frame = 0; frame < frameCount; frame++) {
+        const frameStart = frame * bytesPerSample * channels;
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += readSample(frameStart + channel * bytesPerSample);
+        }
+        samples[frame] = clampSample(sum / channels);
+    }
+
+    return samples;
+}
+
+// Write mono 16-bit PCM samples as a RIFF WAV file
+export function encodeWav(samples, sampleRate) {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(WAV_FORMAT_PCM, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(samples[i], 44 + i * 2);
+    }
+
+    return buffer;
+}
+
+// ---------------------------------------------------------------------------
+// Resampling
+// ---------------------------------------------------------------------------
+
+const RESAMPLER_ZERO_CROSSINGS = 16;
+const filterBankCache = new Map();
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+// Blackman-windowed sinc low-pass, split into one polyphase branch per
+// output phase. The cutoff sits just below the lower of the two Nyquist
+// frequencies so downsampling does not alias and upsampling does not image.
+function getFilterBank(inputRate, outputRate) {
+    const key = `${inputRate}:${outputRate}`;
+    if (filterBankCache.has(key)) {
+        return filterBankCache.get(key);
+    }
+
+    const divisor = gcd(inputRate, outputRate);
+    const up = outputRate / divisor;
+    const down = inputRate / divisor;
+    const cutoff = 0.95 * Math.min(1, outputRate / inputRate); // Relative to input Nyquist
+    const halfTaps = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff);
+
+    const phases = [];
+    for (let phase = 0; phase < up; phase++) {
+        const fraction = phase / up;
+        const taps = new Float64Array(halfTaps * 2);
+        let sum = 0;
+        for (let k = 0; k < taps.length; k++) {
+            // Distance from the output instant to input sample (n - halfTaps + 1 + k)
+            const x = k - halfTaps + 1 - fraction;
+            const window = 0.42 + 0.5 * Math.cos(Math.PI * x / halfTaps) + 0.08 * Math.cos(2 * Math.PI * x / halfTaps);
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+            taps[k] = Math.abs(x) < halfTaps ? sinc * window : 0;
+            sum += taps[k];
+        }
+        // Normalise each branch to unity gain at DC
+        for (let k = 0; k < taps.length; k++) {
+            taps[k] /= sum;
+        }
+        phases.push(taps);
+    }
+
+    const bank = { up, down, halfTaps, phases };
+    filterBankCache.set(key, bank);
+    return bank;
+}
+
+// Convert 16-bit samples between sample rates
+export function resample(samples, inputRate, outputRate) {
+    if (inputRate === outputRate) {
+        return Int16Array.from(samples);
+    }
+
+    const { up, down, halfTaps, phases } = getFilterBank(inputRate, outputRate);
+    const outputLength = Math.floor(samples.length * up / down);
+    const output = new Int16Array(outputLength);
+
+    for (let i = 0; i < outputLength; i++) {
+        const position = i * down;
+        const base = Math.floor(position / up);
+        const taps = phases[position % up];
+        const first = base - halfTaps + 1;
+
+        let acc = 0;
+        for (let k = 0; k < taps.length; k++) {
+            const index = first + k;
+            if (index >= 0 && index < samples.length) {
+                acc += samples[index] * taps[k];
+            }
+        }
+        output[i] = clampSample(acc);
+    }
+
+    return output;
+}
+
+function clampSample(value) {
+    const rounded = Math.round(value);
+    return rounded > 32767 ? 32767 : rounded < -32768 ? -32768 : rounded;
+}
+
+// Scale 16-bit samples in place by a linear gain, clipping at full scale
+export function applyGain(samples, gain) {
+    if (gain === 1) {
+        return samples;
+    }
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = clampSample(samples[i] * gain);
+    }
+    return samples;
+}
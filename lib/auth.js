@@ -0,0 +1,271 @@
+// Authentication and authorization for the REST API, the token endpoint and
+// browser WebSockets.
+//
+// Users live in a JSON file (AUTH_USERS_FILE, default data/users.json):
+//   { "users": [ { "id", "username", "role", "passwordHash", "apiKeys": [] } ] }
+// `role` is 'agent' or 'admin'. Passwords are stored as scrypt hashes and API
+// keys as SHA-256 digests; scripts/manage-users.js creates both.
+//
+// Browsers log in with a password and receive a signed, HttpOnly cookie.
+// Programmatic clients send an API key as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`. Setting AUTH_DISABLED=true turns every request into an
+// anonymous admin, for local development only. Scrapers of /metrics may
+// instead send the shared METRICS_TOKEN as a bearer token.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const ROLES = ['agent', 'admin'];
+
+const AUTH_COOKIE = 'relay_auth';
+const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60;
+const USERS_RELOAD_INTERVAL_MS = 5000;
+const ANONYMOUS_ADMIN = { id: 'anonymous', username: 'anonymous', role: 'admin' };
+
+let generatedSecret = null;
+let usersCache = { loadedAt: 0, mtimeMs: null, users: [] };
+
+export function getUsersFilePath() {
+    return path.resolve(process.env.AUTH_USERS_FILE || 'data/users.json');
+}
+
+export function isAuthDisabled() {
+    return process.env.AUTH_DISABLED === 'true';
+}
+
+function getSecret() {
+    if (process.env.AUTH_SECRET) {
+        return process.env.AUTH_SECRET;
+    }
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('AUTH_SECRET is not set; browser logins will be lost on restart');
+    }
+    return generatedSecret;
+}
+
+// ---------------------------------------------------------------------------
+// Credentials
+// ---------------------------------------------------------------------------
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 32);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+export function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+export function generateApiKey() {
+    return `trk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// ---------------------------------------------------------------------------
+// User directory
+// ---------------------------------------------------------------------------
+
+export function readUsersFile(filePath = getUsersFilePath()) {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data.users) ? data.users : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+export function writeUsersFile(users, filePath = getUsersFilePath()) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Re-read the users file when it changes, checking at most every few seconds
+function getUsers() {
+    const now = Date.now();
+    if (now - usersCache.loadedAt < USERS_RELOAD_INTERVAL_MS) {
+        return usersCache.users;
+    }
+
+    const filePath = getUsersFilePath();
+    let mtimeMs = null;
+    try {
+        mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+        // Missing file means no users
+    }
+
+    if (mtimeMs !== usersCache.mtimeMs) {
+        try {
+            usersCache.users = readUsersFile(filePath);
+            if (usersCache.users.length === 0 && !isAuthDisabled()) {
+                logger.warn('No users configured; create one with scripts/manage-users.js', { path: filePath });
+            }
+        } catch (error) {
+            logger.error('Failed to read users file', { path: filePath, error });
+        }
+        usersCache.mtimeMs = mtimeMs;
+    }
+    usersCache.loadedAt = now;
+    return usersCache.users;
+}
+
+// The subset of a user that is safe to attach to requests and return to clients
+function publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role };
+}
+
+export function authenticatePassword(username, password) {
+    const user = getUsers().find(candidate => candidate.username === username);
+    if (!user || !password || !verifyPassword(password, user.passwordHash)) {
+        return null;
+    }
+    return publicUser(user);
+}
+
+function authenticateApiKey(apiKey) {
+    const digest = hashApiKey(apiKey);
+    const user = getUsers().find(candidate => (candidate.apiKeys || []).includes(digest));
+    return user ? publicUser(user) : null;
+}
+
+function findUserById(userId) {
+    const user = getUsers().find(candidate => candidate.id === userId);
+    return user ? publicUser(user) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Browser login cookies
+// ---------------------------------------------------------------------------
+
+function signToken(payload) {
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+    return `${encodedPayload}.${signature}`;
+}
+
+function verifyToken(token) {
+    const [encodedPayload, signature] = String(token || '').split('.');
+    if (!encodedPayload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        return payload.exp > Date.now() ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The login token from a Cookie header. Other cookies are not ours to decode,
+// and a login cookie that is not valid percent-encoding counts as no login.
+function getLoginToken(header) {
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === AUTH_COOKIE) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+function isSecureRequest(req) {
+    return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+export function setLoginCookie(req, res, user) {
+    const ttlSeconds = Number(process.env.AUTH_SESSION_TTL_SECONDS) || DEFAULT_SESSION_TTL_SECONDS;
+    const token = signToken({ uid: user.id, exp: Date.now() + ttlSeconds * 1000 });
+    res.cookie(AUTH_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: isSecureRequest(req),
+        maxAge: ttlSeconds * 1000,
+        path: '/'
+    });
+}
+
+export function clearLoginCookie(res) {
+    res.clearCookie(AUTH_COOKIE, { path: '/' });
+}
+
+// ---------------------------------------------------------------------------
+// Request authentication
+// ---------------------------------------------------------------------------
+
+// Resolve the user behind an Express request or a raw WebSocket upgrade request
+export function authenticateRequest(req) {
+    if (isAuthDisabled()) {
+        return ANONYMOUS_ADMIN;
+    }
+
+    const authorization = req.headers.authorization || '';
+    const apiKey = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.headers['x-api-key'];
+    if (apiKey) {
+        return authenticateApiKey(apiKey);
+    }
+
+    const payload = verifyToken(getLoginToken(req.headers.cookie));
+    return payload ? findUserById(payload.uid) : null;
+}
+
+// Whether a request carries `token` as its bearer token, for endpoints that
+// accept a shared secret. Both sides are hashed so they compare in constant time.
+export function hasBearerToken(req, token) {
+    const authorization = req.headers.authorization || '';
+    if (!token || !authorization.startsWith('Bearer ')) {
+        return false;
+    }
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(authorization.slice(7).trim()).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Express middleware: reject unauthenticated requests, optionally limited to roles
+export function requireAuth(...roles) {
+    return (req, res, next) => {
+        const user = authenticateRequest(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (roles.length > 0 && !roles.includes(user.role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        req.user = user;
+        next();
+    };
+}
+
+// Agents see the sessions and glossaries they own; admins see everything
+export function canAccessRecord(user, record) {
+    return Boolean(user) && (user.role === 'admin' || record.ownerId === user.id);
+}
+
+export function canAccessSession(user, session) {
+    return canAccessRecord(user, session);
+}
@@ -0,0 +1,122 @@
+// Rolling dialogue context for translation.
+//
+// Translating one utterance at a time loses pronoun referents, gender
+// agreement and the meaning of short replies ("yes, the second one"). Each
+// session keeps a bounded history of recent turns, and older turns are folded
+// into a running summary so the context handed to the translator stays within
+// a token budget:
+//   session.dialogue = { summary, summarizedTurns, turns: [{ speaker, language, text, translations }] }
+import { getSpeakerLabel } from './transcript.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_CONTEXT_CONFIG = {
+    maxContextTokens: 600,    // budget for summary plus recent turns in a request
+    maxTurns: 12,             // turns kept verbatim before older ones are summarized
+    keepRecentTurns: 4,       // turns never folded into the summary
+    maxSummaryTokens: 200
+};
+
+// Compactions in progress, so a slow summarizer is never run twice at once
+const compacting = new WeakSet();
+
+// Rough token count (about four characters per token for Latin scripts)
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+export function createDialogueState() {
+    return { summary: '', summarizedTurns: 0, turns: [] };
+}
+
+function turnTokens(turn) {
+    return estimateTokens(turn.text) + Object.values(turn.translations).reduce((sum, text) => sum + estimateTokens(text), 0);
+}
+
+// Add a turn for an utterance; translations are filled in as they complete
+export function recordTurn(dialogue, { speaker, language, text }) {
+    const turn = { speaker, label: getSpeakerLabel(speaker), language, text, translations: {}, at: new Date().toISOString() };
+    dialogue.turns.push(turn);
+    return turn;
+}
+
+// The context for translating into `targetLanguage`: the summary plus as many
+// of the most recent turns as fit in the budget, oldest first
+export function getTranslationContext(dialogue, targetLanguage, config = DEFAULT_CONTEXT_CONFIG) {
+    if (!dialogue || (dialogue.turns.length === 0 && !dialogue.summary)) {
+        return null;
+    }
+
+    let budget = config.maxContextTokens - estimateTokens(dialogue.summary);
+    const turns = [];
+    for (let i = dialogue.turns.length - 1; i >= 0 && budget > 0; i--) {
+        const turn = dialogue.turns[i];
+        const entry = {
+            speaker: turn.label,
+            text: turn.text,
+            translation: turn.language === targetLanguage ? null : turn.translations[targetLanguage] || null
+        };
+        budget -= estimateTokens(entry.text) + estimateTokens(entry.translation);
+        if (budget < 0) {
+            break;
+        }
+        turns.unshift(entry);
+    }
+
+    return { summary: dialogue.summary, turns };
+}
+
+function needsCompaction(dialogue, config) {
+    const tokens = dialogue.turns.reduce((sum, turn) => sum + turnTokens(turn), estimateTokens(dialogue.summary));
+    return dialogue.turns.length > config.keepRecentTurns &&
+        (dialogue.turns.length > config.maxTurns || tokens > config.maxContextTokens);
+}
+
+// Fold older turns into the summary once the history outgrows its limits.
+// `summarize(previousSummary, turns, { maxTokens })` resolves to the new
+// summary; without one, or if it fails, the oldest turns are simply dropped.
+// Resolves to true when the dialogue changed.
+export async function compactDialogue(dialogue, summarize, config = DEFAULT_CONTEXT_CONFIG) {
+    if (!dialogue || compacting.has(dialogue) || !needsCompaction(dialogue, config)) {
+        return false;
+    }
+
+    compacting.add(dialogue);
+    try {
+        const folded = dialogue.turns.slice(0, dialogue.turns.length - config.keepRecentTurns);
+        let summary = dialogue.summary;
+        if (summarize) {
+            try {
+                summary = await summarize(dialogue.summary, folded.map(turn => ({ speaker: turn.label, text: turn.text })), {
+                    maxTokens: config.maxSummaryTokens
+                });
+            } catch (error) {
+                logger.error('Dialogue summarization failed; dropping older turns', { error });
+            }
+        }
+
+        // Turns added while summarizing stay in place
+        dialogue.turns.splice(0, folded.length);
+        dialogue.summary = String(summary || '').slice(0, config.maxSummaryTokens * 4);
+        dialogue.summarizedTurns += folded.length;
+        return true;
+    } finally {
+        compacting.delete(dialogue);
+    }
+}
+
+// Context rendered as prompt text, shared by providers that take a prompt
+export function describeContext(context) {
+    const lines = [];
+    if (context.summary) {
+        lines.push(`Summary of the earlier conversation: ${context.summary}`);
+    }
+    if (context.turns.length > 0) {
+        lines.push('Most recent turns:');
+        for (const turn of context.turns) {
+            lines.push(turn.translation
+                ? `${turn.speaker}: ${turn.text} (translated: ${turn.translation})`
+                : `${turn.speaker}: ${turn.text}`);
+        }
+    }
+    return lines.join('\n');
+}
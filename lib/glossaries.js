@@ -0,0 +1,177 @@
+// Glossaries: named term lists that keep product names, medication names and
+// account codes intact through translation.
+//
+// A glossary is
+//   { id, name, ownerId, terms: [{ from, to, source, target }], protectedTerms: [],
+//     createdAt, updatedAt }
+// `terms` map a source phrase to the required target phrase for one language
+// pair; `protectedTerms` must appear verbatim in every translation. Sessions
+// list the glossaries they use in `glossaryIds`.
+//
+// Glossaries are kept in a JSON file (GLOSSARY_FILE, default
+// data/glossaries.json) that is rewritten on every change.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const MAX_TERMS = 500;
+const MAX_TERM_LENGTH = 200;
+
+function cleanTerm(value, field) {
+    const term = typeof value === 'string' ? value.trim() : '';
+    if (!term || term.length > MAX_TERM_LENGTH) {
+        throw new Error(`${field} must be a non-empty string of at most ${MAX_TERM_LENGTH} characters`);
+    }
+    return term;
+}
+
+function cleanLanguage(value, field, isSupportedLanguage) {
+    if (!isSupportedLanguage(value)) {
+        throw new Error(`${field} must be a supported language code`);
+    }
+    return value;
+}
+
+// Validate user input, returning the fields that are stored. Throws on bad input.
+export function normalizeGlossaryInput(input, isSupportedLanguage = language => typeof language === 'string' && language.length > 0) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Glossary must be an object');
+    }
+
+    const name = cleanTerm(input.name, 'name');
+    const terms = input.terms ?? [];
+    const protectedTerms = input.protectedTerms ?? [];
+    if (!Array.isArray(terms) || !Array.isArray(protectedTerms)) {
+        throw new Error('terms and protectedTerms must be arrays');
+    }
+    if (terms.length + protectedTerms.length > MAX_TERMS) {
+        throw new Error(`A glossary may hold at most ${MAX_TERMS} terms`);
+    }
+
+    return {
+        name,
+        terms: terms.map((term, index) => ({
+            from: cleanLanguage(term?.from, `terms[${index}].from`, isSupportedLanguage),
+            to: cleanLanguage(term?.to, `terms[${index}].to`, isSupportedLanguage),
+            source: cleanTerm(term?.source, `terms[${index}].source`),
+            target: cleanTerm(term?.target, `terms[${index}].target`)
+        })),
+        protectedTerms: [...new Set(protectedTerms.map((term, index) => cleanTerm(term, `protectedTerms[${index}]`)))]
+    };
+}
+
+export function createGlossaryStore(filePath = path.resolve(process.env.GLOSSARY_FILE || 'data/glossaries.json')) {
+    const glossaries = new Map();
+
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const glossary of data.glossaries || []) {
+            glossaries.set(glossary.id, glossary);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Failed to read glossaries', { path: filePath, error });
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a torn file
+    function persist() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ glossaries: [...glossaries.values()] }, null, 2) + '\n');
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        path: filePath,
+        get: (glossaryId) => glossaries.get(glossaryId),
+        values: () => glossaries.values(),
+
+        create(fields, ownerId) {
+            const now = new Date().toISOString();
+            const glossary = { id: crypto.randomUUID(), ownerId, ...fields, createdAt: now, updatedAt: now };
+            glossaries.set(glossary.id, glossary);
+            persist();
+            return glossary;
+        },
+
+        update(glossaryId, fields) {
+            const glossary = glossaries.get(glossaryId);
+            if (!glossary) {
+                return null;
+            }
+            Object.assign(glossary, fields, { updatedAt: new Date().toISOString() });
+            persist();
+            return glossary;
+        },
+
+        delete(glossaryId) {
+            const existed = glossaries.delete(glossaryId);
+            if (existed) {
+                persist();
+            }
+            return existed;
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Enforcement
+// ---------------------------------------------------------------------------
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match that also works for non-Latin scripts
+export function containsTerm(text, term) {
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+// The glossary entries that matter for one utterance: term mappings for this
+// language pair whose source phrase occurs in the text, and protected terms
+// that occur in the text
+export function getApplicableGlossary(glossaries, text, from, to) {
+    const terms = [];
+    const protectedTerms = [];
+    for (const glossary of glossaries) {
+        for (const term of glossary.terms || []) {
+            if (term.from === from && term.to === to && containsTerm(text, term.source)) {
+                terms.push({ source: term.source, target: term.target });
+            }
+        }
+        for (const term of glossary.protectedTerms || []) {
+            if (containsTerm(text, term) && !protectedTerms.includes(term)) {
+                protectedTerms.push(term);
+            }
+        }
+    }
+    return { terms, protectedTerms };
+}
+
+export function isGlossaryEmpty(glossary) {
+    return !glossary || (glossary.terms.length === 0 && glossary.protectedTerms.length === 0);
+}
+
+// Instructions appended to a translation prompt
+export function describeGlossary(glossary) {
+    const lines = [];
+    if (glossary.terms.length > 0) {
+        lines.push('Translate these terms exactly as given:');
+        lines.push(...glossary.terms.map(term => `- "${term.source}" -> "${term.target}"`));
+    }
+    if (glossary.protectedTerms.length > 0) {
+        lines.push('Keep these terms exactly as written, without translating them:');
+        lines.push(...glossary.protectedTerms.map(term => `- "${term}"`));
+    }
+    return lines.join('\n');
+}
+
+// Required target terms and protected terms missing from a translation
+export function findMissingTerms(translation, glossary) {
+    return [
+        ...glossary.terms.map(term => term.target),
+        ...glossary.protectedTerms
+    ].filter(term => !containsTerm(translation, term));
+}
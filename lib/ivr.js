@@ -0,0 +1,76 @@
+// Inbound IVR: a spoken language menu for callers who dial the service number.
+//
+// Each menu option is announced in its own language ("For English, press 1.
+// Para español, oprima 2. ..."). The menu languages come from IVR_LANGUAGES
+// (comma-separated codes, at most nine so every option is one digit).
+
+const MENU_PROMPTS = {
+    en: 'For English, press {digit}.',
+    es: 'Para español, oprima {digit}.',
+    fr: 'Pour le français, appuyez sur {digit}.',
+    de: 'Für Deutsch, drücken Sie {digit}.',
+    zh: '中文服务，请按 {digit}。',
+    ja: '日本語は {digit} を押してください。',
+    ko: '한국어는 {digit}번을 누르세요.',
+    ar: 'للعربية، اضغط {digit}.',
+    hi: 'हिंदी के लिए {digit} दबाएँ।',
+    pt: 'Para português, pressione {digit}.',
+    ru: 'Для русского языка нажмите {digit}.',
+    it: 'Per l\'italiano, premere {digit}.',
+    vi: 'Tiếng Việt, xin bấm phím {digit}.',
+    th: 'ภาษาไทย กด {digit}'
+};
+
+// Played once a language is chosen, while the caller waits for an agent
+const HOLD_MESSAGES = {
+    en: 'Thank you. Please hold while we connect you with an agent. Your call will be translated.',
+    es: 'Gracias. Por favor espere mientras le comunicamos con un agente. Su llamada será traducida.',
+    fr: 'Merci. Veuillez patienter pendant que nous vous mettons en relation avec un agent. Votre appel sera traduit.',
+    de: 'Danke. Bitte warten Sie, während wir Sie mit einem Mitarbeiter verbinden. Ihr Anruf wird übersetzt.',
+    zh: '谢谢。请稍候，我们正在为您转接客服人员。您的通话将被翻译。',
+    ja: 'ありがとうございます。担当者におつなぎしますので、そのままお待ちください。通話は翻訳されます。',
+    ko: '감사합니다. 상담원에게 연결하는 동안 잠시 기다려 주십시오. 통화는 번역됩니다.',
+    ar: 'شكراً لك. يرجى الانتظار بينما نقوم بتوصيلك بأحد الموظفين. ستتم ترجمة مكالمتك.',
+    hi: 'धन्यवाद। कृपया प्रतीक्षा करें, हम आपको एक एजेंट से जोड़ रहे हैं। आपकी कॉल का अनुवाद किया जाएगा।',
+    pt: 'Obrigado. Por favor, aguarde enquanto conectamos você a um atendente. Sua chamada será traduzida.',
+    ru: 'Спасибо. Пожалуйста, подождите, мы соединяем вас с оператором. Ваш звонок будет переведён.',
+    it: 'Grazie. Attenda mentre la mettiamo in contatto con un operatore. La sua chiamata sarà tradotta.',
+    vi: 'Xin cảm ơn. Vui lòng chờ trong khi chúng tôi kết nối quý vị với nhân viên. Cuộc gọi sẽ được dịch.',
+    th: 'ขอบคุณค่ะ กรุณารอสักครู่ เรากำลังโอนสายของท่านไปยังเจ้าหน้าที่ การสนทนาของท่านจะได้รับการแปล'
+};
+
+const DEFAULT_MENU_LANGUAGES = ['en', 'es', 'fr', 'de', 'zh', 'pt'];
+
+// Menu languages in digit order, limited to languages the service supports
+export function getMenuLanguages(supportedLanguages) {
+    const configured = process.env.IVR_LANGUAGES
+        ? process.env.IVR_LANGUAGES.split(',').map(language => language.trim()).filter(Boolean)
+        : DEFAULT_MENU_LANGUAGES;
+    return [...new Set(configured)]
+        .filter(language => supportedLanguages[language] && MENU_PROMPTS[language])
+        .slice(0, 9);
+}
+
+// Add the menu to a VoiceResponse. `sayLanguages` maps codes to Twilio
+// <Say> locales (e.g. 'es' -> 'es-ES').
+export function addLanguageMenu(response, { actionUrl, languages, sayLanguages, timeoutSeconds = 6 }) {
+    const gather = response.gather({
+        numDigits: 1,
+        action: actionUrl,
+        method: 'POST',
+        timeout: timeoutSeconds
+    });
+    languages.forEach((language, index) => {
+        gather.say({ language: sayLanguages[language] }, MENU_PROMPTS[language].replace('{digit}', index + 1));
+    });
+    return gather;
+}
+
+export function getLanguageForDigit(digits, languages) {
+    const index = Number.parseInt(digits, 10) - 1;
+    return Number.isInteger(index) && index >= 0 && index < languages.length ? languages[index] : null;
+}
+
+export function getHoldMessage(language) {
+    return HOLD_MESSAGES[language] || HOLD_MESSAGES.en;
+}
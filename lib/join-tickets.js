@@ -0,0 +1,103 @@
+// Signed, short-lived tickets that bind a browser join to one session.
+//
+// A ticket is `<payload>.<signature>`, both base64url, where the payload is
+// JSON { sid, pid, exp, jti } (session, browser participant, expiry, nonce)
+// and the signature is an HMAC-SHA256 over the encoded payload. The secret
+// comes from JOIN_TICKET_SECRET; without it a random per-process secret is
+// used, so tickets do not survive a restart.
+//
+// A ticket admits one join: redeemJoinTicket() remembers redeemed tickets in
+// memory until they expire.
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const DEFAULT_TTL_SECONDS = 600;
+
+let generatedSecret = null;
+const redeemedTickets = new Map(); // ticket -> expiry (ms)
+
+function getSecret() {
+    if (process.env.JOIN_TICKET_SECRET) {
+        return process.env.JOIN_TICKET_SECRET;
+    }
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('JOIN_TICKET_SECRET is not set; join tickets will be invalid after a restart');
+    }
+    return generatedSecret;
+}
+
+function sign(encodedPayload) {
+    return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+function getDefaultTtlSeconds() {
+    return Number(process.env.JOIN_TICKET_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+}
+
+export function createJoinTicket(sessionId, participantId = 'web', ttlSeconds = getDefaultTtlSeconds()) {
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    const payload = { sid: sessionId, pid: participantId, exp: expiresAt, jti: crypto.randomBytes(12).toString('base64url') };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+        ticket: `${encodedPayload}.${sign(encodedPayload)}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+// Returns { valid: true, participantId, expiresAt } or { valid: false, reason } where reason is
+// one of 'missing', 'malformed', 'bad_signature', 'expired' or 'session_mismatch'
+export function verifyJoinTicket(ticket, sessionId) {
+    if (!ticket) {
+        return { valid: false, reason: 'missing' };
+    }
+
+    const [encodedPayload, signature, extra] = String(ticket).split('.');
+    if (!encodedPayload || !signature || extra !== undefined) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp < Date.now()) {
+        return { valid: false, reason: 'expired' };
+    }
+    if (payload.sid !== sessionId) {
+        return { valid: false, reason: 'session_mismatch' };
+    }
+
+    return { valid: true, participantId: payload.pid || 'web', expiresAt: payload.exp };
+}
+
+// verifyJoinTicket() for a join, which uses the ticket up. A ticket that was
+// already redeemed fails with the reason 'already_used'.
+export function redeemJoinTicket(ticket, sessionId) {
+    const verification = verifyJoinTicket(ticket, sessionId);
+    if (!verification.valid) {
+        return verification;
+    }
+
+    const now = Date.now();
+    for (const [redeemed, expiresAt] of redeemedTickets) {
+        if (expiresAt < now) {
+            redeemedTickets.delete(redeemed);
+        }
+    }
+    if (redeemedTickets.has(ticket)) {
+        return { valid: false, reason: 'already_used' };
+    }
+    redeemedTickets.set(ticket, verification.expiresAt);
+    return verification;
+}
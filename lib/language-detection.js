@@ -0,0 +1,135 @@
+// Spoken-language identification for a participant whose language is not
+// known in advance (`phoneLanguage: 'auto'`).
+//
+// Each transcribed utterance reports the language the STT provider heard and
+// how confident it was. While detecting, those reports are accumulated as
+// votes weighted by confidence and utterance length; the language is locked
+// once it has enough utterances behind it and a large enough share of the
+// votes. After locking, a different language heard on several consecutive
+// utterances (someone else took the phone) switches the locked language.
+//
+// The state is a plain object so it persists with the session record.
+
+export const DEFAULT_DETECTION_CONFIG = {
+    minUtterances: 2,         // utterances needed before locking
+    lockShare: 0.7,           // share of the weighted votes the leader needs
+    maxUtterances: 5,         // lock on the leader regardless after this many
+    minConfidence: 0.4,       // reports below this are ignored
+    switchAfter: 2            // consecutive different detections that switch
+};
+
+// Whisper reports languages by English name; providers may also return codes
+const LANGUAGE_NAMES = {
+    english: 'en',
+    spanish: 'es',
+    castilian: 'es',
+    french: 'fr',
+    german: 'de',
+    chinese: 'zh',
+    mandarin: 'zh',
+    japanese: 'ja',
+    korean: 'ko',
+    arabic: 'ar',
+    hindi: 'hi',
+    portuguese: 'pt',
+    russian: 'ru',
+    italian: 'it',
+    vietnamese: 'vi',
+    thai: 'th'
+};
+
+export function normalizeLanguageCode(language) {
+    if (!language) {
+        return null;
+    }
+    const value = String(language).trim().toLowerCase();
+    if (LANGUAGE_NAMES[value]) {
+        return LANGUAGE_NAMES[value];
+    }
+    // 'es', 'es-MX' and 'es_MX' all mean Spanish here
+    const code = value.split(/[-_]/)[0];
+    return /^[a-z]{2,3}$/.test(code) ? code : null;
+}
+
+export function createDetectionState(fallbackLanguage) {
+    return {
+        mode: 'auto',
+        status: 'detecting',
+        language: null,
+        fallbackLanguage,
+        confidence: 0,
+        votes: {},
+        utterances: 0,
+        candidate: null,
+        history: []
+    };
+}
+
+function getLeader(votes) {
+    let total = 0;
+    let leader = null;
+    for (const [language, weight] of Object.entries(votes)) {
+        total += weight;
+        if (!leader || weight > leader.weight) {
+            leader = { language, weight };
+        }
+    }
+    return leader ? { ...leader, share: leader.weight / total } : null;
+}
+
+// Feed one detection into the state. Returns
+//   { type: 'detected', language, confidence }        when the language locks
+//   { type: 'switched', language, previousLanguage }  on a mid-call change
+// or null when nothing changed.
+export function recordDetection(state, detection, config = DEFAULT_DETECTION_CONFIG) {
+    const language = normalizeLanguageCode(detection.language);
+    const confidence = detection.confidence ?? 1;
+    if (!language || confidence < config.minConfidence) {
+        return null;
+    }
+
+    state.history.push({ language, confidence, at: new Date().toISOString() });
+    if (state.history.length > 20) {
+        state.history.shift();
+    }
+
+    if (state.status === 'detecting') {
+        // Longer utterances carry more evidence, up to a few seconds
+        const durationWeight = Math.min(1, Math.max(0.25, (detection.durationMs || 1000) / 3000));
+        state.votes[language] = (state.votes[language] || 0) + confidence * durationWeight;
+        state.utterances++;
+
+        const leader = getLeader(state.votes);
+        const enoughEvidence = state.utterances >= config.minUtterances && leader.share >= config.lockShare;
+        if (!enoughEvidence && state.utterances < config.maxUtterances) {
+            return null;
+        }
+
+        state.status = 'locked';
+        state.language = leader.language;
+        state.confidence = Number(leader.share.toFixed(3));
+        state.lockedAt = new Date().toISOString();
+        return { type: 'detected', language: state.language, confidence: state.confidence };
+    }
+
+    if (language === state.language) {
+        state.candidate = null;
+        return null;
+    }
+
+    if (state.candidate?.language === language) {
+        state.candidate.count++;
+    } else {
+        state.candidate = { language, count: 1 };
+    }
+    if (state.candidate.count < config.switchAfter) {
+        return null;
+    }
+
+    const previousLanguage = state.language;
+    state.language = language;
+    state.confidence = confidence;
+    state.candidate = null;
+    state.switchedAt = new Date().toISOString();
+    return { type: 'switched', language, previousLanguage, confidence };
+}
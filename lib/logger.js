@@ -0,0 +1,104 @@
+// Structured JSON logging.
+//
+// Every entry is one JSON line:
+//   {"time":"...","level":"info","msg":"Session ended","sessionId":"...","reason":"ring_timeout"}
+// Loggers carry a context (sessionId, participant, utteranceId, stage, ...)
+// that is added to each entry; `child()` extends it. LOG_LEVEL picks the
+// lowest level written (debug, info, warn or error; default info).
+//
+// Phone numbers never reach the log in full: fields that hold one are
+// masked down to their last four digits, and anything shaped like an E.164
+// number inside other strings is masked too.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const PHONE_FIELDS = new Set(['phoneNumber', 'from', 'to', 'From', 'To', 'Caller', 'Called', 'caller', 'called']);
+const PHONE_PATTERN = /\+\d{6,15}\b/g;
+
+export function maskPhoneNumber(value) {
+    const text = String(value);
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 6) {
+        return text;
+    }
+    return `${text.startsWith('+') ? '+' : ''}${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+}
+
+function redactString(text) {
+    return text.replace(PHONE_PATTERN, maskPhoneNumber);
+}
+
+// The stack starts with the message, so it is masked the same way
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(String(error.message)),
+        ...(error.code && { code: error.code }),
+        stack: error.stack && redactString(String(error.stack))
+    };
+}
+
+// Copy a value for logging with phone numbers masked and errors expanded
+export function redact(value, key = null, depth = 0) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (typeof value === 'string') {
+        return key && PHONE_FIELDS.has(key) ? maskPhoneNumber(value) : redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= 5) {
+        return '[object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, null, depth + 1));
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field, depth + 1)]));
+}
+
+function resolveLevel(name) {
+    return LOG_LEVELS[String(name || '').toLowerCase()] ?? LOG_LEVELS.info;
+}
+
+// `write(line, level)` defaults to stdout, with warnings and errors on stderr
+export function createLogger(context = {}, options = {}) {
+    const minLevel = resolveLevel(options.level ?? process.env.LOG_LEVEL);
+    const write = options.write || ((line, level) => {
+        (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    });
+
+    function log(level, msg, fields = {}) {
+        if (LOG_LEVELS[level] < minLevel) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: redactString(String(msg)),
+            ...redact(context),
+            ...redact(fields instanceof Error ? { error: fields } : fields)
+        };
+        try {
+            write(JSON.stringify(entry), level);
+        } catch {
+            write(JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: 'Unserializable fields' }), level);
+        }
+    }
+
+    return {
+        context,
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        isLevelEnabled: (level) => LOG_LEVELS[level] >= minLevel,
+        child: (extra) => createLogger({ ...context, ...extra }, { ...options, level: options.level ?? process.env.LOG_LEVEL, write })
+    };
+}
+
+export const logger = createLogger({ service: 'translation-relay' });
@@ -0,0 +1,135 @@
+// Metrics in the Prometheus text exposition format.
+//
+// A small registry covering what the relay needs: counters, gauges whose
+// values are read when scraped, and histograms. Each metric takes label
+// values as a plain object, e.g. histogram.observe({ stage: 'stt' }, 0.42).
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series are keyed by their label values in label-name order
+function pickLabels(labelNames, labels = {}) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function seriesKey(labels) {
+    return JSON.stringify(Object.values(labels));
+}
+
+export function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        metrics.push(metric);
+        return metric;
+    }
+
+    return {
+        counter({ name, help, labelNames = [] }) {
+            const series = new Map();
+            return register({
+                name: prefix + name,
+                help,
+                type: 'counter',
+                inc(labels, value = 1) {
+                    const picked = pickLabels(labelNames, labels);
+                    const key = seriesKey(picked);
+                    const entry = series.get(key) || { labels: picked, value: 0 };
+                    entry.value += value;
+                    series.set(key, entry);
+                },
+                samples: () => [...series.values()].map(entry => ({ suffix: '', ...entry }))
+            });
+        },
+
+        // `collect()` returns a number, or [{ labels, value }] for labelled series
+        gauge({ name, help, collect }) {
+            return register({
+                name: prefix + name,
+                help,
+                type: 'gauge',
+                samples() {
+                    const value = collect();
+                    return (Array.isArray(value) ? value : [{ labels: {}, value }])
+                        .map(entry => ({ suffix: '', labels: entry.labels, value: entry.value }));
+                }
+            });
+        },
+
+        histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+            const bounds = [...buckets].sort((a, b) => a - b);
+            const series = new Map();
+            return register({
+                name: prefix + name,
+                help,
+                type: 'histogram',
+                observe(labels, value) {
+                    if (!Number.isFinite(value)) {
+                        return;
+                    }
+                    const picked = pickLabels(labelNames, labels);
+                    const key = seriesKey(picked);
+                    const entry = series.get(key) || { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+                    bounds.forEach((bound, index) => {
+                        if (value <= bound) {
+                            entry.counts[index]++;
+                        }
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                    series.set(key, entry);
+                },
+                samples() {
+                    return [...series.values()].flatMap(entry => [
+                        ...bounds.map((bound, index) => ({
+                            suffix: '_bucket',
+                            labels: { ...entry.labels, le: formatValue(bound) },
+                            value: entry.counts[index]
+                        })),
+                        { suffix: '_bucket', labels: { ...entry.labels, le: '+Inf' }, value: entry.count },
+                        { suffix: '_sum', labels: entry.labels, value: entry.sum },
+                        { suffix: '_count', labels: entry.labels, value: entry.count }
+                    ]);
+                }
+            });
+        },
+
+        // The whole registry as a scrape response body
+        render() {
+            const lines = [];
+            for (const metric of metrics) {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                for (const sample of metric.samples()) {
+                    lines.push(`${metric.name}${sample.suffix}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+                }
+            }
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+// Seconds elapsed since `startedAt` (a Date.now() timestamp)
+export function secondsSince(startedAt, now = Date.now()) {
+    return (now - startedAt) / 1000;
+}
@@ -0,0 +1,46 @@
+// Short service notices spoken to participants in their own language, e.g.
+// when translation stops because a usage budget ran out or a provider is down.
+
+const NOTICES = {
+    budget_exhausted: {
+        en: 'The translation budget for this call has been reached. Translation has stopped.',
+        es: 'Se ha alcanzado el presupuesto de traducción de esta llamada. La traducción se ha detenido.',
+        fr: 'Le budget de traduction de cet appel est atteint. La traduction est arrêtée.',
+        de: 'Das Übersetzungsbudget für diesen Anruf ist aufgebraucht. Die Übersetzung wurde beendet.',
+        zh: '本次通话的翻译额度已用完，翻译已停止。',
+        ja: 'この通話の翻訳予算の上限に達したため、翻訳を停止しました。',
+        ko: '이 통화의 번역 예산이 모두 소진되어 번역이 중지되었습니다.',
+        ar: 'تم الوصول إلى الحد المخصص لترجمة هذه المكالمة. تم إيقاف الترجمة.',
+        hi: 'इस कॉल का अनुवाद बजट समाप्त हो गया है। अनुवाद रोक दिया गया है।',
+        pt: 'O orçamento de tradução desta chamada foi atingido. A tradução foi interrompida.',
+        ru: 'Лимит на перевод этого звонка исчерпан. Перевод остановлен.',
+        it: 'Il budget di traduzione per questa chiamata è esaurito. La traduzione è stata interrotta.',
+        vi: 'Ngân sách dịch cho cuộc gọi này đã hết. Việc dịch đã dừng lại.',
+        th: 'งบประมาณการแปลสำหรับการโทรนี้หมดแล้ว การแปลได้หยุดลงแล้ว'
+    },
+    translation_unavailable: {
+        en: 'Translation is temporarily unavailable.',
+        es: 'La traducción no está disponible temporalmente.',
+        fr: 'La traduction est temporairement indisponible.',
+        de: 'Die Übersetzung ist vorübergehend nicht verfügbar.',
+        zh: '翻译暂时不可用。',
+        ja: '翻訳は一時的にご利用いただけません。',
+        ko: '번역을 일시적으로 사용할 수 없습니다.',
+        ar: 'الترجمة غير متاحة مؤقتاً.',
+        hi: 'अनुवाद अस्थायी रूप से उपलब्ध नहीं है।',
+        pt: 'A tradução está temporariamente indisponível.',
+        ru: 'Перевод временно недоступен.',
+        it: 'La traduzione è temporaneamente non disponibile.',
+        vi: 'Dịch vụ dịch tạm thời không khả dụng.',
+        th: 'การแปลไม่พร้อมใช้งานชั่วคราว'
+    }
+};
+
+// The notice text in `language`, falling back to English
+export function getNotice(kind, language) {
+    const texts = NOTICES[kind];
+    if (!texts) {
+        throw new Error(`Unknown notice: ${kind}`);
+    }
+    return texts[language] || texts.en;
+}
@@ -0,0 +1,58 @@
+// Conference participants.
+//
+// Every participant has an ID that also names its media stream: the first
+// phone party is 'phone' and the first browser 'web'; participants added
+// later are 'phone-2', 'web-2' and so on. `session.languages` maps each
+// participant ID to the language it speaks and wants to hear, and
+// `session.participants` holds per-participant call details:
+//   { kind: 'phone' | 'web', phoneNumber?, callSid?, from?, to?, joinedAt?, leftAt? }
+
+export const PARTICIPANT_KINDS = ['phone', 'web'];
+
+const PARTICIPANT_ID_PATTERN = /^(phone|web)(?:-([1-9]\d*))?$/;
+
+export function isValidParticipantId(participantId) {
+    return PARTICIPANT_ID_PATTERN.test(String(participantId || ''));
+}
+
+export function getParticipantKind(participantId) {
+    const match = PARTICIPANT_ID_PATTERN.exec(String(participantId || ''));
+    return match ? match[1] : null;
+}
+
+// The next free ID of a kind: 'phone', then 'phone-2', 'phone-3', ...
+export function nextParticipantId(session, kind) {
+    const taken = new Set(Object.keys(session.languages || {}));
+    if (!taken.has(kind)) {
+        return kind;
+    }
+    let index = 2;
+    while (taken.has(`${kind}-${index}`)) {
+        index++;
+    }
+    return `${kind}-${index}`;
+}
+
+// Participants that are registered and have not left the conference
+export function getActiveParticipantIds(session) {
+    return Object.keys(session.languages || {})
+        .filter(participantId => !session.participants?.[participantId]?.leftAt);
+}
+
+// Everyone other than the speaker who needs a translation, grouped by the
+// language they listen in. Listeners sharing the speaker's language hear the
+// original audio through the conference and are left out.
+export function getListenerGroups(session, speakerId, sourceLanguage) {
+    const groups = new Map();
+    for (const participantId of getActiveParticipantIds(session)) {
+        const language = session.languages[participantId];
+        if (participantId === speakerId || !language || language === sourceLanguage) {
+            continue;
+        }
+        if (!groups.has(language)) {
+            groups.set(language, []);
+        }
+        groups.get(language).push(participantId);
+    }
+    return groups;
+}
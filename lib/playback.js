@@ -0,0 +1,208 @@
+// Outbound audio for Twilio Media Streams.
+//
+// Translated clips are queued per participant, split into 20ms μ-law frames
+// and sent in real time on the participant's own streamSid. Each clip is
+// followed by a `mark` message; Twilio echoes the mark back once the audio
+// before it has actually been played, which is how we know when playback
+// finished. `clear()` drops everything queued and tells Twilio to discard
+// audio it has buffered, for barge-in.
+//
+// Optional `onFrameSent()` and `onFramesDropped(count, reason)` callbacks
+// report every frame sent and the frames of clips that never got sent
+// ('cleared', 'closed' or 'error').
+
+export const DEFAULT_PLAYBACK_CONFIG = {
+    sampleRate: 8000,
+    frameMs: 20,
+    leadMs: 60 // How far ahead of real time frames may be sent, to absorb jitter
+};
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// `send` delivers one Media Streams message (as a plain object) to Twilio
+export function createOutboundPlayer(send, options = {}) {
+    const config = { ...DEFAULT_PLAYBACK_CONFIG, ...options };
+    const frameBytes = Math.round(config.sampleRate * config.frameMs / 1000);
+    const onFrameSent = options.onFrameSent || (() => {});
+    const onFramesDropped = options.onFramesDropped || (() => {});
+
+    let streamSid = null;
+    let closed = false;
+    let generation = 0; // Bumped by clear() so in-flight clips stop sending
+    let playheadAt = 0; // When the audio sent so far will have finished playing
+    let current = null; // Clip whose frames are being sent
+    let pumping = false;
+    const queue = [];
+    const pendingMarks = new Map(); // mark name -> { sentAt, resolve }
+
+    function settleMark(markName, played) {
+        const pending = pendingMarks.get(markName);
+        if (pending) {
+            pendingMarks.delete(markName);
+            pending.resolve(played);
+        }
+        return pending;
+    }
+
+    // Returns false if the clip was interrupted before all frames were sent
+    async function sendFrames(clip, clipGeneration) {
+        for (let offset = 0; offset < clip.audio.length; offset += frameBytes) {
+            // Pace against the playhead rather than a fixed sleep so timer drift
+            // does not accumulate, within and across clips
+            const wait = playheadAt - Date.now() - config.leadMs;
+            if (wait > 0) {
+                await delay(wait);
+            }
+            if (closed || clipGeneration !== generation) {
+                onFramesDropped(Math.ceil((clip.audio.length - offset) / frameBytes), closed ? 'closed' : 'cleared');
+                return false;
+            }
+
+            send({
+                event: 'media',
+                streamSid,
+                media: {
+                    payload: clip.audio.subarray(offset, offset + frameBytes).toString('base64')
+                }
+            });
+            playheadAt = Math.max(playheadAt, Date.now()) + config.frameMs;
+            clip.framesSent++;
+            onFrameSent();
+            if (offset === 0) {
+                clip.resolveStarted(Date.now());
+            }
+        }
+
+        pendingMarks.get(clip.markName).sentAt = Date.now();
+        send({ event: 'mark', streamSid, mark: { name: clip.markName } });
+        return true;
+    }
+
+    function clipFrames(clip) {
+        return Math.ceil(clip.audio.length / frameBytes);
+    }
+
+    // Drop clips that were queued but never started
+    function dropQueued(reason) {
+        for (const clip of queue.splice(0)) {
+            onFramesDropped(clipFrames(clip), reason);
+            clip.resolveStarted(null);
+            clip.resolveQueued(false);
+        }
+    }
+
+    async function pump() {
+        if (pumping) {
+            return;
+        }
+        pumping = true;
+
+        while (queue.length > 0 && !closed) {
+            const clip = queue.shift();
+            current = clip;
+            try {
+                if (!streamSid) {
+                    throw new Error('Cannot play audio before the media stream has started');
+                }
+                const completed = await sendFrames(clip, generation);
+                if (!completed) {
+                    settleMark(clip.markName, false);
+                }
+                clip.resolveStarted(null);
+                clip.resolveQueued(completed);
+            } catch (error) {
+                // Frames that went out before the failure were already counted as sent
+                onFramesDropped(clipFrames(clip) - clip.framesSent, 'error');
+                settleMark(clip.markName, false);
+                clip.resolveStarted(null);
+                clip.rejectQueued(error);
+            } finally {
+                current = null;
+            }
+        }
+
+        pumping = false;
+    }
+
+    return {
+        setStreamSid(sid) {
+            streamSid = sid;
+        },
+
+        get streamSid() {
+            return streamSid;
+        },
+
+        // Queue a clip. `started` resolves with the time its first frame was
+        // sent (null if it never was); `queued` resolves true once all of its
+        // frames have been sent (false if it was cleared first); `played`
+        // resolves true when Twilio acknowledges the mark, or false if the
+        // clip was cleared or the stream closed first.
+        play(audio, markName) {
+            let resolvePlayed;
+            const played = new Promise(resolve => { resolvePlayed = resolve; });
+            pendingMarks.set(markName, { sentAt: null, resolve: resolvePlayed });
+
+            let resolveStarted;
+            const started = new Promise(resolve => { resolveStarted = resolve; });
+            const queued = new Promise((resolve, reject) => {
+                queue.push({ audio, markName, framesSent: 0, resolveStarted, resolveQueued: resolve, rejectQueued: reject });
+            });
+            pump();
+
+            return { started, queued, played };
+        },
+
+        // Called for every `mark` event echoed back by Twilio
+        acknowledgeMark(markName) {
+            const pending = settleMark(markName, true);
+            if (!pending) {
+                return null;
+            }
+            return { name: markName, latencyMs: pending.sentAt ? Date.now() - pending.sentAt : null };
+        },
+
+        // Whether the listener is hearing, or is about to hear, queued audio
+        get isActive() {
+            return current !== null || queue.length > 0 || pendingMarks.size > 0;
+        },
+
+        get queuedClipCount() {
+            return queue.length + (current ? 1 : 0);
+        },
+
+        get pendingMarkCount() {
+            return pendingMarks.size;
+        },
+
+        // Stop playback: drop queued clips and have Twilio discard buffered audio.
+        // Returns the mark names of the clips that were cut off.
+        clear() {
+            generation++;
+            const interrupted = [...pendingMarks.keys()];
+
+            dropQueued('cleared');
+            for (const markName of interrupted) {
+                settleMark(markName, false);
+            }
+            playheadAt = 0;
+            current = null;
+
+            if (streamSid && !closed) {
+                send({ event: 'clear', streamSid });
+            }
+            return interrupted;
+        },
+
+        close() {
+            closed = true;
+            generation++;
+            dropQueued('closed');
+            for (const markName of [...pendingMarks.keys()]) {
+                settleMark(markName, false);
+            }
+        }
+    };
+}
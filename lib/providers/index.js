@@ -0,0 +1,84 @@
+// Provider registry for the three pipeline stages.
+//
+// Each provider family implements some or all of:
+//   stt.transcribe(wavAudio, { language, signal })        -> { text, language, languageConfidence }
+//     (without `language` the provider identifies it)
+//   translation.translate(text, { from, to, glossary, missingTerms, context, onUsage, signal }) -> translated text
+//     (glossary: { terms: [{ source, target }], protectedTerms: [] },
+//      context: { summary, turns: [{ speaker, text, translation }] })
+//   translation.summarize(previousSummary, turns, { maxTokens, onUsage, signal }) -> summary text
+//     (both call onUsage({ inputTokens, outputTokens }) for each completion)
+//   tts.synthesize(text, { language, voice, speed, signal }) -> WAV buffer
+// `signal` aborts the request on timeout or cancellation. Providers should not
+// retry on their own; the server wraps every call with timeouts, retries and
+// a circuit breaker (see lib/resilience.js).
+//
+// Deployments pick a default per stage through environment variables
+// (PIPELINE_PROVIDER, or STT_PROVIDER / TRANSLATION_PROVIDER / TTS_PROVIDER),
+// and sessions can override any stage when they are created.
+import { createOpenAIProviders } from './openai.js';
+import { createMockProviders } from './mock.js';
+
+export const PIPELINE_STAGES = ['stt', 'translation', 'tts'];
+
+const PROVIDER_FACTORIES = {
+    openai: createOpenAIProviders,
+    mock: createMockProviders
+};
+
+const providerInstances = new Map();
+
+function getProviderFamily(name) {
+    if (!providerInstances.has(name)) {
+        providerInstances.set(name, PROVIDER_FACTORIES[name]());
+    }
+    return providerInstances.get(name);
+}
+
+export function getAvailableProviders() {
+    return Object.keys(PROVIDER_FACTORIES);
+}
+
+// Provider names used when a session does not choose its own
+export function getDefaultProviderSelection() {
+    const fallback = process.env.PIPELINE_PROVIDER || 'openai';
+    return {
+        stt: process.env.STT_PROVIDER || fallback,
+        translation: process.env.TRANSLATION_PROVIDER || fallback,
+        tts: process.env.TTS_PROVIDER || fallback
+    };
+}
+
+// Merge per-session overrides onto the defaults, rejecting unknown names.
+// `overrides` may be a single provider name for every stage or a per-stage object.
+export function resolveProviderSelection(overrides) {
+    const selection = getDefaultProviderSelection();
+
+    if (typeof overrides === 'string') {
+        PIPELINE_STAGES.forEach(stage => { selection[stage] = overrides; });
+    } else if (overrides && typeof overrides === 'object') {
+        for (const stage of PIPELINE_STAGES) {
+            if (overrides[stage]) {
+                selection[stage] = overrides[stage];
+            }
+        }
+    }
+
+    for (const stage of PIPELINE_STAGES) {
+        const family = PROVIDER_FACTORIES[selection[stage]];
+        if (!family) {
+            throw new Error(`Unknown ${stage} provider: ${selection[stage]}`);
+        }
+    }
+
+    return selection;
+}
+
+// Look up the provider implementing one stage
+export function getProvider(stage, name) {
+    const provider = getProviderFamily(name)[stage];
+    if (!provider) {
+        throw new Error(`Provider ${name} does not implement ${stage}`);
+    }
+    return provider;
+}
@@ -0,0 +1,219 @@
+// Deterministic offline providers. They never touch the network, so the full
+// pipeline (segmentation, codecs, streaming) can run on a development machine
+// or in CI without API keys. MOCK_FAIL_STAGES (e.g. 'translation,tts') makes
+// those stages fail like an unavailable service, to exercise error handling.
+import { encodeWav, parseWav } from '../audio.js';
+
+// Phrases returned by the mock transcriber, picked by utterance length
+const MOCK_PHRASES = {
+    en: ['hello', 'yes please', 'thank you very much', 'where is the doctor', 'I need help with my account'],
+    es: ['hola', 'sí por favor', 'muchas gracias', 'dónde está el médico', 'necesito ayuda con mi cuenta'],
+    fr: ['bonjour', 'oui s\'il vous plaît', 'merci beaucoup', 'où est le médecin', 'j\'ai besoin d\'aide avec mon compte'],
+    de: ['hallo', 'ja bitte', 'vielen dank', 'wo ist der arzt', 'ich brauche hilfe mit meinem konto']
+};
+
+// Word-level dictionary keyed by English, used as the pivot language
+const MOCK_DICTIONARY = {
+    hello: { es: 'hola', fr: 'bonjour', de: 'hallo' },
+    yes: { es: 'sí', fr: 'oui', de: 'ja' },
+    no: { es: 'no', fr: 'non', de: 'nein' },
+    please: { es: 'por favor', fr: 's\'il vous plaît', de: 'bitte' },
+    thank: { es: 'gracias', fr: 'merci', de: 'danke' },
+    you: { es: 'usted', fr: 'vous', de: 'Sie' },
+    very: { es: 'muy', fr: 'très', de: 'sehr' },
+    much: { es: 'mucho', fr: 'beaucoup', de: 'viel' },
+    where: { es: 'dónde', fr: 'où', de: 'wo' },
+    is: { es: 'está', fr: 'est', de: 'ist' },
+    the: { es: 'el', fr: 'le', de: 'der' },
+    doctor: { es: 'médico', fr: 'médecin', de: 'arzt' },
+    i: { es: 'yo', fr: 'je', de: 'ich' },
+    need: { es: 'necesito', fr: 'ai besoin', de: 'brauche' },
+    help: { es: 'ayuda', fr: 'aide', de: 'hilfe' },
+    with: { es: 'con', fr: 'avec', de: 'mit' },
+    my: { es: 'mi', fr: 'mon', de: 'meinem' },
+    account: { es: 'cuenta', fr: 'compte', de: 'konto' },
+    goodbye: { es: 'adiós', fr: 'au revoir', de: 'auf wiedersehen' }
+};
+
+// Reverse lookups from each language back to English
+const REVERSE_DICTIONARY = {};
+for (const [english, translations] of Object.entries(MOCK_DICTIONARY)) {
+    for (const [language, word] of Object.entries(translations)) {
+        REVERSE_DICTIONARY[language] = REVERSE_DICTIONARY[language] || {};
+        REVERSE_DICTIONARY[language][word.toLowerCase()] = english;
+    }
+}
+
+const TTS_SAMPLE_RATE = 24000;
+
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+function translateWord(word, from, to) {
+    const lower = word.toLowerCase();
+    const english = from === 'en' ? lower : REVERSE_DICTIONARY[from]?.[lower];
+    if (!english) {
+        return word;
+    }
+    if (to === 'en') {
+        return english;
+    }
+    return MOCK_DICTIONARY[english]?.[to] || word;
+}
+
+// About four characters per token, so usage accounting has something to meter
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function reportUsage(onUsage, input, output) {
+    onUsage?.({ inputTokens: estimateTokens(input), outputTokens: estimateTokens(output) });
+}
+
+// The language whose dictionary words make up most of the text
+function detectLanguage(text) {
+    const counts = {};
+    for (const word of text.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean)) {
+        if (MOCK_DICTIONARY[word]) {
+            counts.en = (counts.en || 0) + 1;
+        }
+        for (const language of Object.keys(REVERSE_DICTIONARY)) {
+            if (REVERSE_DICTIONARY[language][word]) {
+                counts[language] = (counts[language] || 0) + 1;
+            }
+        }
+    }
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+export function createMockProviders(options = {}) {
+    const fixedTranscript = options.transcript ?? process.env.MOCK_STT_TEXT;
+    const spokenLanguage = options.language || process.env.MOCK_STT_LANGUAGE || 'en';
+    const failStages = options.failStages || (process.env.MOCK_FAIL_STAGES || '').split(',').map(stage => stage.trim());
+
+    function failIfConfigured(stage) {
+        if (failStages.includes(stage)) {
+            const error = new Error(`Mock ${stage} provider is unavailable`);
+            error.status = 503;
+            throw error;
+        }
+    }
+
+    const stt = {
+        name: 'mock',
+        model: 'echo-transcribe',
+
+        // Without a language, a fixed transcript is identified from its
+        // words and generated phrases use MOCK_STT_LANGUAGE
+        async transcribe(wavAudio, { language } = {}) {
+            failIfConfigured('stt');
+            const { samples, sampleRate } = parseWav(wavAudio);
+            const durationMs = samples.length / sampleRate * 1000;
+
+            if (fixedTranscript !== undefined) {
+                const resolvedLanguage = language || detectLanguage(fixedTranscript) || spokenLanguage;
+                return { text: fixedTranscript, language: resolvedLanguage, languageConfidence: language ? 1 : 0.9 };
+            }
+
+            const resolvedLanguage = language || spokenLanguage;
+
+            // Longer utterances map to longer phrases, so results are stable for a given input
+            const phrases = MOCK_PHRASES[resolvedLanguage] || MOCK_PHRASES.en;
+            const index = Math.min(phrases.length - 1, Math.floor(durationMs / 1000));
+            return { text: phrases[index], language: resolvedLanguage, languageConfidence: language ? 1 : 0.9 };
+        }
+    };
+
+    const translation = {
+        name: 'mock',
+        model: 'dictionary',
+
+        async translate(text, { from, to, glossary, onUsage } = {}) {
+            failIfConfigured('translation');
+            if (from === to) {
+                reportUsage(onUsage, text, text);
+                return text;
+            }
+
+            // Glossary terms are swapped for placeholders so the dictionary
+            // leaves them alone, then restored as their required target form
+            const replacements = [];
+            let prepared = text;
+            if (glossary) {
+                const fixed = [
+                    ...glossary.terms.map(term => [term.source, term.target]),
+                    ...glossary.protectedTerms.map(term => [term, term])
+                ];
+                for (const [source, target] of fixed) {
+                    const pattern = new RegExp(source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+                    prepared = prepared.replace(pattern, () => {
+                        replacements.push(target);
+                        return `\u0000${replacements.length - 1}\u0000`;
+                    });
+                }
+            }
+
+            // Word by word through the dictionary; unknown words pass through unchanged
+            const words = prepared.split(/\s+/).filter(Boolean);
+            const translated = words.map(word => {
+                const match = word.match(/^([\p{L}']+)(.*)$/u);
+                if (!match) {
+                    return word;
+                }
+                return translateWord(match[1], from, to) + match[2];
+            });
+
+            const translation = translated.join(' ').replace(/\u0000(\d+)\u0000/g, (placeholder, index) => replacements[index]);
+            reportUsage(onUsage, text, translation);
+            return translation;
+        },
+
+        // Extractive: the earlier summary followed by each turn, keeping the
+        // most recent parts that fit
+        async summarize(previousSummary, turns, { maxTokens = 200, onUsage } = {}) {
+            const parts = previousSummary ? [previousSummary] : [];
+            parts.push(...turns.map(turn => `${turn.speaker}: ${turn.text}`));
+            while (parts.length > 1 && parts.join(' / ').length > maxTokens * 4) {
+                parts.shift();
+            }
+            const summary = parts.join(' / ');
+            reportUsage(onUsage, turns.map(turn => turn.text).join(' '), summary);
+            return summary;
+        }
+    };
+
+    const tts = {
+        name: 'mock',
+        model: 'tone',
+
+        // One short tone per word, pitched by a hash of the word, at 24kHz like OpenAI TTS
+        async synthesize(text, { speed = 1 } = {}) {
+            failIfConfigured('tts');
+            const words = text.split(/\s+/).filter(Boolean);
+            const toneSamples = Math.round(TTS_SAMPLE_RATE * 0.15 / speed);
+            const gapSamples = Math.round(TTS_SAMPLE_RATE * 0.05 / speed);
+            const samples = new Int16Array(Math.max(1, words.length * (toneSamples + gapSamples)));
+
+            words.forEach((word, index) => {
+                const frequency = 300 + hashString(word.toLowerCase()) % 600;
+                const start = index * (toneSamples + gapSamples);
+                for (let i = 0; i < toneSamples; i++) {
+                    // Short linear fade in/out avoids clicks at tone boundaries
+                    const envelope = Math.min(1, i / 120, (toneSamples - i) / 120);
+                    samples[start + i] = Math.round(8000 * envelope * Math.sin(2 * Math.PI * frequency * i / TTS_SAMPLE_RATE));
+                }
+            });
+
+            return encodeWav(samples, TTS_SAMPLE_RATE);
+        }
+    };
+
+    return { stt, translation, tts };
+}
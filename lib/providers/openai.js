@@ -0,0 +1,168 @@
+// OpenAI-backed pipeline providers: Whisper for STT, chat completions for
+// translation and the speech endpoint for TTS.
+import OpenAI, { toFile } from 'openai';
+import { describeContext } from '../dialogue-context.js';
+import { describeGlossary, isGlossaryEmpty } from '../glossaries.js';
+import { normalizeLanguageCode } from '../language-detection.js';
+
+const DEFAULT_MODELS = {
+    stt: 'whisper-1',
+    translation: 'gpt-4',
+    tts: 'tts-1'
+};
+
+// Mean per-token probability across segments, weighted by segment length
+function getSegmentConfidence(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+        return null;
+    }
+    let weighted = 0;
+    let total = 0;
+    for (const segment of segments) {
+        const length = Math.max(0.1, (segment.end ?? 0) - (segment.start ?? 0));
+        const speech = 1 - (segment.no_speech_prob ?? 0);
+        weighted += Math.exp(segment.avg_logprob ?? 0) * speech * length;
+        total += length;
+    }
+    return Number((weighted / total).toFixed(3));
+}
+
+// Report a completion's token counts to the caller's meter
+function reportUsage(completion, onUsage) {
+    if (onUsage && completion.usage) {
+        onUsage({ inputTokens: completion.usage.prompt_tokens, outputTokens: completion.usage.completion_tokens });
+    }
+}
+
+export function createOpenAIProviders(options = {}) {
+    const models = {
+        stt: options.sttModel || process.env.OPENAI_STT_MODEL || DEFAULT_MODELS.stt,
+        translation: options.translationModel || process.env.OPENAI_TRANSLATION_MODEL || DEFAULT_MODELS.translation,
+        tts: options.ttsModel || process.env.OPENAI_TTS_MODEL || DEFAULT_MODELS.tts
+    };
+
+    // The client is created on first use so deployments running only the
+    // mock providers do not need an API key. Retries and timeouts are left to
+    // the server's provider guard.
+    let openai = null;
+    function getClient() {
+        if (!openai) {
+            openai = new OpenAI({
+                apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+                maxRetries: 0
+            });
+        }
+        return openai;
+    }
+
+    const stt = {
+        name: 'openai',
+        model: models.stt,
+
+        // Without a language Whisper identifies it; the verbose response names
+        // the language and its segment log-probabilities give a confidence
+        async transcribe(wavAudio, { language, signal } = {}) {
+            const file = await toFile(wavAudio, 'audio.wav', { type: 'audio/wav' });
+
+            if (language) {
+                const transcription = await getClient().audio.transcriptions.create({
+                    file,
+                    model: models.stt,
+                    language: language,
+                    response_format: 'text'
+                }, { signal });
+                return { text: String(transcription).trim(), language };
+            }
+
+            const transcription = await getClient().audio.transcriptions.create({
+                file,
+                model: models.stt,
+                response_format: 'verbose_json'
+            }, { signal });
+            return {
+                text: String(transcription.text || '').trim(),
+                language: normalizeLanguageCode(transcription.language),
+                languageConfidence: getSegmentConfidence(transcription.segments)
+            };
+        }
+    };
+
+    const translation = {
+        name: 'openai',
+        model: models.translation,
+
+        async translate(text, { from, to, glossary, missingTerms, context, onUsage, signal } = {}) {
+            let instructions = `You are a professional translator. Translate the following text from ${from} to ${to}. Only respond with the translation, no explanations.`;
+            if (context) {
+                instructions += `\n\nThe text is the next turn of a phone conversation. Use the conversation so far to resolve pronouns, gender agreement and short replies, but translate only the new text.\n${describeContext(context)}`;
+            }
+            if (!isGlossaryEmpty(glossary)) {
+                instructions += `\n\n${describeGlossary(glossary)}`;
+            }
+            if (missingTerms?.length) {
+                instructions += `\n\nA previous translation left out required terms. The translation must contain: ${missingTerms.map(term => `"${term}"`).join(', ')}.`;
+            }
+
+            const completion = await getClient().chat.completions.create({
+                model: models.translation,
+                messages: [
+                    {
+                        role: 'system',
+                        content: instructions
+                    },
+                    {
+                        role: 'user',
+                        content: text
+                    }
+                ],
+                max_tokens: 150,
+                temperature: 0.3
+            }, { signal });
+            reportUsage(completion, onUsage);
+
+            return completion.choices[0].message.content.trim();
+        },
+
+        // Fold older turns into a short running summary of the conversation
+        async summarize(previousSummary, turns, { maxTokens = 200, onUsage, signal } = {}) {
+            const transcript = turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+            const completion = await getClient().chat.completions.create({
+                model: models.translation,
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'Summarize this phone conversation for a translator who will translate the rest of it. Keep names, genders, numbers, and what each speaker is referring to. Respond with the summary only.'
+                    },
+                    {
+                        role: 'user',
+                        content: previousSummary ? `Earlier summary: ${previousSummary}\n\n${transcript}` : transcript
+                    }
+                ],
+                max_tokens: maxTokens,
+                temperature: 0.2
+            }, { signal });
+            reportUsage(completion, onUsage);
+
+            return completion.choices[0].message.content.trim();
+        }
+    };
+
+    const tts = {
+        name: 'openai',
+        model: models.tts,
+
+        async synthesize(text, { voice = 'alloy', speed = 1, signal } = {}) {
+            const response = await getClient().audio.speech.create({
+                model: models.tts,
+                voice,
+                speed,
+                input: text,
+                response_format: 'wav'
+            }, { signal });
+
+            return Buffer.from(await response.arrayBuffer());
+        }
+    };
+
+    return { stt, translation, tts };
+}
@@ -0,0 +1,205 @@
+// Resilient provider calls: a timeout on every attempt, bounded retries with
+// jittered exponential backoff, and a circuit breaker per stage, provider and
+// model.
+//
+// A breaker opens after `failureThreshold` consecutive failed calls (each
+// after its retries) and fails calls immediately for `resetTimeoutMs`. The
+// first call after that is a trial (half-open): success closes the breaker,
+// failure opens it again.
+//
+// Failures carry a `code`: PROVIDER_TIMEOUT, CIRCUIT_OPEN, or whatever the
+// provider set. Calls cancelled through the caller's signal (barge-in) are
+// neither retried nor counted against the breaker.
+
+export const DEFAULT_RESILIENCE_CONFIG = {
+    timeouts: { stt: 15000, translation: 10000, tts: 15000 },
+    maxRetries: 2,
+    retryBaseMs: 250,
+    retryMaxMs: 2000,
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+};
+
+// Numeric values for the circuit state gauge
+export const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+const RETRYABLE_STATUSES = [408, 409, 429];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+function providerError(message, code, cause) {
+    const error = new Error(message, cause ? { cause } : undefined);
+    error.code = code;
+    return error;
+}
+
+// Timeouts, rate limits, server errors and dropped connections are worth
+// another attempt; bad requests and authentication failures are not
+export function isRetryableError(error) {
+    if (error?.code === 'PROVIDER_TIMEOUT') {
+        return true;
+    }
+    const status = Number(error?.status);
+    if (status) {
+        return RETRYABLE_STATUSES.includes(status) || status >= 500;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error?.code)
+        || RETRYABLE_NETWORK_CODES.includes(error?.cause?.code)
+        || error?.name === 'APIConnectionError';
+}
+
+// Full jitter: anywhere up to the exponential backoff for this attempt
+export function getRetryDelay(attempt, config = DEFAULT_RESILIENCE_CONFIG) {
+    return Math.random() * Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Run `fn(signal)` with a deadline. The signal it gets aborts when time runs
+// out or the caller's own signal aborts, and the call settles right away
+// either way, even if the provider ignores its signal.
+async function callWithTimeout(fn, timeoutMs, signal) {
+    if (signal?.aborted) {
+        throw signal.reason;
+    }
+    const controller = new AbortController();
+    let onAbort;
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+        onAbort = () => {
+            controller.abort(signal.reason);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        timer = setTimeout(() => {
+            const error = providerError(`Timed out after ${timeoutMs}ms`, 'PROVIDER_TIMEOUT');
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([fn(controller.signal), deadline]);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+// Options: the config fields above, plus
+//   onRetry({ stage, provider, model, attempt, delayMs, error })
+//   onStateChange({ stage, provider, model, state, previousState })
+export function createProviderGuard(options = {}) {
+    const config = {
+        ...DEFAULT_RESILIENCE_CONFIG,
+        ...options,
+        timeouts: { ...DEFAULT_RESILIENCE_CONFIG.timeouts, ...options.timeouts }
+    };
+    const onRetry = options.onRetry || (() => {});
+    const onStateChange = options.onStateChange || (() => {});
+    const breakers = new Map(); // 'stage/provider/model' -> breaker
+
+    function getBreaker(stage, provider) {
+        const key = `${stage}/${provider.name}/${provider.model}`;
+        if (!breakers.has(key)) {
+            breakers.set(key, {
+                labels: { stage, provider: provider.name, model: provider.model },
+                state: 'closed',
+                failures: 0,
+                openedAt: 0,
+                trialInFlight: false
+            });
+        }
+        return breakers.get(key);
+    }
+
+    function setState(breaker, state) {
+        if (breaker.state === state) {
+            return;
+        }
+        const previousState = breaker.state;
+        breaker.state = state;
+        if (state === 'open') {
+            breaker.openedAt = Date.now();
+        }
+        onStateChange({ ...breaker.labels, state, previousState });
+    }
+
+    function recordFailure(breaker) {
+        breaker.failures++;
+        if (breaker.state === 'half_open' || breaker.failures >= config.failureThreshold) {
+            setState(breaker, 'open');
+        }
+    }
+
+    // Throws CIRCUIT_OPEN while the breaker is open or its trial call is running
+    function admit(breaker) {
+        if (breaker.state === 'open' && Date.now() - breaker.openedAt >= config.resetTimeoutMs) {
+            setState(breaker, 'half_open');
+        }
+        if (breaker.state === 'open' || (breaker.state === 'half_open' && breaker.trialInFlight)) {
+            const { stage, provider, model } = breaker.labels;
+            throw providerError(`${stage} provider ${provider} (${model}) is temporarily unavailable`, 'CIRCUIT_OPEN');
+        }
+        if (breaker.state === 'half_open') {
+            breaker.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    return {
+        config,
+
+        // Run `fn(signal)` for one stage against `provider` under the
+        // timeout, retry and breaker rules
+        async call(stage, provider, fn, { signal } = {}) {
+            const breaker = getBreaker(stage, provider);
+            const trial = admit(breaker);
+            try {
+                for (let attempt = 0; ; attempt++) {
+                    try {
+                        const result = await callWithTimeout(fn, config.timeouts[stage], signal);
+                        breaker.failures = 0;
+                        setState(breaker, 'closed');
+                        return result;
+                    } catch (error) {
+                        if (signal?.aborted) {
+                            throw error;
+                        }
+                        if (attempt >= config.maxRetries || !isRetryableError(error)) {
+                            recordFailure(breaker);
+                            throw error;
+                        }
+                        const delayMs = getRetryDelay(attempt, config);
+                        onRetry({ ...breaker.labels, attempt: attempt + 1, delayMs, error });
+                        await sleep(delayMs, signal);
+                    }
+                }
+            } finally {
+                if (trial) {
+                    breaker.trialInFlight = false;
+                }
+            }
+        },
+
+        // Every breaker seen so far, for reporting
+        getStates() {
+            return [...breakers.values()].map(breaker => ({
+                ...breaker.labels,
+                state: breaker.state,
+                failures: breaker.failures
+            }));
+        }
+    };
+}
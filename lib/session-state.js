@@ -0,0 +1,147 @@
+// Session lifecycle: the statuses a session moves through, which changes are
+// allowed, and how long a session may sit in each status.
+//
+//   created              session stored, outbound call not placed yet
+//   phone_calling        outbound call ringing
+//   phone_answered       call answered, caller not in the conference yet
+//   queued               inbound caller on hold until an agent claims the call
+//   phone_in_conference  caller in the conference, waiting for a browser
+//   web_joining          browser call placed, conference join not confirmed
+//   web_joined           browser in the conference, waiting for the caller
+//   conference_active    caller and browser both in the conference
+//   call_ended           terminal: the call ended, failed or timed out
+//   conference_ended     terminal: Twilio ended the conference
+//
+// Once the conference is up, the status follows who is in it (see
+// getConferenceStatus), so it can move back and forth between the
+// conference statuses as participants leave and rejoin.
+
+import { logger } from './logger.js';
+
+export const TERMINAL_STATES = ['call_ended', 'conference_ended'];
+
+const ENDED = TERMINAL_STATES;
+
+export const TRANSITIONS = {
+    created: ['phone_calling', ...ENDED],
+    phone_calling: ['phone_answered', 'phone_in_conference', 'web_joining', 'web_joined', 'conference_active', ...ENDED],
+    phone_answered: ['phone_in_conference', 'web_joining', 'web_joined', 'conference_active', ...ENDED],
+    queued: ['phone_in_conference', ...ENDED],
+    phone_in_conference: ['web_joining', 'web_joined', 'conference_active', ...ENDED],
+    web_joining: ['phone_in_conference', 'web_joined', 'conference_active', ...ENDED],
+    web_joined: ['web_joining', 'phone_in_conference', 'conference_active', ...ENDED],
+    conference_active: ['web_joining', 'phone_in_conference', 'web_joined', ...ENDED],
+    call_ended: [],
+    conference_ended: []
+};
+
+export const SESSION_STATES = Object.keys(TRANSITIONS);
+
+// How long a session may stay in a status before the sweeper ends it, and
+// the reason code it is ended with. `retention` is how long ended sessions
+// are kept for late webhooks and transcript export before they are removed.
+export const DEFAULT_STATE_TIMEOUTS = {
+    created: 30 * 1000,
+    phone_calling: 60 * 1000,           // ring timeout
+    phone_answered: 2 * 60 * 1000,
+    queued: 10 * 60 * 1000,
+    phone_in_conference: 5 * 60 * 1000, // join timeout
+    web_joining: 5 * 60 * 1000,
+    web_joined: 5 * 60 * 1000,
+    maxDuration: 4 * 60 * 60 * 1000,    // any session, from creation
+    retention: 60 * 1000
+};
+
+const TIMEOUT_REASONS = {
+    created: 'call_not_placed',
+    phone_calling: 'ring_timeout',
+    phone_answered: 'answer_timeout',
+    queued: 'queue_timeout',
+    phone_in_conference: 'join_timeout',
+    web_joining: 'web_join_timeout',
+    web_joined: 'join_timeout'
+};
+
+const MAX_HISTORY = 50;
+
+export function isTerminalState(status) {
+    return TERMINAL_STATES.includes(status);
+}
+
+export function canTransition(from, to) {
+    return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+// Start a new session's lifecycle in `status`
+export function initSessionState(session, status, at = new Date()) {
+    session.status = status;
+    session.statusChangedAt = at.toISOString();
+    session.statusHistory = [{ status, at: session.statusChangedAt }];
+    return session;
+}
+
+// Move a session to `to`. Changes the machine does not allow (including
+// anything after the session ended) are ignored. `reason` is recorded with
+// the change and kept as `endReason` when the session ends. Returns whether
+// the status changed.
+export function transitionSession(session, to, reason = null, at = new Date()) {
+    if (session.status === to) {
+        return false;
+    }
+    if (!canTransition(session.status, to)) {
+        logger.warn('Ignoring session status change', { sessionId: session.sessionId, from: session.status, to, reason });
+        return false;
+    }
+
+    session.status = to;
+    session.statusChangedAt = at.toISOString();
+    session.statusHistory = [...(session.statusHistory || []), { status: to, at: session.statusChangedAt, reason }]
+        .slice(-MAX_HISTORY);
+    if (isTerminalState(to)) {
+        session.endReason = reason || to;
+        session.endedAt = session.statusChangedAt;
+    }
+    return true;
+}
+
+function isInConference(participant) {
+    return Boolean(participant?.conferenceJoinedAt) && !participant.leftAt;
+}
+
+// The conference status implied by who is in the conference
+export function getConferenceStatus(session) {
+    const present = Object.values(session.participants || {}).filter(isInConference);
+    const phoneIn = present.some(participant => participant.kind === 'phone');
+    const webIn = present.some(participant => participant.kind === 'web');
+    if (phoneIn && webIn) {
+        return 'conference_active';
+    }
+    if (webIn) {
+        return 'web_joined';
+    }
+    return phoneIn ? 'phone_in_conference' : null;
+}
+
+function sinceMs(timestamp, fallback, now) {
+    const time = Date.parse(timestamp || fallback);
+    return Number.isFinite(time) ? now - time : 0;
+}
+
+// Whether the sweeper should act on a session: `{ action: 'end', reason }`
+// for a live session that outstayed its status or the maximum duration,
+// `{ action: 'remove' }` for an ended session past retention, or null
+export function getExpiry(session, timeouts = DEFAULT_STATE_TIMEOUTS, now = Date.now()) {
+    const inStatusMs = sinceMs(session.statusChangedAt, session.createdAt, now);
+
+    if (isTerminalState(session.status)) {
+        return inStatusMs >= timeouts.retention ? { action: 'remove' } : null;
+    }
+    if (sinceMs(session.createdAt, session.statusChangedAt, now) >= timeouts.maxDuration) {
+        return { action: 'end', reason: 'max_duration' };
+    }
+    const limit = timeouts[session.status];
+    if (limit !== undefined && inStatusMs >= limit) {
+        return { action: 'end', reason: TIMEOUT_REASONS[session.status] };
+    }
+    return null;
+}
@@ -0,0 +1,236 @@
+// Session repository.
+//
+// Both implementations expose the Map interface the server already uses for
+// `activeSessions` (get/has/set/delete/values/size), plus:
+//   save(session)  persist changes made to a session object in place
+//   load()         read persisted sessions back into memory (for rehydration)
+//   flush()        wait until queued writes are on disk
+//
+// The file-backed store keeps an append-only JSON-lines log of put/delete
+// operations and compacts it on load and whenever the log grows to
+// `compactRatio` times the size of the live sessions (once past
+// `compactMinBytes`). Sessions are added and removed on the next tick, while
+// save() calls are coalesced for up to `saveDelayMs`: the pipeline saves on
+// every utterance, and each put rewrites the whole session with its
+// transcript.
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Live objects (Maps, Sets, sockets, timers) never belong in a persisted record
+function serializeSession(session) {
+    return JSON.parse(JSON.stringify(session, (key, value) => {
+        if (value instanceof Map || value instanceof Set || typeof value === 'function') {
+            return undefined;
+        }
+        return value;
+    }));
+}
+
+export function createMemorySessionStore() {
+    const sessions = new Map();
+
+    return {
+        kind: 'memory',
+        get: (sessionId) => sessions.get(sessionId),
+        has: (sessionId) => sessions.has(sessionId),
+        set(sessionId, session) {
+            sessions.set(sessionId, session);
+            return this;
+        },
+        delete: (sessionId) => sessions.delete(sessionId),
+        values: () => sessions.values(),
+        get size() {
+            return sessions.size;
+        },
+        save() {},
+        async load() {
+            return [];
+        },
+        async flush() {}
+    };
+}
+
+export function createFileSessionStore(filePath, options = {}) {
+    const compactRatio = options.compactRatio || 2;
+    const compactMinBytes = options.compactMinBytes || 1024 * 1024;
+    const saveDelayMs = options.saveDelayMs ?? 1000;
+    const sessions = new Map();
+    const dirty = new Set();
+    const liveBytes = new Map(); // sessionId -> size of its latest put
+    let liveTotal = 0;
+    let logBytes = 0;
+    let flushTimer = null;
+    let flushImmediate = null;
+    let writing = Promise.resolve();
+
+    function setLiveBytes(sessionId, bytes) {
+        liveTotal += bytes - (liveBytes.get(sessionId) || 0);
+        if (bytes > 0) {
+            liveBytes.set(sessionId, bytes);
+        } else {
+            liveBytes.delete(sessionId);
+        }
+    }
+
+    function appendOperations(operations) {
+        const lines = operations.map(operation => {
+            const line = JSON.stringify(operation) + '\n';
+            const sessionId = operation.op === 'put' ? operation.session.sessionId : operation.sessionId;
+            setLiveBytes(sessionId, operation.op === 'put' ? Buffer.byteLength(line) : 0);
+            return line;
+        }).join('');
+        logBytes += Buffer.byteLength(lines);
+        writing = writing
+            .then(() => fs.promises.appendFile(filePath, lines))
+            .catch(error => logger.error('Failed to write session store', { path: filePath, error }));
+
+        if (logBytes > compactMinBytes && logBytes > liveTotal * compactRatio) {
+            compact();
+        }
+    }
+
+    function compact() {
+        liveBytes.clear();
+        liveTotal = 0;
+        const lines = [...sessions.values()].map(session => {
+            const line = JSON.stringify({ op: 'put', session: serializeSession(session) }) + '\n';
+            setLiveBytes(session.sessionId, Buffer.byteLength(line));
+            return line;
+        }).join('');
+        const tempPath = `${filePath}.tmp`;
+        logBytes = liveTotal;
+        writing = writing
+            .then(() => fs.promises.writeFile(tempPath, lines))
+            .then(() => fs.promises.rename(tempPath, filePath))
+            .catch(error => logger.error('Failed to compact session store', { path: filePath, error }));
+    }
+
+    // Write one put or delete per changed session
+    function flushDirty() {
+        clearTimeout(flushTimer);
+        clearImmediate(flushImmediate);
+        flushTimer = null;
+        flushImmediate = null;
+        const operations = [];
+        for (const sessionId of dirty) {
+            const session = sessions.get(sessionId);
+            operations.push(session
+                ? { op: 'put', session: serializeSession(session) }
+                : { op: 'delete', sessionId });
+        }
+        dirty.clear();
+        if (operations.length > 0) {
+            appendOperations(operations);
+        }
+    }
+
+    // Flush on the next tick, or after `delayMs` unless a flush is already due
+    function scheduleFlush(delayMs) {
+        if (flushImmediate || (flushTimer && delayMs > 0)) {
+            return;
+        }
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (delayMs > 0) {
+            flushTimer = setTimeout(flushDirty, delayMs);
+            flushTimer.unref();
+        } else {
+            flushImmediate = setImmediate(flushDirty);
+        }
+    }
+
+    function markDirty(sessionId, delayMs = 0) {
+        dirty.add(sessionId);
+        scheduleFlush(delayMs);
+    }
+
+    return {
+        kind: 'file',
+        path: filePath,
+        get: (sessionId) => sessions.get(sessionId),
+        has: (sessionId) => sessions.has(sessionId),
+        set(sessionId, session) {
+            sessions.set(sessionId, session);
+            markDirty(sessionId);
+            return this;
+        },
+        delete(sessionId) {
+            const existed = sessions.delete(sessionId);
+            if (existed) {
+                markDirty(sessionId);
+            }
+            return existed;
+        },
+        values: () => sessions.values(),
+        get size() {
+            return sessions.size;
+        },
+        save(session) {
+            if (session && sessions.get(session.sessionId) === session) {
+                markDirty(session.sessionId, saveDelayMs);
+            }
+        },
+
+        // Replay the log, then rewrite it with only the surviving sessions
+        async load() {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            let contents = '';
+            try {
+                contents = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+
+            const loaded = new Map();
+            contents.split('\n').forEach((line, index) => {
+                if (!line.trim()) {
+                    return;
+                }
+                try {
+                    const operation = JSON.parse(line);
+                    if (operation.op === 'put' && operation.session?.sessionId) {
+                        loaded.set(operation.session.sessionId, operation.session);
+                    } else if (operation.op === 'delete') {
+                        loaded.delete(operation.sessionId);
+                    }
+                } catch (error) {
+                    // A torn final line after a crash is expected; skip it
+                    logger.warn('Skipping unreadable session store line', { path: filePath, line: index + 1 });
+                }
+            });
+
+            for (const [sessionId, session] of loaded) {
+                sessions.set(sessionId, session);
+            }
+            compact();
+            await writing;
+
+            return [...loaded.values()];
+        },
+
+        async flush() {
+            if (dirty.size > 0) {
+                flushDirty();
+            }
+            await writing;
+        }
+    };
+}
+
+// Pick the store from configuration (SESSION_STORE=memory|file)
+export function createSessionStore(options = {}) {
+    const kind = options.kind || process.env.SESSION_STORE || 'memory';
+
+    if (kind === 'memory') {
+        return createMemorySessionStore();
+    }
+    if (kind === 'file') {
+        const filePath = options.path || process.env.SESSION_STORE_PATH || 'data/sessions.jsonl';
+        return createFileSessionStore(path.resolve(filePath), options);
+    }
+    throw new Error(`Unknown session store: ${kind}`);
+}
@@ -0,0 +1,154 @@
+// Per-utterance traces in the OpenTelemetry (OTLP/JSON) span format.
+//
+// Each trip through the translation pipeline is one trace: a root
+// 'utterance' span with child spans for stt, translation, tts and send. When
+// a trace's root span ends, the trace is kept in memory (the most recent
+// `maxTracesPerKey` per session) and, if OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+// (or OTEL_EXPORTER_OTLP_ENDPOINT) is set, posted to that collector as
+// OTLP/HTTP JSON.
+import crypto from 'crypto';
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// High-resolution wall-clock time as a decimal string of nanoseconds
+function nowUnixNano() {
+    const ms = performance.timeOrigin + performance.now();
+    return (BigInt(Math.floor(ms)) * 1000000n + BigInt(Math.round((ms % 1) * 1e6))).toString();
+}
+
+function toAttributeValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+}
+
+function getDefaultEndpoint() {
+    if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+        return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+    }
+    const base = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    return base ? `${base.replace(/\/$/, '')}/v1/traces` : null;
+}
+
+export function createTracer(options = {}) {
+    const serviceName = options.serviceName || process.env.OTEL_SERVICE_NAME || 'translation-relay';
+    const endpoint = options.endpoint !== undefined ? options.endpoint : getDefaultEndpoint();
+    const maxTracesPerKey = options.maxTracesPerKey || 50;
+    const onExportError = options.onExportError || (() => {});
+    const finished = new Map(); // key -> [[span records of one trace], ...]
+
+    function toOtlp(spans) {
+        return {
+            resourceSpans: [{
+                resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+                scopeSpans: [{ scope: { name: serviceName }, spans }]
+            }]
+        };
+    }
+
+    function exportTrace(spans) {
+        if (!endpoint) {
+            return;
+        }
+        fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(toOtlp(spans))
+        }).then(response => {
+            if (!response.ok) {
+                onExportError(new Error(`Trace export failed with HTTP ${response.status}`));
+            }
+        }).catch(onExportError);
+    }
+
+    function finishTrace(key, spans) {
+        if (key) {
+            const traces = finished.get(key) || [];
+            traces.push(spans);
+            finished.set(key, traces.slice(-maxTracesPerKey));
+        }
+        exportTrace(spans);
+    }
+
+    // A span records itself into its trace's span list when it ends
+    function createSpan(trace, name, attributes, parentSpanId = null) {
+        const record = {
+            traceId: trace.traceId,
+            spanId: randomId(8),
+            ...(parentSpanId && { parentSpanId }),
+            name,
+            kind: SPAN_KIND_INTERNAL,
+            startTimeUnixNano: nowUnixNano(),
+            endTimeUnixNano: null,
+            attributes: { ...attributes },
+            status: { code: STATUS_OK }
+        };
+        let ended = false;
+
+        const span = {
+            traceId: trace.traceId,
+            spanId: record.spanId,
+            name,
+
+            setAttributes(extra) {
+                Object.assign(record.attributes, extra);
+                return span;
+            },
+
+            startChild(childName, childAttributes = {}) {
+                return createSpan(trace, childName, childAttributes, record.spanId);
+            },
+
+            // `error` marks the span failed; `attributes` are added first
+            end({ attributes: extra, error } = {}) {
+                if (ended) {
+                    return;
+                }
+                ended = true;
+                Object.assign(record.attributes, extra);
+                if (error) {
+                    record.status = { code: STATUS_ERROR, message: error.message || String(error) };
+                }
+                record.endTimeUnixNano = nowUnixNano();
+                trace.spans.push({ ...record, attributes: toAttributes(record.attributes) });
+                if (!parentSpanId) {
+                    finishTrace(trace.key, trace.spans);
+                }
+            }
+        };
+        return span;
+    }
+
+    return {
+        // Start a trace; the returned root span ends the trace when it ends.
+        // `key` groups finished traces, e.g. by session.
+        startTrace(name, { key = null, attributes = {} } = {}) {
+            return createSpan({ traceId: randomId(16), key, spans: [] }, name, attributes);
+        },
+
+        // Finished traces for a key as one OTLP/JSON export request body
+        getTraces(key) {
+            return toOtlp((finished.get(key) || []).flat());
+        },
+
+        forget(key) {
+            finished.delete(key);
+        }
+    };
+}
@@ -0,0 +1,190 @@
+// Session transcripts: export formats and an on-disk archive.
+//
+// A session's `transcript` array holds two kinds of entries:
+//   { type: 'utterance', utteranceId, speaker, sourceLanguage, sourceText,
+//     translations: { <language>: <text> }, startOffsetMs, endOffsetMs, at }
+//   { type: 'interruption', participant, offsetMs, at, ... }
+// Offsets are milliseconds from `callStartedAt`. Transcripts are archived
+// when a session is cleaned up so the bilingual record outlives the session.
+import fs from 'fs';
+import path from 'path';
+
+export const TRANSCRIPT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const SPEAKER_LABELS = {
+    phone: 'Caller',
+    web: 'Agent'
+};
+
+// 'phone-2' becomes 'Caller 2', 'web-3' becomes 'Agent 3'
+export function getSpeakerLabel(participant) {
+    const [kind, index] = String(participant).split('-');
+    const label = SPEAKER_LABELS[kind];
+    if (!label) {
+        return participant;
+    }
+    return index ? `${label} ${index}` : label;
+}
+
+// The persisted/exported view of a session's transcript
+export function getTranscriptRecord(session) {
+    return {
+        sessionId: session.sessionId,
+        ownerId: session.ownerId,
+        callStartedAt: session.callStartedAt || null,
+        languages: session.languages,
+        entries: session.transcript || []
+    };
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// hh:mm:ss.mmm (WebVTT) or hh:mm:ss,mmm (SRT)
+function formatTimestamp(offsetMs, separator) {
+    const totalMs = Math.max(0, Math.round(offsetMs || 0));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const seconds = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// Transcripts archived before multi-party sessions hold a single targetText
+function getTranslations(entry) {
+    if (entry.translations) {
+        return Object.entries(entry.translations);
+    }
+    return entry.targetText ? [[entry.targetLanguage, entry.targetText]] : [];
+}
+
+function utteranceLines(entry) {
+    return [
+        `[${entry.sourceLanguage}] ${entry.sourceText}`,
+        ...getTranslations(entry).map(([language, text]) => `[${language}] ${text}`)
+    ];
+}
+
+// Cue text is markup in WebVTT and in most SRT players. Escaping it also
+// turns any '-->' into '--&gt;', so text cannot pass for a timing line, and
+// line breaks are flattened so text cannot end a cue early with a blank line.
+function escapeCueText(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\s*\n\s*/g, ' ');
+}
+
+function cueLines(entry) {
+    return utteranceLines(entry).map(escapeCueText);
+}
+
+function toWebVtt(record) {
+    const cues = record.entries
+        .filter(entry => entry.type === 'utterance')
+        .map((entry, index) => {
+            const [first, ...rest] = cueLines(entry);
+            return [
+                String(index + 1),
+                `${formatTimestamp(entry.startOffsetMs, '.')} --> ${formatTimestamp(entry.endOffsetMs, '.')}`,
+                `<v ${escapeCueText(getSpeakerLabel(entry.speaker))}>${first}`,
+                ...rest
+            ].join('\n');
+        });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toSrt(record) {
+    const cues = record.entries
+        .filter(entry => entry.type === 'utterance')
+        .map((entry, index) => {
+            const [first, ...rest] = cueLines(entry);
+            return [
+                String(index + 1),
+                `${formatTimestamp(entry.startOffsetMs, ',')} --> ${formatTimestamp(entry.endOffsetMs, ',')}`,
+                `${escapeCueText(getSpeakerLabel(entry.speaker))}: ${first}`,
+                ...rest
+            ].join('\n');
+        });
+    return cues.join('\n\n') + '\n';
+}
+
+function toPlainText(record) {
+    const header = [
+        `Session: ${record.sessionId}`,
+        `Call started: ${record.callStartedAt || 'unknown'}`,
+        ''
+    ];
+    const lines = record.entries.map(entry => {
+        if (entry.type === 'interruption') {
+            const offset = formatTimestamp(entry.offsetMs, '.').slice(0, 8);
+            return `[${offset}] -- ${getSpeakerLabel(entry.participant)} interrupted translated playback --`;
+        }
+        const offset = formatTimestamp(entry.startOffsetMs, '.').slice(0, 8);
+        const speaker = getSpeakerLabel(entry.speaker);
+        const indent = ' '.repeat(12 + speaker.length);
+        return [
+            `[${offset}] ${speaker} (${entry.sourceLanguage}): ${entry.sourceText}`,
+            ...getTranslations(entry).map(([language, text]) => `${indent}(${language}): ${text}`)
+        ].join('\n');
+    });
+    return [...header, ...lines].join('\n') + '\n';
+}
+
+export function formatTranscript(record, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(record, null, 2);
+        case 'vtt':
+            return toWebVtt(record);
+        case 'srt':
+            return toSrt(record);
+        case 'txt':
+            return toPlainText(record);
+        default:
+            throw new Error(`Unsupported transcript format: ${format}`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Archive
+// ---------------------------------------------------------------------------
+
+function getArchiveDirectory() {
+    return path.resolve(process.env.TRANSCRIPT_DIR || 'data/transcripts');
+}
+
+function getArchivePath(sessionId) {
+    // Session IDs are UUIDs; refuse anything that could escape the directory
+    if (!/^[A-Za-z0-9-]+$/.test(sessionId)) {
+        throw new Error('Invalid session ID');
+    }
+    return path.join(getArchiveDirectory(), `${sessionId}.json`);
+}
+
+export async function archiveTranscript(session) {
+    const record = getTranscriptRecord(session);
+    if (record.entries.length === 0) {
+        return false;
+    }
+    await fs.promises.mkdir(getArchiveDirectory(), { recursive: true });
+    await fs.promises.writeFile(getArchivePath(session.sessionId), JSON.stringify(record));
+    return true;
+}
+
+export async function loadArchivedTranscript(sessionId) {
+    try {
+        return JSON.parse(await fs.promises.readFile(getArchivePath(sessionId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.message === 'Invalid session ID') {
+            return null;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,182 @@
+// Translation job scheduling.
+//
+// Utterances are queued per participant and translated one at a time in the
+// order they were spoken, so one speaker's translations never overtake each
+// other. Different participants' queues run side by side, up to a global
+// limit and a per-session limit on translations in flight; queues take turns
+// for free slots.
+//
+// When the oldest utterance waiting in a queue is older than the latency
+// budget (`maxBacklogMs`), the overflow policy applies to that queue:
+//   merge  the waiting utterances become one job, so they are transcribed,
+//          translated and spoken as a single turn
+//   drop   the oldest waiting utterances are discarded until the rest fit
+//          the budget; the newest is always kept
+//
+// Options:
+//   run(job)                 translate one job; the queue waits for it
+//   merge(jobs)              combine waiting jobs into one (merge policy)
+//   onOverflow(queueKey, { action, jobs })  jobs that were dropped or merged
+//   onDiscard(job, reason)   jobs removed by clear() or clearSession()
+
+export const OVERFLOW_POLICIES = ['merge', 'drop'];
+
+export const DEFAULT_QUEUE_CONFIG = {
+    maxConcurrent: 8,
+    maxConcurrentPerSession: 2,
+    maxBacklogMs: 8000,
+    overflow: 'merge'
+};
+
+export function createTranslationQueue(options = {}) {
+    const config = { ...DEFAULT_QUEUE_CONFIG, ...options };
+    if (!OVERFLOW_POLICIES.includes(config.overflow)) {
+        throw new Error(`Unknown overflow policy: ${config.overflow}. Use one of: ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+    if (config.overflow === 'merge' && !config.merge) {
+        throw new Error('The merge overflow policy needs a merge(jobs) option');
+    }
+    const onOverflow = options.onOverflow || (() => {});
+    const onDiscard = options.onDiscard || (() => {});
+
+    const queues = new Map(); // queueKey -> { sessionId, jobs, running }
+    const runningPerSession = new Map();
+    let running = 0;
+
+    function getQueue(queueKey, sessionId) {
+        if (!queues.has(queueKey)) {
+            queues.set(queueKey, { sessionId, jobs: [], running: false });
+        }
+        return queues.get(queueKey);
+    }
+
+    function removeIfIdle(queueKey, queue) {
+        if (!queue.running && queue.jobs.length === 0) {
+            queues.delete(queueKey);
+        }
+    }
+
+    function applyOverflowPolicy(queueKey, queue, now) {
+        const isStale = job => now - job.enqueuedAt > config.maxBacklogMs;
+        if (queue.jobs.length < 2 || !isStale(queue.jobs[0])) {
+            return;
+        }
+
+        if (config.overflow === 'merge') {
+            const merged = { ...config.merge(queue.jobs), enqueuedAt: queue.jobs[queue.jobs.length - 1].enqueuedAt };
+            onOverflow(queueKey, { action: 'merged', jobs: queue.jobs });
+            queue.jobs = [merged];
+            return;
+        }
+
+        const dropped = [];
+        while (queue.jobs.length > 1 && isStale(queue.jobs[0])) {
+            dropped.push(queue.jobs.shift());
+        }
+        onOverflow(queueKey, { action: 'dropped', jobs: dropped });
+    }
+
+    function hasCapacity(sessionId) {
+        return running < config.maxConcurrent
+            && (runningPerSession.get(sessionId) || 0) < config.maxConcurrentPerSession;
+    }
+
+    async function runNext(queueKey, queue) {
+        const job = queue.jobs.shift();
+        queue.running = true;
+        running++;
+        runningPerSession.set(queue.sessionId, (runningPerSession.get(queue.sessionId) || 0) + 1);
+        try {
+            await config.run(job);
+        } catch {
+            // run() reports its own failures; the queue moves on regardless
+        } finally {
+            queue.running = false;
+            running--;
+            const sessionRunning = runningPerSession.get(queue.sessionId) - 1;
+            if (sessionRunning > 0) {
+                runningPerSession.set(queue.sessionId, sessionRunning);
+            } else {
+                runningPerSession.delete(queue.sessionId);
+            }
+            // Rotate this queue to the back so others get the freed slot first
+            queues.delete(queueKey);
+            if (queue.jobs.length > 0) {
+                queues.set(queueKey, queue);
+            }
+            pump();
+        }
+    }
+
+    // Start every queue that has work and a free slot, in turn
+    function pump() {
+        const now = Date.now();
+        for (const [queueKey, queue] of queues) {
+            if (queue.jobs.length === 0) {
+                continue;
+            }
+            applyOverflowPolicy(queueKey, queue, now);
+            if (!queue.running && hasCapacity(queue.sessionId)) {
+                runNext(queueKey, queue);
+            }
+        }
+    }
+
+    // Discard a queue's waiting jobs; a job already running finishes
+    function clear(queueKey, reason) {
+        const queue = queues.get(queueKey);
+        if (!queue) {
+            return 0;
+        }
+        const discarded = queue.jobs.splice(0);
+        discarded.forEach(job => onDiscard(job, reason));
+        removeIfIdle(queueKey, queue);
+        return discarded.length;
+    }
+
+    return {
+        config,
+
+        // Queue a job for one participant (`queueKey`) of a session
+        enqueue(queueKey, sessionId, job) {
+            getQueue(queueKey, sessionId).jobs.push({ ...job, enqueuedAt: Date.now() });
+            pump();
+        },
+
+        clear,
+
+        clearSession(sessionId, reason) {
+            let discarded = 0;
+            for (const [queueKey, queue] of [...queues]) {
+                if (queue.sessionId === sessionId) {
+                    discarded += clear(queueKey, reason);
+                }
+            }
+            return discarded;
+        },
+
+        // Waiting and running jobs, overall or for one session
+        getDepth(sessionId = null) {
+            let queued = 0;
+            let active = 0;
+            for (const queue of queues.values()) {
+                if (sessionId === null || queue.sessionId === sessionId) {
+                    queued += queue.jobs.length;
+                    active += queue.running ? 1 : 0;
+                }
+            }
+            return { queued, running: active };
+        },
+
+        // Waiting jobs per queue, for reporting
+        getQueueDepths() {
+            return [...queues].map(([queueKey, queue]) => ({
+                queueKey,
+                sessionId: queue.sessionId,
+                queued: queue.jobs.length,
+                running: queue.running,
+                oldestWaitMs: queue.jobs.length > 0 ? Date.now() - queue.jobs[0].enqueuedAt : 0
+            }));
+        }
+    };
+}
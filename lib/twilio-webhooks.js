@@ -0,0 +1,84 @@
+// Verification of requests that claim to come from Twilio.
+//
+// HTTP webhooks carry an X-Twilio-Signature computed over the exact public URL
+// Twilio requested plus the POST parameters. Behind a proxy or load balancer
+// the URL Express sees differs from that public URL, so several candidate
+// URLs are tried: PUBLIC_BASE_URL if configured, the forwarded protocol and
+// host, and the `https://${host}` form this server uses when it hands URLs to
+// Twilio.
+//
+// Media Stream WebSockets are not signed, so each session gets a random token
+// that is embedded in the Stream URL and checked on upgrade.
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { logger } from './logger.js';
+
+export function isSignatureValidationEnabled() {
+    return process.env.TWILIO_VALIDATE_SIGNATURES !== 'false';
+}
+
+function firstHeaderValue(value) {
+    return value ? String(value).split(',')[0].trim() : null;
+}
+
+function getCandidateUrls(req) {
+    const host = req.get('host');
+    const candidates = [];
+
+    if (process.env.PUBLIC_BASE_URL) {
+        candidates.push(process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') + req.originalUrl);
+    }
+
+    const forwardedProto = firstHeaderValue(req.get('x-forwarded-proto'));
+    const forwardedHost = firstHeaderValue(req.get('x-forwarded-host'));
+    if (forwardedProto || forwardedHost) {
+        candidates.push(`${forwardedProto || req.protocol}://${forwardedHost || host}${req.originalUrl}`);
+    }
+
+    candidates.push(`https://${host}${req.originalUrl}`);
+    candidates.push(`${req.protocol}://${host}${req.originalUrl}`);
+
+    return [...new Set(candidates)];
+}
+
+// Express middleware rejecting webhooks without a valid Twilio signature
+export function validateTwilioRequest(req, res, next) {
+    if (!isSignatureValidationEnabled()) {
+        return next();
+    }
+
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+        logger.error('TWILIO_AUTH_TOKEN is not set; cannot validate webhook signatures');
+        return res.status(500).send('Webhook validation is not configured');
+    }
+
+    const signature = req.get('x-twilio-signature');
+    if (!signature) {
+        logger.warn('Rejected unsigned webhook', { path: req.path });
+        return res.status(403).send('Missing Twilio signature');
+    }
+
+    const params = req.body && typeof req.body === 'object' ? req.body : {};
+    const valid = getCandidateUrls(req).some(url => twilio.validateRequest(authToken, signature, url, params));
+
+    if (!valid) {
+        logger.warn('Rejected webhook with an invalid Twilio signature', { path: req.path });
+        return res.status(403).send('Invalid Twilio signature');
+    }
+
+    next();
+}
+
+export function createMediaStreamToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+export function verifyMediaStreamToken(session, token) {
+    if (!session || !session.mediaStreamToken || !token) {
+        return false;
+    }
+    const expected = Buffer.from(session.mediaStreamToken);
+    const actual = Buffer.from(String(token));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
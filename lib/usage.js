@@ -0,0 +1,258 @@
+// Usage and cost accounting.
+//
+// Every billable call a session makes is metered:
+//   stt          audio seconds sent for transcription
+//   translation  input and output tokens (translations and context summaries)
+//   tts          characters synthesized
+//   twilio       call seconds per leg, billed in whole minutes
+// A usage record totals them, with the estimated cost in USD:
+//   { stt: { requests, audioSeconds },
+//     translation: { requests, inputTokens, outputTokens },
+//     tts: { requests, characters },
+//     twilio: { legs, seconds, minutes },
+//     cost: { stt, translation, tts, twilio, total } }
+//
+// Rates are per provider and model (DEFAULT_RATES); USAGE_RATES, a JSON
+// object keyed the same way, overrides or adds entries. Calls to unpriced
+// models, such as the mock providers, are metered at no cost.
+//
+// The ledger keeps totals per UTC day and per user per day, plus the final
+// usage of ended sessions, in a JSON file (USAGE_FILE, default
+// data/usage.json). Days older than USAGE_RETENTION_DAYS (default 90) are
+// dropped.
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const USAGE_STAGES = ['stt', 'translation', 'tts', 'twilio'];
+
+export const DEFAULT_RATES = {
+    'openai/whisper-1': { perAudioMinute: 0.006 },
+    'openai/gpt-4': { perInputToken: 0.03 / 1000, perOutputToken: 0.06 / 1000 },
+    'openai/gpt-4o': { perInputToken: 2.5 / 1e6, perOutputToken: 10 / 1e6 },
+    'openai/gpt-4o-mini': { perInputToken: 0.15 / 1e6, perOutputToken: 0.6 / 1e6 },
+    'openai/tts-1': { perCharacter: 15 / 1e6 },
+    'openai/tts-1-hd': { perCharacter: 30 / 1e6 },
+    'twilio/phone': { perMinute: 0.014 },
+    'twilio/client': { perMinute: 0.004 }
+};
+
+// Costs are kept to a millionth of a dollar
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+export function createUsage() {
+    return {
+        stt: { requests: 0, audioSeconds: 0 },
+        translation: { requests: 0, inputTokens: 0, outputTokens: 0 },
+        tts: { requests: 0, characters: 0 },
+        twilio: { legs: 0, seconds: 0, minutes: 0 },
+        cost: { stt: 0, translation: 0, tts: 0, twilio: 0, total: 0 }
+    };
+}
+
+// DEFAULT_RATES with USAGE_RATES applied. Throws if USAGE_RATES is not a JSON object.
+export function loadRates() {
+    if (!process.env.USAGE_RATES) {
+        return { ...DEFAULT_RATES };
+    }
+    const overrides = JSON.parse(process.env.USAGE_RATES);
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('USAGE_RATES must be a JSON object keyed by provider/model');
+    }
+    return { ...DEFAULT_RATES, ...overrides };
+}
+
+// Turn one provider call into a usage entry with its cost. `call` is
+//   { stage, provider, model, audioSeconds | inputTokens, outputTokens | characters | seconds }
+// For twilio, `model` is the kind of call leg ('phone' or 'client').
+export function meterUsage(call, rates = DEFAULT_RATES) {
+    const rate = rates[`${call.provider}/${call.model}`] || {};
+    const entry = { stage: call.stage, provider: call.provider, model: call.model, at: new Date().toISOString() };
+
+    switch (call.stage) {
+        case 'stt':
+            entry.audioSeconds = Math.max(0, call.audioSeconds || 0);
+            entry.cost = entry.audioSeconds / 60 * (rate.perAudioMinute || 0);
+            break;
+        case 'translation':
+            entry.inputTokens = Math.max(0, call.inputTokens || 0);
+            entry.outputTokens = Math.max(0, call.outputTokens || 0);
+            entry.cost = entry.inputTokens * (rate.perInputToken || 0) + entry.outputTokens * (rate.perOutputToken || 0);
+            break;
+        case 'tts':
+            entry.characters = Math.max(0, call.characters || 0);
+            entry.cost = entry.characters * (rate.perCharacter || 0);
+            break;
+        case 'twilio':
+            entry.seconds = Math.max(0, Math.round(call.seconds || 0));
+            entry.minutes = Math.ceil(entry.seconds / 60);
+            entry.cost = entry.minutes * (rate.perMinute || 0);
+            break;
+        default:
+            throw new Error(`Unknown usage stage: ${call.stage}`);
+    }
+    entry.cost = roundCost(entry.cost);
+    return entry;
+}
+
+// Add a metered entry to a usage record in place
+export function addUsage(usage, entry) {
+    const totals = usage[entry.stage];
+    if (entry.stage === 'twilio') {
+        totals.legs++;
+        totals.seconds += entry.seconds;
+        totals.minutes += entry.minutes;
+    } else {
+        totals.requests++;
+        for (const field of ['audioSeconds', 'inputTokens', 'outputTokens', 'characters']) {
+            if (field in totals) {
+                totals[field] += entry[field] || 0;
+            }
+        }
+        if ('audioSeconds' in totals) {
+            totals.audioSeconds = Math.round(totals.audioSeconds * 1000) / 1000;
+        }
+    }
+    usage.cost[entry.stage] = roundCost(usage.cost[entry.stage] + entry.cost);
+    usage.cost.total = roundCost(usage.cost.total + entry.cost);
+    return usage;
+}
+
+// Sum usage records into a new one
+export function mergeUsage(records) {
+    const total = createUsage();
+    for (const record of records) {
+        for (const stage of USAGE_STAGES) {
+            for (const [field, value] of Object.entries(record[stage] || {})) {
+                total[stage][field] = (total[stage][field] || 0) + value;
+            }
+            total.cost[stage] = roundCost(total.cost[stage] + (record.cost?.[stage] || 0));
+        }
+        total.cost.total = roundCost(total.cost.total + (record.cost?.total || 0));
+    }
+    return total;
+}
+
+export function getUsageDay(at = new Date()) {
+    return at.toISOString().slice(0, 10);
+}
+
+export function createUsageLedger(options = {}) {
+    const filePath = options.path || path.resolve(process.env.USAGE_FILE || 'data/usage.json');
+    const retentionDays = options.retentionDays || Number(process.env.USAGE_RETENTION_DAYS) || 90;
+    let days = {};     // day -> { total, users: { userId -> usage } }
+    let sessions = {}; // sessionId -> { sessionId, ownerId, createdAt, endedAt, usage }
+    let writeTimer = null;
+    let writing = Promise.resolve();
+
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        days = data.days || {};
+        sessions = data.sessions || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Failed to read usage ledger', { path: filePath, error });
+        }
+    }
+
+    function prune() {
+        const cutoff = getUsageDay(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+        for (const day of Object.keys(days)) {
+            if (day < cutoff) {
+                delete days[day];
+            }
+        }
+        for (const [sessionId, record] of Object.entries(sessions)) {
+            if (getUsageDay(new Date(record.endedAt)) < cutoff) {
+                delete sessions[sessionId];
+            }
+        }
+    }
+
+    // Writes go through a temporary file so a crash never leaves a torn ledger
+    function write() {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        prune();
+        const tempPath = `${filePath}.tmp`;
+        const contents = JSON.stringify({ days, sessions }) + '\n';
+        writing = writing
+            .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+            .then(() => fs.promises.writeFile(tempPath, contents))
+            .then(() => fs.promises.rename(tempPath, filePath))
+            .catch(error => logger.error('Failed to write usage ledger', { path: filePath, error }));
+    }
+
+    // Metering happens on every utterance, so writes are coalesced
+    function scheduleWrite() {
+        if (!writeTimer) {
+            writeTimer = setTimeout(write, 1000).unref();
+        }
+    }
+
+    function getDay(day) {
+        if (!days[day]) {
+            days[day] = { total: createUsage(), users: {} };
+        }
+        return days[day];
+    }
+
+    return {
+        path: filePath,
+
+        // Add a metered entry to its day, for the user it is billed to
+        record(entry, userId) {
+            const day = getDay(getUsageDay(new Date(entry.at)));
+            addUsage(day.total, entry);
+            const key = userId || 'unassigned';
+            addUsage(day.users[key] || (day.users[key] = createUsage()), entry);
+            scheduleWrite();
+        },
+
+        // Keep an ended session's final usage
+        recordSession(session) {
+            if (!session.usage) {
+                return;
+            }
+            sessions[session.sessionId] = {
+                sessionId: session.sessionId,
+                ownerId: session.ownerId || null,
+                createdAt: session.createdAt,
+                endedAt: session.endedAt || new Date().toISOString(),
+                usage: session.usage
+            };
+            scheduleWrite();
+        },
+
+        getSession: (sessionId) => sessions[sessionId] || null,
+
+        // Cost so far on a day, optionally for one user
+        getCost(day = getUsageDay(), userId = null) {
+            const record = days[day];
+            if (!record) {
+                return 0;
+            }
+            return (userId ? record.users[userId]?.cost.total : record.total.cost.total) || 0;
+        },
+
+        // Days between `from` and `to` (inclusive, YYYY-MM-DD), oldest first,
+        // each as { day, usage, users: { userId -> usage } }
+        getDays(from = '', to = '9999-12-31') {
+            return Object.keys(days)
+                .filter(day => day >= from && day <= to)
+                .sort()
+                .map(day => ({ day, usage: days[day].total, users: days[day].users }));
+        },
+
+        // Write anything still waiting on the coalescing timer, and wait until
+        // it is on disk
+        flush() {
+            if (writeTimer) {
+                write();
+            }
+            return writing;
+        }
+    };
+}
@@ -0,0 +1,184 @@
+// Voice activity detection and utterance segmentation.
+//
+// Twilio delivers inbound audio as 20ms μ-law frames. Rather than slicing that
+// stream into fixed-size chunks, the segmenter tracks frame energy and groups
+// frames into whole utterances bounded by pauses, so that every STT request
+// sees a complete phrase.
+
+export const DEFAULT_VAD_CONFIG = {
+    sampleRate: 8000,
+    frameMs: 20,
+    speechThresholdDb: -45, // Frame energy (dBFS) above which a frame may be speech
+    noiseMarginDb: 10,      // Required margin above the tracked noise floor
+    speechStartMs: 60,      // Consecutive speech needed to open an utterance
+    silenceMs: 700,         // Trailing silence that closes an utterance
+    minUtteranceMs: 300,    // Shorter utterances are dropped as clicks and noise
+    maxUtteranceMs: 15000,  // Longer utterances are cut and emitted as-is
+    preRollMs: 200          // Audio kept from before speech onset
+};
+
+// Energy of a frame of μ-law bytes in dBFS
+function frameEnergyDb(frame, decodeSample) {
+    let sumSquares = 0;
+    for (let i = 0; i < frame.length; i++) {
+        const sample = decodeSample(frame[i]) / 32768;
+        sumSquares += sample * sample;
+    }
+    const rms = Math.sqrt(sumSquares / frame.length);
+    return rms > 0 ? 20 * Math.log10(rms) : -120;
+}
+
+// Create a stateful segmenter for one participant's inbound audio.
+// `decodeSample` converts a single encoded byte to a 16-bit linear sample.
+// `onSpeechStart`, if given, is called with the onset offset (ms) as soon as
+// an utterance opens, before it is complete.
+// push() returns the utterances completed by the given chunk, each as
+// { audio, startOffsetMs, endOffsetMs, durationMs, reason } where offsets are
+// measured from the first audio pushed into the segmenter.
+export function createUtteranceSegmenter(options = {}) {
+    const config = { ...DEFAULT_VAD_CONFIG, ...options };
+    const { decodeSample } = config;
+
+    if (typeof decodeSample !== 'function') {
+        throw new Error('createUtteranceSegmenter requires a decodeSample function');
+    }
+
+    const frameBytes = Math.round(config.sampleRate * config.frameMs / 1000);
+    const speechStartFrames = Math.max(1, Math.ceil(config.speechStartMs / config.frameMs));
+    const silenceFrames = Math.max(1, Math.ceil(config.silenceMs / config.frameMs));
+    const minFrames = Math.ceil(config.minUtteranceMs / config.frameMs);
+    const maxFrames = Math.max(1, Math.floor(config.maxUtteranceMs / config.frameMs));
+    const preRollFrames = Math.ceil(config.preRollMs / config.frameMs);
+
+    let pending = Buffer.alloc(0); // Partial frame carried between pushes
+    let framesSeen = 0;
+    let noiseFloorDb = config.speechThresholdDb - config.noiseMarginDb;
+
+    let inSpeech = false;
+    let preRoll = [];        // Recent non-speech frames, bounded by preRollFrames
+    let onsetFrames = [];    // Candidate speech frames before an utterance opens
+    let utteranceFrames = [];
+    let utteranceStartFrame = 0;
+    let leadingFrames = 0;   // Pre-roll frames at the start of the utterance
+    let trailingSilence = 0;
+
+    function isSpeech(energyDb) {
+        const threshold = Math.max(config.speechThresholdDb, noiseFloorDb + config.noiseMarginDb);
+        return energyDb >= threshold;
+    }
+
+    function trackNoiseFloor(energyDb) {
+        // Follow the floor down quickly and up slowly so speech does not raise it
+        const rate = energyDb < noiseFloorDb ? 0.2 : 0.02;
+        noiseFloorDb += (energyDb - noiseFloorDb) * rate;
+    }
+
+    function finishUtterance(reason) {
+        // Trailing silence beyond a short tail is not useful to STT
+        const keepTail = Math.min(trailingSilence, preRollFrames);
+        const frames = utteranceFrames.slice(0, utteranceFrames.length - trailingSilence + keepTail);
+        const speechFrames = utteranceFrames.length - trailingSilence - leadingFrames;
+
+        inSpeech = false;
+        utteranceFrames = [];
+        trailingSilence = 0;
+        preRoll = [];
+
+        if (speechFrames < minFrames) {
+            return null;
+        }
+
+        const startOffsetMs = utteranceStartFrame * config.frameMs;
+        const durationMs = frames.length * config.frameMs;
+        return {
+            audio: Buffer.concat(frames),
+            startOffsetMs,
+            endOffsetMs: startOffsetMs + durationMs,
+            durationMs,
+            reason
+        };
+    }
+
+    function processFrame(frame, completed) {
+        const frameIndex = framesSeen++;
+        const energyDb = frameEnergyDb(frame, decodeSample);
+        const speech = isSpeech(energyDb);
+
+        if (!inSpeech) {
+            if (speech) {
+                onsetFrames.push(frame);
+                if (onsetFrames.length >= speechStartFrames) {
+                    inSpeech = true;
+                    utteranceFrames = [...preRoll, ...onsetFrames];
+                    leadingFrames = preRoll.length;
+                    utteranceStartFrame = frameIndex + 1 - utteranceFrames.length;
+                    onsetFrames = [];
+                    preRoll = [];
+                    trailingSilence = 0;
+                    if (config.onSpeechStart) {
+                        config.onSpeechStart(utteranceStartFrame * config.frameMs);
+                    }
+                }
+            } else {
+                trackNoiseFloor(energyDb);
+                // A short blip that never reached speechStartMs becomes pre-roll
+                preRoll.push(...onsetFrames, frame);
+                onsetFrames = [];
+                if (preRoll.length > preRollFrames) {
+                    preRoll = preRoll.slice(preRoll.length - preRollFrames);
+                }
+            }
+            return;
+        }
+
+        utteranceFrames.push(frame);
+        trailingSilence = speech ? 0 : trailingSilence + 1;
+
+        let utterance = null;
+        if (trailingSilence >= silenceFrames) {
+            utterance = finishUtterance('silence');
+        } else if (utteranceFrames.length >= maxFrames) {
+            utterance = finishUtterance('max_length');
+        }
+
+        if (utterance) {
+            completed.push(utterance);
+        }
+    }
+
+    return {
+        push(chunk) {
+            const completed = [];
+            const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+            let offset = 0;
+            while (offset + frameBytes <= data.length) {
+                processFrame(data.subarray(offset, offset + frameBytes), completed);
+                offset += frameBytes;
+            }
+            pending = Buffer.from(data.subarray(offset));
+
+            return completed;
+        },
+
+        // Emit whatever speech is in progress, e.g. when the stream stops
+        flush() {
+            if (inSpeech && pending.length > 0) {
+                utteranceFrames.push(pending);
+            }
+            pending = Buffer.alloc(0);
+            const utterance = inSpeech ? finishUtterance('flush') : null;
+            onsetFrames = [];
+            preRoll = [];
+            return utterance ? [utterance] : [];
+        },
+
+        get inSpeech() {
+            return inSpeech;
+        },
+
+        get bufferedBytes() {
+            return pending.length + utteranceFrames.reduce((total, frame) => total + frame.length, 0);
+        }
+    };
+}
@@ -0,0 +1,89 @@
+// Voice catalog and per-participant voice settings for synthesized speech.
+//
+// Translated speech stands in for the person who spoke, so voices belong to
+// the speaker: `session.voices[participantId]` is
+//   { voice?, gender?, speed, volume }
+// An explicit voice wins; otherwise the language's default voice for the
+// given gender (or a neutral voice) is used. The OpenAI voices are
+// multilingual, so every supported language offers the full set and only the
+// defaults differ.
+
+export const VOICES = {
+    alloy: { gender: 'neutral', description: 'Balanced, neutral' },
+    echo: { gender: 'male', description: 'Warm, measured' },
+    fable: { gender: 'male', description: 'Expressive, bright' },
+    onyx: { gender: 'male', description: 'Deep, calm' },
+    nova: { gender: 'female', description: 'Clear, friendly' },
+    shimmer: { gender: 'female', description: 'Soft, gentle' }
+};
+
+export const VOICE_GENDERS = ['female', 'male', 'neutral'];
+
+const DEFAULT_VOICES = { female: 'nova', male: 'onyx', neutral: 'alloy' };
+
+// Languages whose defaults differ from DEFAULT_VOICES
+const LANGUAGE_DEFAULT_VOICES = {
+    ja: { female: 'shimmer' },
+    ko: { female: 'shimmer' },
+    zh: { female: 'shimmer', male: 'echo' },
+    th: { female: 'shimmer' },
+    vi: { female: 'shimmer' }
+};
+
+export const SPEED_RANGE = { min: 0.5, max: 2 };
+export const VOLUME_RANGE = { min: 0.1, max: 2 };
+
+function getDefaultVoices(language) {
+    return { ...DEFAULT_VOICES, ...LANGUAGE_DEFAULT_VOICES[language] };
+}
+
+// The catalog served to clients: voices and defaults for each language
+export function getVoiceCatalog(languages) {
+    const voices = Object.entries(VOICES).map(([id, voice]) => ({ id, ...voice }));
+    return Object.fromEntries(languages.map(language => [language, { voices, defaults: getDefaultVoices(language) }]));
+}
+
+function numberInRange(value, range, field) {
+    if (value === undefined) {
+        return 1;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < range.min || number > range.max) {
+        throw new Error(`${field} must be between ${range.min} and ${range.max}`);
+    }
+    return number;
+}
+
+// Validate one participant's voice settings. Throws on bad input.
+export function normalizeVoiceSettings(input = {}, field = 'voice') {
+    if (typeof input !== 'object' || input === null) {
+        throw new Error(`${field} must be an object`);
+    }
+    if (input.voice !== undefined && !VOICES[input.voice]) {
+        throw new Error(`${field}.voice must be one of: ${Object.keys(VOICES).join(', ')}`);
+    }
+    if (input.gender !== undefined && !VOICE_GENDERS.includes(input.gender)) {
+        throw new Error(`${field}.gender must be one of: ${VOICE_GENDERS.join(', ')}`);
+    }
+
+    const settings = {
+        speed: numberInRange(input.speed, SPEED_RANGE, `${field}.speed`),
+        volume: numberInRange(input.volume, VOLUME_RANGE, `${field}.volume`)
+    };
+    if (input.voice) {
+        settings.voice = input.voice;
+    }
+    if (input.gender) {
+        settings.gender = input.gender;
+    }
+    return settings;
+}
+
+// The concrete voice, speed and volume for speech in `language`
+export function resolveVoice(settings = {}, language) {
+    return {
+        voice: settings.voice || getDefaultVoices(language)[settings.gender || 'neutral'],
+        speed: settings.speed ?? 1,
+        volume: settings.volume ?? 1
+    };
+}
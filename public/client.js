@@ -17,6 +17,9 @@ let activeCall;
 let currentSession = null;
 let isMuted = false;
 let translationSocket = null; // WebSocket for translation updates
+let currentUser = null;
+let queueSocket = null; // WebSocket announcing inbound calls waiting for an agent
+let queuedCalls = new Map(); // sessionId -> queued call
 
 // DOM elements - will be set when DOM is ready
 let startSection;
@@ -32,6 +35,11 @@ let muteBtn;
 let statusText;
 let callStatus;
 let translationLog;
+let loginSection;
+let loginForm;
+let userBar;
+let queueSection;
+let queueList;
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
@@ -46,9 +54,94 @@ document.addEventListener('DOMContentLoaded', function() {
     
     console.log('Initializing Phase 2 - Web Calling Interface');
     setupEventListeners();
-    initializeTwilioDevice();
+    checkAuthentication();
 });
 
+// Show the app for a signed-in user, or the login form otherwise
+async function checkAuthentication() {
+    try {
+        const response = await fetch('/auth/me');
+        if (response.ok) {
+            const data = await response.json();
+            showSignedIn(data.user);
+            return;
+        }
+    } catch (error) {
+        console.error('Failed to check authentication:', error);
+    }
+    showLogin();
+}
+
+function showLogin(message) {
+    currentUser = null;
+    if (loginSection) loginSection.classList.remove('hidden');
+    if (userBar) userBar.classList.add('hidden');
+    if (startSection) startSection.classList.add('hidden');
+    if (joinSection) joinSection.classList.add('hidden');
+    if (queueSection) queueSection.classList.add('hidden');
+    disconnectAgentQueue();
+    if (message) updateStatus(message, 'error');
+}
+
+function showSignedIn(user) {
+    currentUser = user;
+    if (loginSection) loginSection.classList.add('hidden');
+    if (userBar) userBar.classList.remove('hidden');
+    if (startSection && !currentSession) startSection.classList.remove('hidden');
+    
+    const userName = document.getElementById('user-name');
+    if (userName) userName.textContent = `Signed in as ${user.username} (${user.role})`;
+    
+    if (!device) {
+        initializeTwilioDevice();
+    }
+    connectAgentQueue();
+}
+
+// Handle login form submission
+async function handleLogin(e) {
+    e.preventDefault();
+    
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+    
+    try {
+        const response = await fetch('/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        
+        document.getElementById('login-password').value = '';
+        showSignedIn(data.user);
+    } catch (error) {
+        updateStatus(`Sign in failed: ${error.message}`, 'error');
+    }
+}
+
+async function handleLogout() {
+    if (activeCall) {
+        activeCall.disconnect();
+    }
+    if (device) {
+        device.destroy();
+        device = null;
+    }
+    
+    try {
+        await fetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout request failed:', error);
+    }
+    currentSession = null;
+    showLogin();
+}
+
 // Setup event listeners
 function setupEventListeners() {
     console.log('Setting up event listeners');
@@ -67,6 +160,11 @@ function setupEventListeners() {
     statusText = document.getElementById('status-text');
     callStatus = document.getElementById('call-status');
     translationLog = document.getElementById('translation-log');
+    loginSection = document.getElementById('login-section');
+    loginForm = document.getElementById('login-form');
+    userBar = document.getElementById('user-bar');
+    queueSection = document.getElementById('queue-section');
+    queueList = document.getElementById('queue-list');
     
     console.log('DOM elements check:');
     console.log('- Start button:', startBtn);
@@ -79,6 +177,15 @@ function setupEventListeners() {
         console.error('Translation form not found');
     }
     
+    if (loginForm) {
+        loginForm.addEventListener('submit', handleLogin);
+    }
+    
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', handleLogout);
+    }
+    
     if (joinCallBtn) {
         joinCallBtn.addEventListener('click', handleJoinCall);
     }
@@ -91,6 +198,15 @@ function setupEventListeners() {
         muteBtn.addEventListener('click', handleToggleMute);
     }
     
+    if (queueList) {
+        queueList.addEventListener('click', (event) => {
+            const sessionId = event.target.getAttribute('data-session');
+            if (sessionId) {
+                handlePickUpCall(sessionId);
+            }
+        });
+    }
+    
     console.log('Event listeners setup complete');
 }
 
@@ -105,6 +221,10 @@ async function initializeTwilioDevice() {
         }
         
         const response = await fetch('/token');
+        if (response.status === 401) {
+            showLogin('Your sign-in has expired. Please sign in again.');
+            return;
+        }
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -176,6 +296,10 @@ async function handleStartTranslation(e) {
     const phoneNumber = document.getElementById('phone-number').value.trim();
     const webLanguage = document.getElementById('web-language').value;
     const phoneLanguage = document.getElementById('phone-language').value;
+    const voices = {
+        web: getVoiceChoice('web-voice'),
+        phone: getVoiceChoice('phone-voice')
+    };
     
     console.log('Starting translation session:', { phoneNumber, webLanguage, phoneLanguage });
     
@@ -200,10 +324,17 @@ async function handleStartTranslation(e) {
             body: JSON.stringify({
                 phoneNumber: phoneNumber,
                 phoneLanguage: phoneLanguage,
-                webLanguage: webLanguage
+                webLanguage: webLanguage,
+                voices: voices,
+                mode: getSessionModeChoice()
             })
         });
         
+        if (response.status === 401) {
+            showLogin('Your sign-in has expired. Please sign in again.');
+            return;
+        }
+        
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -215,10 +346,13 @@ async function handleStartTranslation(e) {
             currentSession = {
                 sessionId: data.sessionId,
                 callSid: data.callSid,
-                languages: {
+                joinTicket: data.joinTicket,
+                joinTicketExpiresAt: data.joinTicketExpiresAt,
+                languages: data.languages || {
                     web: webLanguage,
                     phone: phoneLanguage
-                }
+                },
+                detectingPhoneLanguage: phoneLanguage === 'auto'
             };
             
             console.log('Translation session started successfully:', currentSession);
@@ -226,6 +360,7 @@ async function handleStartTranslation(e) {
             // Show join section
             if (startSection) startSection.classList.add('hidden');
             if (joinSection) joinSection.classList.remove('hidden');
+            renderQueue();
             
             // Initialize translation WebSocket
             initializeTranslationWebSocket();
@@ -238,9 +373,6 @@ async function handleStartTranslation(e) {
                 'success'
             );
             
-            // Start checking session status
-            checkSessionStatus();
-            
         } else {
             throw new Error(data.error || 'Failed to start translation session');
         }
@@ -256,6 +388,127 @@ async function handleStartTranslation(e) {
     }
 }
 
+// Listen for inbound callers waiting in the queue while signed in
+function connectAgentQueue() {
+    if (queueSocket || !currentUser) return;
+    
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/agent-queue`);
+    queueSocket = socket;
+    
+    socket.onmessage = (event) => {
+        try {
+            handleQueueUpdate(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error parsing queue update:', error);
+        }
+    };
+    
+    socket.onclose = () => {
+        if (queueSocket !== socket) return;
+        queueSocket = null;
+        // Reconnect unless the agent signed out
+        if (currentUser) {
+            setTimeout(connectAgentQueue, 5000);
+        }
+    };
+    
+    socket.onerror = (error) => {
+        console.error('Agent queue WebSocket error:', error);
+    };
+}
+
+function disconnectAgentQueue() {
+    const socket = queueSocket;
+    queueSocket = null;
+    queuedCalls = new Map();
+    if (socket) socket.close();
+}
+
+function handleQueueUpdate(data) {
+    switch (data.type) {
+        case 'queue_snapshot':
+            queuedCalls = new Map(data.calls.map(call => [call.sessionId, call]));
+            break;
+            
+        case 'call_queued':
+            queuedCalls.set(data.call.sessionId, data.call);
+            if (!currentSession) {
+                updateStatus(`Incoming call from ${data.call.phoneNumber} (${getLanguageName(data.call.language)})`, 'info');
+            }
+            break;
+            
+        case 'call_claimed':
+        case 'call_abandoned':
+            queuedCalls.delete(data.sessionId);
+            break;
+            
+        default:
+            console.log('Unknown queue update type:', data.type);
+    }
+    renderQueue();
+}
+
+function renderQueue() {
+    if (!queueSection || !queueList) return;
+    
+    queueSection.classList.toggle('hidden', !currentUser || Boolean(currentSession));
+    document.getElementById('queue-empty').classList.toggle('hidden', queuedCalls.size > 0);
+    
+    queueList.innerHTML = [...queuedCalls.values()].map(call => `
+        <li class="queue-item">
+            <span>📞 ${escapeHtml(call.phoneNumber || 'Unknown caller')} · ${escapeHtml(getLanguageName(call.language))} · waiting since ${new Date(call.queuedAt).toLocaleTimeString()}</span>
+            <button type="button" class="pickup-btn" data-session="${escapeHtml(call.sessionId)}">Pick Up</button>
+        </li>
+    `).join('');
+}
+
+// Claim a queued call, then join it like an outbound session
+async function handlePickUpCall(sessionId) {
+    const webLanguage = document.getElementById('web-language').value;
+    
+    try {
+        const response = await fetch(`/api/queue/${encodeURIComponent(sessionId)}/claim`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ webLanguage, voices: { web: getVoiceChoice('web-voice') }, mode: getSessionModeChoice() })
+        });
+        
+        if (response.status === 401) {
+            showLogin('Your sign-in has expired. Please sign in again.');
+            return;
+        }
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        
+        currentSession = {
+            sessionId: data.sessionId,
+            joinTicket: data.joinTicket,
+            joinTicketExpiresAt: data.joinTicketExpiresAt,
+            languages: data.languages,
+            detectingPhoneLanguage: false
+        };
+        
+        if (startSection) startSection.classList.add('hidden');
+        if (joinSection) joinSection.classList.remove('hidden');
+        renderQueue();
+        initializeTranslationWebSocket();
+        
+        updateStatus(
+            `Picked up the call from ${data.phoneNumber}.\n` +
+            `Translation: ${getLanguageName(data.languages.web)} ↔ ${getLanguageName(data.languages.phone)}\n` +
+            `Click "Join Call" to talk to the caller.`,
+            'success'
+        );
+    } catch (error) {
+        console.error('Failed to pick up call:', error);
+        updateStatus(`Could not pick up the call: ${error.message}`, 'error');
+    }
+}
+
 // Initialize translation WebSocket for real-time updates
 function initializeTranslationWebSocket() {
     if (!currentSession) return;
@@ -264,13 +517,14 @@ function initializeTranslationWebSocket() {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const wsUrl = `${protocol}//${window.location.host}/translation-updates?session=${currentSession.sessionId}`;
         
-        translationSocket = new WebSocket(wsUrl);
+        const socket = new WebSocket(wsUrl);
+        translationSocket = socket;
         
-        translationSocket.onopen = () => {
+        socket.onopen = () => {
             console.log('Translation WebSocket connected');
         };
         
-        translationSocket.onmessage = (event) => {
+        socket.onmessage = (event) => {
             try {
                 const data = JSON.parse(event.data);
                 handleTranslationUpdate(data);
@@ -279,11 +533,20 @@ function initializeTranslationWebSocket() {
             }
         };
         
-        translationSocket.onclose = () => {
+        socket.onclose = (event) => {
             console.log('Translation WebSocket disconnected');
+            if (translationSocket !== socket) return;
+            translationSocket = null;
+            // Session status arrives over this socket, so reconnect after a drop;
+            // the server closes it normally once the session is gone
+            if (currentSession && !currentSession.ended && event.code !== 1000 && event.code !== 1008) {
+                setTimeout(() => {
+                    if (currentSession && !translationSocket) initializeTranslationWebSocket();
+                }, 3000);
+            }
         };
         
-        translationSocket.onerror = (error) => {
+        socket.onerror = (error) => {
             console.error('Translation WebSocket error:', error);
         };
         
@@ -297,17 +560,67 @@ function handleTranslationUpdate(data) {
     console.log('Translation update:', data);
     
     switch (data.type) {
+        case 'session_status':
+            handleSessionStatus(data);
+            break;
+            
+        case 'participant_status':
+            addTranslationEntry('System', describeParticipantStatus(data), null, data.event === 'failed' ? 'error' : 'completed');
+            break;
+            
         case 'transcription':
-            addTranslationEntry(data.speaker, data.text, null, 'transcribing');
+            // Caption-only transcriptions have no translation to wait for
+            addTranslationEntry(getSpeakerLabel(data.speaker), data.text, null, data.captionOnly ? 'completed' : 'transcribing', data.utteranceId);
             break;
             
         case 'translation':
-            updateTranslationEntry(data.originalText, data.translatedText, data.fromLanguage, data.toLanguage);
+            updateTranslationEntry(data.utteranceId, data.originalText, data.translatedText, data.fromLanguage, data.toLanguage);
+            if (data.missingGlossaryTerms) {
+                addTranslationEntry('System', `Glossary terms missing from the ${getLanguageName(data.toLanguage)} translation: ${data.missingGlossaryTerms.join(', ')}`, null, 'error');
+            }
+            break;
+            
+        case 'language_detected':
+        case 'language_switched':
+            if (currentSession) {
+                currentSession.languages.phone = data.language;
+                currentSession.detectingPhoneLanguage = false;
+            }
+            addTranslationEntry(
+                'System',
+                data.type === 'language_detected'
+                    ? `Caller is speaking ${getLanguageName(data.language)}`
+                    : `Caller switched from ${getLanguageName(data.previousLanguage)} to ${getLanguageName(data.language)}`,
+                null,
+                'completed'
+            );
+            break;
+            
+        case 'interruption':
+            addTranslationEntry('System', `${getSpeakerLabel(data.participant)} started speaking, translated playback stopped`, null, 'completed');
+            break;
+            
+        case 'backlog':
+            addTranslationEntry(
+                'System',
+                data.action === 'merged'
+                    ? `Translation fell behind; ${data.utterances} of ${getSpeakerLabel(data.participant)}'s utterances were combined to catch up`
+                    : `Translation fell behind; ${data.utterances} of ${getSpeakerLabel(data.participant)}'s utterances were skipped to catch up`,
+                null,
+                'error'
+            );
+            break;
+
+        case 'translation_stopped':
+            showTranslationStopped(data.reason);
             break;
             
         case 'error':
             console.error('Translation error:', data.error);
-            addTranslationEntry('System', `Translation error: ${data.error}`, null, 'error');
+            markTranslationEntryFailed(data.utteranceId);
+            addTranslationEntry('System', UNAVAILABLE_CODES.includes(data.code)
+                ? `Translation temporarily unavailable (${data.stage})`
+                : `Translation error: ${data.error}`, null, 'error');
             break;
             
         default:
@@ -315,18 +628,110 @@ function handleTranslationUpdate(data) {
     }
 }
 
+// Error codes meaning a provider is down or too slow rather than a bad request
+const UNAVAILABLE_CODES = ['CIRCUIT_OPEN', 'PROVIDER_TIMEOUT'];
+
+// Why a session ended, for the status message
+const END_REASONS = {
+    call_completed: 'the call was hung up',
+    call_busy: 'the line was busy',
+    call_no_answer: 'nobody answered',
+    call_failed: 'the call could not be connected',
+    call_canceled: 'the call was canceled',
+    call_not_placed: 'the call could not be placed',
+    caller_hung_up: 'the caller hung up',
+    conference_ended: 'the conference ended',
+    ring_timeout: 'nobody answered in time',
+    answer_timeout: 'the caller never reached the conference',
+    queue_timeout: 'the caller waited too long',
+    join_timeout: 'nobody joined in time',
+    web_join_timeout: 'the browser did not join in time',
+    max_duration: 'the call reached its maximum length'
+};
+
+// Why translation stopped while the call goes on
+const STOP_REASONS = {
+    session_budget_exhausted: 'this call reached its spending limit',
+    daily_budget_exhausted: 'today\'s spending limit was reached'
+};
+
+function showTranslationStopped(reason) {
+    if (!currentSession || currentSession.translationStopped) return;
+    currentSession.translationStopped = reason;
+    addTranslationEntry('System', `Translation stopped: ${STOP_REASONS[reason] || reason}. The call stays connected.`, null, 'error');
+}
+
+// React to session status pushed by the server
+function handleSessionStatus(data) {
+    if (!currentSession || data.sessionId !== currentSession.sessionId) return;
+    
+    currentSession.status = data.status;
+    console.log('Session status:', data.status, data.reason);
+    if (data.translationStopped) {
+        showTranslationStopped(data.translationStopped);
+    }
+    
+    switch (data.status) {
+        case 'phone_answered':
+        case 'phone_in_conference':
+            if (!activeCall) {
+                updateStatus('Phone answered! Ready to join the call.', 'success');
+                if (joinCallBtn) joinCallBtn.disabled = false;
+            }
+            break;
+            
+        case 'call_ended':
+        case 'conference_ended':
+            currentSession.ended = true;
+            updateStatus(`Session ended: ${END_REASONS[data.endReason] || data.endReason || 'the call is over'}.`, 'error');
+            if (joinCallBtn && !activeCall) joinCallBtn.disabled = true;
+            break;
+    }
+}
+
+function describeParticipantStatus(data) {
+    const name = getSpeakerLabel(data.participant);
+    switch (data.event) {
+        case 'ringing': return `${name}: phone is ringing`;
+        case 'answered': return `${name} answered`;
+        case 'joined': return `${name} joined the call`;
+        case 'left': return `${name} left the call`;
+        case 'ended': return `${name}'s call ended`;
+        case 'failed': return `${name}'s call failed (${data.callStatus})`;
+        default: return `${name}: ${data.event}`;
+    }
+}
+
+// Label shown for each participant in the translation log
+function getSpeakerLabel(speaker) {
+    if (speaker === 'web') return 'You';
+    if (speaker === 'phone') return 'Caller';
+    const match = /^(phone|web)-(\d+)$/.exec(speaker || '');
+    if (match) return `${match[1] === 'phone' ? 'Caller' : 'Participant'} ${match[2]}`;
+    return speaker || 'Unknown';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Add translation entry to the log
-function addTranslationEntry(speaker, originalText, translatedText, status = 'completed') {
+function addTranslationEntry(speaker, originalText, translatedText, status = 'completed', utteranceId = null) {
     if (!translationLog) return;
     
     const timestamp = new Date().toLocaleTimeString();
-    const entryId = `entry-${Date.now()}`;
+    const entryId = `entry-${utteranceId || Date.now()}`;
     
     const entryHtml = `
-        <div class="translation-item" id="${entryId}" data-status="${status}">
-            <span class="speaker">${speaker} (${timestamp}):</span>
-            <span class="original">${originalText}</span>
-            ${translatedText ? `<span class="translated">${translatedText}</span>` : ''}
+        <div class="translation-item" id="${escapeHtml(entryId)}" data-status="${status}">
+            <span class="speaker">${escapeHtml(speaker)} (${timestamp}):</span>
+            <span class="original">${escapeHtml(originalText)}</span>
+            ${translatedText ? `<span class="translated">${escapeHtml(translatedText)}</span>` : ''}
             ${status === 'transcribing' ? '<span class="status">Translating...</span>' : ''}
             ${status === 'error' ? '<span class="status error">Error</span>' : ''}
         </div>
@@ -337,23 +742,46 @@ function addTranslationEntry(speaker, originalText, translatedText, status = 'co
 }
 
 // Update existing translation entry
-function updateTranslationEntry(originalText, translatedText, fromLang, toLang) {
+function updateTranslationEntry(utteranceId, originalText, translatedText, fromLang, toLang) {
     if (!translationLog) return;
     
-    // Find the entry with matching original text
-    const entries = translationLog.querySelectorAll('.translation-item[data-status="transcribing"]');
-    for (const entry of entries) {
-        const originalSpan = entry.querySelector('.original');
-        if (originalSpan && originalSpan.textContent === originalText) {
-            // Update the entry
-            const statusSpan = entry.querySelector('.status');
-            if (statusSpan) statusSpan.remove();
-            
-            entry.insertAdjacentHTML('beforeend', `<span class="translated">${translatedText}</span>`);
-            entry.setAttribute('data-status', 'completed');
-            break;
-        }
+    const entry = utteranceId ? document.getElementById(`entry-${utteranceId}`) : null;
+    if (!entry) {
+        // Transcription was missed (e.g. socket reconnected), show the pair as one entry
+        addTranslationEntry(getLanguageName(fromLang), originalText, translatedText, 'completed', utteranceId);
+        return;
     }
+    
+    const statusSpan = entry.querySelector('.status');
+    if (statusSpan) statusSpan.remove();
+    
+    entry.insertAdjacentHTML('beforeend', `<span class="translated">${escapeHtml(translatedText)}</span>`);
+    entry.setAttribute('data-status', 'completed');
+}
+
+// Mark an in-progress entry as failed
+function markTranslationEntryFailed(utteranceId) {
+    const entry = utteranceId ? document.getElementById(`entry-${utteranceId}`) : null;
+    if (!entry) return;
+    
+    const statusSpan = entry.querySelector('.status');
+    if (statusSpan) {
+        statusSpan.textContent = 'Error';
+        statusSpan.classList.add('error');
+    }
+    entry.setAttribute('data-status', 'error');
+}
+
+// Voice settings from one of the voice selects (an empty value keeps the default)
+function getVoiceChoice(selectId) {
+    const select = document.getElementById(selectId);
+    return select && select.value ? { gender: select.value } : {};
+}
+
+// Voice, captions or both; defaults to voice
+function getSessionModeChoice() {
+    const select = document.getElementById('session-mode');
+    return select && select.value ? select.value : 'voice';
 }
 
 // Get human-readable language name
@@ -372,7 +800,8 @@ function getLanguageName(langCode) {
         'ru': 'Russian',
         'it': 'Italian',
         'vi': 'Vietnamese',
-        'th': 'Thai'
+        'th': 'Thai',
+        'auto': 'Auto-detect'
     };
     return languageNames[langCode] || langCode;
 }
@@ -393,12 +822,20 @@ async function handleJoinCall() {
         
         console.log('Joining call via Twilio Device');
         
-        // Make a call to join the conference
+        // Reconnect the translation feed if a previous call closed it
+        if (!translationSocket) {
+            initializeTranslationWebSocket();
+        }
+        
+        // Join this session's conference; the server rejects any other session
+        const joinTicket = await getJoinTicket();
         const params = {
-            type: 'web'
+            type: 'web',
+            sessionId: currentSession.sessionId,
+            joinTicket: joinTicket
         };
         
-        console.log('Connecting with params:', params);
+        console.log('Connecting to session:', currentSession.sessionId);
         
         activeCall = await device.connect(params);
         
@@ -422,7 +859,10 @@ async function handleJoinCall() {
                 `;
             }
             
-            updateStatus(`Successfully joined! Translation between ${getLanguageName(currentSession.languages.web)} and ${getLanguageName(currentSession.languages.phone)} is now active.`, 'success');
+            const phoneLanguageName = currentSession.detectingPhoneLanguage
+                ? 'the caller\'s language (detecting...)'
+                : getLanguageName(currentSession.languages.phone);
+            updateStatus(`Successfully joined! Translation between ${getLanguageName(currentSession.languages.web)} and ${phoneLanguageName} is now active.`, 'success');
         });
         
         activeCall.on('disconnect', () => {
@@ -459,6 +899,26 @@ async function handleJoinCall() {
     }
 }
 
+// Return a join ticket for the current session. Tickets admit one join, so the
+// one issued with the session is used once and later joins request a new one.
+async function getJoinTicket() {
+    const expiresAt = currentSession.joinTicketExpiresAt ? new Date(currentSession.joinTicketExpiresAt).getTime() : 0;
+    const ticket = currentSession.joinTicket;
+    currentSession.joinTicket = null;
+    
+    // Leave a margin for the time it takes Twilio to reach the server
+    if (ticket && expiresAt - Date.now() > 30000) {
+        return ticket;
+    }
+    
+    const response = await fetch(`/api/sessions/${encodeURIComponent(currentSession.sessionId)}/join-ticket`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data.joinTicket;
+}
+
 // Handle end call with translation cleanup
 function handleEndCall() {
     console.log('Ending call');
@@ -527,38 +987,6 @@ function handleToggleMute() {
     }
 }
 
-// Check session status periodically
-async function checkSessionStatus() {
-    if (!currentSession) return;
-    
-    try {
-        const response = await fetch('/api/sessions');
-        const data = await response.json();
-        
-        // Find our session in the list
-        const session = data.find(s => s.sessionId === currentSession.sessionId);
-        
-        if (session) {
-            console.log('Session status:', session.status);
-            
-            // Update UI based on session status
-            if (session.status === 'phone_answered') {
-                updateStatus('Phone answered! Ready to join the call.', 'success');
-                if (joinCallBtn) joinCallBtn.disabled = false;
-            } else if (session.status === 'call_ended') {
-                updateStatus('Session ended (phone call failed or completed)', 'error');
-                return; // Stop checking
-            }
-        }
-        
-        // Check again in 3 seconds
-        setTimeout(checkSessionStatus, 3000);
-        
-    } catch (error) {
-        console.error('Failed to check session status:', error);
-    }
-}
-
 // Update call status indicator
 function updateCallStatus(status, message) {
     const statusClasses = {
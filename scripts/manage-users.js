@@ -0,0 +1,81 @@
+// Manage the users file read by lib/auth.js.
+//
+//   node scripts/manage-users.js add <username> <agent|admin> <password>
+//   node scripts/manage-users.js api-key <username>
+//   node scripts/manage-users.js remove <username>
+//   node scripts/manage-users.js list
+//
+// The file location follows AUTH_USERS_FILE (default data/users.json).
+import crypto from 'crypto';
+import {
+    ROLES,
+    generateApiKey,
+    getUsersFilePath,
+    hashApiKey,
+    hashPassword,
+    readUsersFile,
+    writeUsersFile
+} from '../lib/auth.js';
+
+const [command, ...args] = process.argv.slice(2);
+const users = readUsersFile();
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function findUser(username) {
+    const user = users.find(candidate => candidate.username === username);
+    if (!user) {
+        fail(`No user named ${username}`);
+    }
+    return user;
+}
+
+switch (command) {
+    case 'add': {
+        const [username, role, password] = args;
+        if (!username || !ROLES.includes(role) || !password) {
+            fail(`Usage: add <username> <${ROLES.join('|')}> <password>`);
+        }
+        if (users.some(candidate => candidate.username === username)) {
+            fail(`User ${username} already exists`);
+        }
+        users.push({
+            id: crypto.randomUUID(),
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            apiKeys: []
+        });
+        writeUsersFile(users);
+        console.log(`Added ${role} ${username} to ${getUsersFilePath()}`);
+        break;
+    }
+
+    case 'api-key': {
+        const user = findUser(args[0]);
+        const apiKey = generateApiKey();
+        user.apiKeys = [...(user.apiKeys || []), hashApiKey(apiKey)];
+        writeUsersFile(users);
+        console.log(`API key for ${user.username} (shown once): ${apiKey}`);
+        break;
+    }
+
+    case 'remove': {
+        const user = findUser(args[0]);
+        writeUsersFile(users.filter(candidate => candidate !== user));
+        console.log(`Removed ${user.username}`);
+        break;
+    }
+
+    case 'list':
+        for (const user of users) {
+            console.log(`${user.username}\t${user.role}\t${(user.apiKeys || []).length} API keys`);
+        }
+        break;
+
+    default:
+        fail('Usage: manage-users.js <add|api-key|remove|list> ...');
+}
@@ -1,901 +1,2783 @@
-import express from 'express';
-import twilio from 'twilio';
-import VoiceResponse from 'twilio/lib/twiml/VoiceResponse.js';
-import { WebSocketServer } from 'ws';
-import http from 'http';
-import { v4 as uuidv4 } from 'uuid';
-import OpenAI from 'openai';
-import fs from 'fs';
-
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
-
-// Middleware
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-
-// In-memory storage for active sessions
-const activeSessions = new Map();
-const activeStreams = new Map(); // Track media streams
-
-// Twilio client
-const client = twilio();
-
-// OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Audio processing configuration
-const AUDIO_CONFIG = {
-    sampleRate: 8000,
-    channels: 1,
-    bitDepth: 16,
-    chunkSize: 1600, // 200ms at 8kHz
-};
-
-// Language configuration
-const SUPPORTED_LANGUAGES = {
-    'en': 'en-US',
-    'es': 'es-ES', 
-    'fr': 'fr-FR',
-    'de': 'de-DE',
-    'zh': 'zh-CN',
-    'ja': 'ja-JP',
-    'ko': 'ko-KR',
-    'ar': 'ar-SA',
-    'hi': 'hi-IN',
-    'pt': 'pt-BR',
-    'ru': 'ru-RU',
-    'it': 'it-IT',
-    'vi': 'vi-VN',
-    'th': 'th-TH'
-};
-
-// Static files
-app.use(express.static('public'));
-
-// Root route
-app.get('/', (req, res) => {
-    res.send(`
-        <h1>Real-time Translation Relay Service</h1>
-        <p>Service is running on port ${process.env.PORT || 3000}</p>
-        <p>Active sessions: ${activeSessions.size}</p>
-        <ul>
-            <li><a href="/web-call">Web Call Interface</a></li>
-        </ul>
-    `);
-});
-
-// Web call interface
-app.get('/web-call', (req, res) => {
-    res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Web Call Interface</title>
-    <style>
-        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; }
-        .btn { background: #007bff; color: white; border: none; padding: 10px 20px; cursor: pointer; margin: 5px; border-radius: 5px; }
-        .btn:hover { background: #0056b3; }
-        .btn:disabled { background: #ccc; cursor: not-allowed; }
-        .status { margin: 20px 0; padding: 10px; border-radius: 5px; }
-        .success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
-        .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
-        .info { background: #d1ecf1; color: #0c5460; border: 1px solid #bee5eb; }
-    </style>
-</head>
-<body>
-    <h1>Web Call Interface</h1>
-    
-    <div id="status" class="status info">Ready to connect</div>
-    
-    <div>
-        <button id="startCall" class="btn">Start Call</button>
-        <button id="endCall" class="btn" disabled>End Call</button>
-    </div>
-    
-    <div>
-        <h3>Active Sessions:</h3>
-        <div id="activeSessions">Loading...</div>
-    </div>
-
-    <script src="//sdk.twilio.com/js/client/releases/1.14.1/twilio.min.js"></script>
-    <script>
-        let device;
-        let connection;
-        
-        const statusDiv = document.getElementById('status');
-        const startBtn = document.getElementById('startCall');
-        const endBtn = document.getElementById('endCall');
-        
-        function updateStatus(message, type = 'info') {
-            statusDiv.textContent = message;
-            statusDiv.className = 'status ' + type;
-        }
-        
-        // Initialize Twilio Device
-        async function initializeDevice() {
-            try {
-                updateStatus('Getting access token...', 'info');
-                const response = await fetch('/token');
-                const data = await response.json();
-                
-                if (data.error) {
-                    throw new Error(data.error);
-                }
-                
-                device = new Twilio.Device(data.token, {
-                    logLevel: 1,
-                    codecPreferences: ['opus', 'pcmu']
-                });
-                
-                device.ready(() => {
-                    updateStatus('Ready to make calls', 'success');
-                    startBtn.disabled = false;
-                });
-                
-                device.error((error) => {
-                    updateStatus('Device Error: ' + error.message, 'error');
-                    console.error('Device error:', error);
-                });
-                
-                device.connect((conn) => {
-                    updateStatus('Connected to call', 'success');
-                    connection = conn;
-                    startBtn.disabled = true;
-                    endBtn.disabled = false;
-                });
-                
-                device.disconnect((conn) => {
-                    updateStatus('Call ended', 'info');
-                    connection = null;
-                    startBtn.disabled = false;
-                    endBtn.disabled = true;
-                });
-                
-            } catch (error) {
-                updateStatus('Failed to initialize: ' + error.message, 'error');
-                console.error('Initialization error:', error);
-            }
-        }
-        
-        startBtn.addEventListener('click', () => {
-            if (device) {
-                updateStatus('Connecting...', 'info');
-                connection = device.connect({ 'type': 'web' });
-            }
-        });
-        
-        endBtn.addEventListener('click', () => {
-            if (connection) {
-                connection.disconnect();
-            }
-        });
-        
-        // Load active sessions
-        async function loadActiveSessions() {
-            try {
-                const response = await fetch('/api/sessions');
-                const sessions = await response.json();
-                const container = document.getElementById('activeSessions');
-                
-                if (sessions.length === 0) {
-                    container.innerHTML = '<p>No active sessions</p>';
-                } else {
-                    container.innerHTML = sessions.map(session => 
-                        '<div style="border: 1px solid #ccc; padding: 10px; margin: 5px; border-radius: 5px;">' +
-                        '<strong>Session:</strong> ' + session.sessionId + '<br>' +
-                        '<strong>Status:</strong> ' + session.status + '<br>' +
-                        '<strong>Created:</strong> ' + new Date(session.createdAt).toLocaleString() + '<br>' +
-                        '<strong>Phone:</strong> ' + (session.phoneNumber || 'Not set') +
-                        '</div>'
-                    ).join('');
-                }
-            } catch (error) {
-                document.getElementById('activeSessions').innerHTML = '<p>Error loading sessions</p>';
-            }
-        }
-        
-        // Initialize everything
-        initializeDevice();
-        loadActiveSessions();
-        
-        // Refresh sessions every 5 seconds
-        setInterval(loadActiveSessions, 5000);
-    </script>
-</body>
-</html>
-    `);
-});
-
-// Get access token for web calling
-app.get('/token', (req, res) => {
-    try {
-        const AccessToken = twilio.jwt.AccessToken;
-        const VoiceGrant = AccessToken.VoiceGrant;
-        
-        const token = new AccessToken(
-            process.env.TWILIO_ACCOUNT_SID,
-            process.env.TWILIO_API_KEY,
-            process.env.TWILIO_API_SECRET,
-            { identity: 'web-client-' + Math.random().toString(36).substr(2, 9) }
-        );
-        
-        const voiceGrant = new VoiceGrant({
-            outgoingApplicationSid: process.env.TWILIO_TWIML_APP_SID,
-            incomingAllow: false
-        });
-        
-        token.addGrant(voiceGrant);
-        
-        res.json({
-            token: token.toJwt(),
-            identity: token.identity
-        });
-    } catch (error) {
-        console.error('Token generation error:', error);
-        res.status(500).json({ 
-            error: 'Failed to generate token: ' + error.message 
-        });
-    }
-});
-
-// API endpoint to get active sessions
-app.get('/api/sessions', (req, res) => {
-    const sessions = Array.from(activeSessions.values()).map(session => ({
-        sessionId: session.sessionId,
-        status: session.status,
-        createdAt: session.createdAt,
-        phoneNumber: session.phoneNumber,
-        languages: session.languages,
-        participants: Object.keys(session.participants || {})
-    }));
-    
-    res.json(sessions);
-});
-
-// Create new translation session
-app.post('/create-session', async (req, res) => {
-    try {
-        const { phoneNumber, phoneLanguage = 'es', webLanguage = 'en' } = req.body;
-        
-        if (!phoneNumber) {
-            return res.status(400).json({ error: 'Phone number is required' });
-        }
-        
-        // Validate languages
-        if (!SUPPORTED_LANGUAGES[phoneLanguage] || !SUPPORTED_LANGUAGES[webLanguage]) {
-            return res.status(400).json({ error: 'Unsupported language' });
-        }
-        
-        const sessionId = uuidv4();
-        const conferenceId = 'translation-' + sessionId;
-        
-        // Store session info with language preferences
-        activeSessions.set(sessionId, {
-            sessionId,
-            conferenceId,
-            phoneNumber,
-            languages: {
-                phone: phoneLanguage,
-                web: webLanguage
-            },
-            status: 'created',
-            createdAt: new Date().toISOString(),
-            participants: {},
-            audioBuffers: new Map() // Store audio for each participant
-        });
-        
-        console.log(`Created translation session ${sessionId} for phone ${phoneNumber}`);
-        console.log(`Languages: Phone=${phoneLanguage}, Web=${webLanguage}`);
-        
-        // Make the call to the phone number
-        const call = await client.calls.create({
-            to: phoneNumber,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            url: `https://${req.get('host')}/incoming-call?session=${sessionId}&type=phone`,
-            statusCallback: `https://${req.get('host')}/call-status?session=${sessionId}`,
-            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-            statusCallbackMethod: 'POST'
-        });
-        
-        // Update session with call SID
-        activeSessions.get(sessionId).callSid = call.sid;
-        activeSessions.get(sessionId).status = 'phone_calling';
-        
-        res.json({
-            success: true,
-            sessionId,
-            callSid: call.sid,
-            message: `Calling ${phoneNumber}... Translation will begin when both parties join.`
-        });
-        
-    } catch (error) {
-        console.error('Error creating session:', error);
-        res.status(500).json({ error: 'Failed to create session: ' + error.message });
-    }
-});
-
-// Conference-based webhook handler with bidirectional media streams
-function handleIncomingCall(req, res) {
-    console.log('Incoming call from:', req.body.From);
-    console.log('Request query params:', req.query);
-    
-    const sessionId = req.query.session;
-    const participantType = req.query.type || 'phone';
-    
-    // Handle web calling - check if this is a web client call without session info
-    if (participantType === 'web' && !sessionId && req.body.From && req.body.From.startsWith('client:')) {
-        console.log('Web caller without session - finding active session...');
-        
-        const activeSessionsArray = Array.from(activeSessions.values());
-        const recentSession = activeSessionsArray
-            .filter(s => s.status === 'phone_answered' || s.status === 'phone_calling')
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
-        
-        if (recentSession) {
-            console.log(`Web caller joining most recent active session: ${recentSession.sessionId}`);
-            return handleWebCallWithSession(req, res, recentSession);
-        } else {
-            console.log('No active sessions found for web caller');
-            const response = new VoiceResponse();
-            response.say('No active translation session found. Please start a new session.');
-            response.hangup();
-            return res.type('text/xml').send(response.toString());
-        }
-    }
-    
-    // Handle phone calls with session
-    if (!sessionId || !activeSessions.has(sessionId)) {
-        console.log('No valid session found for sessionId:', sessionId);
-        const response = new VoiceResponse();
-        response.say('Sorry, this session is not available. Please try again.');
-        response.hangup();
-        return res.type('text/xml').send(response.toString());
-    }
-    
-    const session = activeSessions.get(sessionId);
-    const response = new VoiceResponse();
-    
-    console.log(`${participantType} participant joining conference with translation: ${session.conferenceId}`);
-    
-    // Use Connect Stream for bidirectional audio
-    const connect = response.connect();
-    connect.stream({
-        url: `wss://${req.get('host')}/media-stream?session=${sessionId}&participant=${participantType}`,
-        track: 'both_tracks'
-    });
-    
-    // Also join the conference
-    const dial = response.dial();
-    dial.conference(session.conferenceId, {
-        startConferenceOnEnter: true,
-        endConferenceOnExit: false,
-        waitUrl: participantType === 'phone' ? 'http://twimlets.com/holdmusic?Bucket=com.twilio.music.ambient' : '',
-        maxParticipants: 10,
-        record: false,
-        statusCallback: `https://${req.get('host')}/conference-status?session=${sessionId}&participant=${participantType}`,
-        statusCallbackEvent: ['start', 'end', 'join', 'leave'],
-        statusCallbackMethod: 'POST'
-    });
-    
-    // Update session with participant info
-    session.participants[participantType] = {
-        callSid: req.body.CallSid,
-        from: req.body.From,
-        to: req.body.To,
-        joinedAt: new Date()
-    };
-    
-    res.type('text/xml').send(response.toString());
-}
-
-// Helper function for web calls with session
-function handleWebCallWithSession(req, res, session) {
-    const response = new VoiceResponse();
-    
-    console.log(`Web participant joining conference with translation: ${session.conferenceId}`);
-    
-    // Add bidirectional media stream
-    const connect = response.connect();
-    connect.stream({
-        url: `wss://${req.get('host')}/media-stream?session=${session.sessionId}&participant=web`,
-        track: 'both_tracks'
-    });
-    
-    const dial = response.dial();
-    dial.conference(session.conferenceId, {
-        startConferenceOnEnter: true,
-        endConferenceOnExit: false,
-        waitUrl: '',
-        statusCallback: `https://${req.get('host')}/conference-status?session=${session.sessionId}&participant=web`,
-        statusCallbackEvent: ['start', 'end', 'join', 'leave'],
-        statusCallbackMethod: 'POST'
-    });
-    
-    session.participants.web = {
-        callSid: req.body.CallSid,
-        from: req.body.From,
-        to: req.body.To,
-        joinedAt: new Date()
-    };
-    
-    session.status = 'web_joining';
-    
-    return res.type('text/xml').send(response.toString());
-}
-
-// Handle web calls from Voice SDK - UPDATED for translation
-function handleWebCall(req, res) {
-    console.log('Web call initiated');
-    console.log('Request body:', req.body);
-    console.log('Query params:', req.query);
-    
-    const response = new VoiceResponse();
-    
-    // Check if there are any active sessions the web caller can join
-    const activeSessionsArray = Array.from(activeSessions.values());
-    const availableSession = activeSessionsArray.find(s => 
-        s.status === 'phone_answered' || s.status === 'phone_calling'
-    );
-    
-    if (availableSession) {
-        console.log(`Web caller joining session with translation: ${availableSession.sessionId}`);
-        
-        // ADD MEDIA STREAM for translation - THIS IS THE KEY FIX
-        const connect = response.connect();
-        connect.stream({
-            url: `wss://${req.get('host')}/media-stream?session=${availableSession.sessionId}&participant=web`,
-            track: 'both_tracks'
-        });
-        
-        // Join the existing conference
-        const dial = response.dial();
-        dial.conference(availableSession.conferenceId, {
-            startConferenceOnEnter: true,
-            endConferenceOnExit: false,
-            waitUrl: '',
-            statusCallback: `https://${req.get('host')}/conference-status?session=${availableSession.sessionId}&participant=web`,
-            statusCallbackEvent: ['start', 'end', 'join', 'leave'],
-            statusCallbackMethod: 'POST'
-        });
-        
-        // Update session status
-        availableSession.status = 'web_joining';
-        availableSession.participants = availableSession.participants || {};
-        availableSession.participants.web = {
-            callSid: req.body.CallSid,
-            from: req.body.From,
-            joinedAt: new Date()
-        };
-        
-    } else {
-        console.log('No active sessions available for web caller');
-        response.say('No active translation session found. Please ask someone to start a phone session first.');
-        response.hangup();
-    }
-    
-    console.log('TwiML Response with translation:', response.toString());
-    res.type('text/xml').send(response.toString());
-}
-
-// Route handlers
-app.post('/incoming-call', handleIncomingCall);
-app.post('/voice', handleWebCall);
-
-// Call status webhook
-app.post('/call-status', (req, res) => {
-    const { CallSid, CallStatus, From, To } = req.body;
-    const sessionId = req.query.session;
-    
-    console.log(`Call status update: ${CallStatus} for session ${sessionId}`);
-    console.log('Status details:', { CallSid, CallStatus, From, To });
-    
-    if (sessionId && activeSessions.has(sessionId)) {
-        const session = activeSessions.get(sessionId);
-        session.lastCallStatus = CallStatus;
-        session.lastStatusUpdate = new Date().toISOString();
-        
-        // Update session status based on call status
-        if (CallStatus === 'answered') {
-            session.status = 'phone_answered';
-        } else if (CallStatus === 'completed' || CallStatus === 'failed') {
-            session.status = 'call_ended';
-        }
-        
-        console.log(`Updated session ${sessionId} status to: ${session.status}`);
-    }
-    
-    res.sendStatus(200);
-});
-
-// Conference status webhook
-app.post('/conference-status', (req, res) => {
-    const { ConferenceSid, StatusCallbackEvent, ParticipantLabel } = req.body;
-    const sessionId = req.query.session;
-    const participantType = req.query.participant;
-    
-    console.log(`Conference event: ${StatusCallbackEvent} for ${participantType} in session ${sessionId}`);
-    console.log('Conference details:', req.body);
-    
-    if (sessionId && activeSessions.has(sessionId)) {
-        const session = activeSessions.get(sessionId);
-        
-        switch (StatusCallbackEvent) {
-            case 'participant-join':
-                console.log(`${participantType} joined conference ${ConferenceSid}`);
-                if (participantType === 'web') {
-                    session.status = 'web_joined';
-                } else if (participantType === 'phone') {
-                    session.status = 'phone_in_conference';
-                }
-                break;
-                
-            case 'participant-leave':
-                console.log(`${participantType} left conference ${ConferenceSid}`);
-                if (session.participants && session.participants[participantType]) {
-                    session.participants[participantType].leftAt = new Date();
-                }
-                break;
-                
-            case 'conference-start':
-                console.log(`Conference ${ConferenceSid} started`);
-                session.status = 'conference_active';
-                break;
-                
-            case 'conference-end':
-                console.log(`Conference ${ConferenceSid} ended`);
-                session.status = 'conference_ended';
-                // Clean up session after a delay
-                setTimeout(() => {
-                    activeSessions.delete(sessionId);
-                    console.log(`Cleaned up session ${sessionId}`);
-                }, 60000); // 1 minute delay
-                break;
-        }
-        
-        console.log(`Session ${sessionId} status: ${session.status}`);
-    }
-    
-    res.sendStatus(200);
-});
-
-// WebSocket server for Media Streams
-wss.on('connection', (ws, req) => {
-    console.log('WebSocket connection established');
-    
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const sessionId = url.searchParams.get('session');
-    const participant = url.searchParams.get('participant');
-    
-    if (req.url.includes('/media-stream')) {
-        console.log(`Media stream connected for session ${sessionId}, participant ${participant}`);
-        handleMediaStream(ws, sessionId, participant);
-    } else {
-        handleRegularWebSocket(ws);
-    }
-});
-
-// Handle Media Stream WebSocket for translation
-function handleMediaStream(ws, sessionId, participant) {
-    let streamSid = null;
-    const session = activeSessions.get(sessionId);
-    
-    if (!session) {
-        console.error(`No session found for ${sessionId}`);
-        ws.close();
-        return;
-    }
-    
-    // Store stream reference
-    const streamKey = `${sessionId}-${participant}`;
-    activeStreams.set(streamKey, { ws, participant, sessionId });
-    
-    ws.on('message', async (message) => {
-        try {
-            const msg = JSON.parse(message);
-            
-            switch (msg.event) {
-                case 'connected':
-                    console.log(`Media stream connected: ${msg.streamSid}`);
-                    streamSid = msg.streamSid;
-                    break;
-                    
-                case 'start':
-                    console.log(`Media stream started for ${participant}`);
-                    break;
-                    
-                case 'media':
-                    // Process audio for translation
-                    await processAudioForTranslation(msg, participant, session, ws);
-                    break;
-                    
-                case 'stop':
-                    console.log(`Media stream stopped: ${msg.streamSid}`);
-                    activeStreams.delete(streamKey);
-                    break;
-            }
-        } catch (error) {
-            console.error('Error processing media stream message:', error);
-        }
-    });
-    
-    ws.on('close', () => {
-        console.log(`Media stream disconnected for ${participant}`);
-        activeStreams.delete(streamKey);
-    });
-}
-
-// Handle regular WebSocket connections
-function handleRegularWebSocket(ws) {
-    ws.on('message', (message) => {
-        try {
-            const data = JSON.parse(message);
-            console.log('WebSocket message:', data);
-            
-            switch (data.type) {
-                case 'join-session':
-                    break;
-                case 'audio-data':
-                    break;
-                default:
-                    console.log('Unknown WebSocket message type:', data.type);
-            }
-        } catch (error) {
-            console.error('WebSocket message error:', error);
-        }
-    });
-    
-    ws.on('close', () => {
-        console.log('WebSocket client disconnected');
-    });
-}
-
-// Process audio for translation
-async function processAudioForTranslation(mediaMsg, participant, session, senderWs) {
-    try {
-        const audioPayload = mediaMsg.media.payload;
-        const audioData = Buffer.from(audioPayload, 'base64');
-        
-        // Buffer audio until we have enough for processing
-        const bufferKey = `${session.sessionId}-${participant}`;
-        if (!session.audioBuffers.has(bufferKey)) {
-            session.audioBuffers.set(bufferKey, Buffer.alloc(0));
-        }
-        
-        let buffer = session.audioBuffers.get(bufferKey);
-        buffer = Buffer.concat([buffer, audioData]);
-        
-        // Process when we have enough audio (200ms worth)
-        if (buffer.length >= AUDIO_CONFIG.chunkSize) {
-            const audioToProcess = buffer.slice(0, AUDIO_CONFIG.chunkSize);
-            const remainingBuffer = buffer.slice(AUDIO_CONFIG.chunkSize);
-            session.audioBuffers.set(bufferKey, remainingBuffer);
-            
-            // Convert and translate audio
-            await translateAndForwardAudio(audioToProcess, participant, session);
-        } else {
-            session.audioBuffers.set(bufferKey, buffer);
-        }
-        
-    } catch (error) {
-        console.error('Error processing audio:', error);
-    }
-}
-
-// Main translation pipeline
-async function translateAndForwardAudio(audioData, sourceParticipant, session) {
-    try {
-        // Determine source and target languages
-        const sourceLanguage = sourceParticipant === 'phone' ? session.languages.phone : session.languages.web;
-        const targetLanguage = sourceParticipant === 'phone' ? session.languages.web : session.languages.phone;
-        
-        // Skip translation if same language
-        if (sourceLanguage === targetLanguage) {
-            console.log('Same language, skipping translation');
-            return;
-        }
-        
-        console.log(`Translating from ${sourceLanguage} to ${targetLanguage}`);
-        
-        // Step 1: Convert mulaw to wav for OpenAI
-        const wavAudio = await convertMulawToWav(audioData);
-        
-        // Step 2: Speech-to-text with Whisper
-        const transcription = await transcribeAudio(wavAudio, sourceLanguage);
-        
-        if (!transcription || transcription.trim().length === 0) {
-            console.log('No speech detected, skipping');
-            return;
-        }
-        
-        console.log(`Transcribed (${sourceLanguage}): ${transcription}`);
-        
-        // Step 3: Translate text
-        const translation = await translateText(transcription, sourceLanguage, targetLanguage);
-        console.log(`Translated (${targetLanguage}): ${translation}`);
-        
-        // Step 4: Text-to-speech
-        const translatedAudio = await synthesizeSpeech(translation, targetLanguage);
-        
-        // Step 5: Convert back to mulaw and send to other participant
-        const mulawAudio = await convertWavToMulaw(translatedAudio);
-        await sendAudioToParticipant(mulawAudio, sourceParticipant === 'phone' ? 'web' : 'phone', session);
-        
-    } catch (error) {
-        console.error('Translation pipeline error:', error);
-    }
-}
-
-// Audio conversion functions
-async function convertMulawToWav(mulawData) {
-    // Convert mulaw to linear PCM
-    const wavBuffer = Buffer.alloc(mulawData.length * 2);
-    for (let i = 0; i < mulawData.length; i++) {
-        const sample = mulawData[i];
-        const linear = mulawToLinear(sample);
-        wavBuffer.writeInt16LE(linear, i * 2);
-    }
-    return wavBuffer;
-}
-
-async function convertWavToMulaw(wavData) {
-    // Convert linear PCM back to mulaw
-    const mulawBuffer = Buffer.alloc(wavData.length / 2);
-    for (let i = 0; i < mulawBuffer.length; i++) {
-        const linear = wavData.readInt16LE(i * 2);
-        mulawBuffer[i] = linearToMulaw(linear);
-    }
-    return mulawBuffer;
-}
-
-// Simplified mulaw conversion
-function mulawToLinear(mulaw) {
-    const bias = 0x84;
-    const sign = mulaw & 0x80;
-    const exponent = (mulaw >> 4) & 0x07;
-    const mantissa = mulaw & 0x0F;
-    let sample = mantissa << (exponent + 3);
-    if (exponent !== 0) sample += bias << exponent;
-    return sign ? -sample : sample;
-}
-
-function linearToMulaw(linear) {
-    const bias = 0x84;
-    let sample = Math.abs(linear);
-    const sign = linear < 0 ? 0x80 : 0;
-    
-    sample += bias;
-    let exponent = 7;
-    for (let exp = 0; exp < 8; exp++) {
-        if (sample <= (0x1F << (exp + 3))) {
-            exponent = exp;
-            break;
-        }
-    }
-    
-    const mantissa = (sample >> (exponent + 3)) & 0x0F;
-    return ~(sign | (exponent << 4) | mantissa);
-}
-
-// OpenAI integration functions
-async function transcribeAudio(audioBuffer, language) {
-    try {
-        // Save temporary WAV file for Whisper
-        const tempFile = `/tmp/audio-${Date.now()}.wav`;
-        fs.writeFileSync(tempFile, audioBuffer);
-        
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(tempFile),
-            model: 'whisper-1',
-            language: language,
-            response_format: 'text'
-        });
-        
-        // Clean up temp file
-        fs.unlinkSync(tempFile);
-        
-        return transcription;
-    } catch (error) {
-        console.error('Transcription error:', error);
-        return null;
-    }
-}
-
-async function translateText(text, fromLang, toLang) {
-    try {
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a professional translator. Translate the following text from ${fromLang} to ${toLang}. Only respond with the translation, no explanations.`
-                },
-                {
-                    role: 'user',
-                    content: text
-                }
-            ],
-            max_tokens: 150,
-            temperature: 0.3
-        });
-        
-        return completion.choices[0].message.content.trim();
-    } catch (error) {
-        console.error('Translation error:', error);
-        return text; // Return original if translation fails
-    }
-}
-
-async function synthesizeSpeech(text, language) {
-    try {
-        const response = await openai.audio.speech.create({
-            model: 'tts-1',
-            voice: 'alloy',
-            input: text,
-            response_format: 'wav'
-        });
-        
-        const buffer = Buffer.from(await response.arrayBuffer());
-        return buffer;
-    } catch (error) {
-        console.error('Speech synthesis error:', error);
-        throw error;
-    }
-}
-
-// Send translated audio to participant
-async function sendAudioToParticipant(audioData, targetParticipant, session) {
-    try {
-        const streamKey = `${session.sessionId}-${targetParticipant}`;
-        const stream = activeStreams.get(streamKey);
-        
-        if (!stream) {
-            console.log(`No active stream for ${targetParticipant}`);
-            return;
-        }
-        
-        const base64Audio = audioData.toString('base64');
-        const mediaMessage = {
-            event: 'media',
-            streamSid: `stream-${session.sessionId}-${targetParticipant}`,
-            media: {
-                payload: base64Audio
-            }
-        };
-        
-        if (stream.ws.readyState === 1) { // WebSocket.OPEN
-            stream.ws.send(JSON.stringify(mediaMessage));
-            console.log(`Sent translated audio to ${targetParticipant}`);
-        }
-    } catch (error) {
-        console.error('Error sending audio:', error);
-    }
-}
-
-// Translation updates WebSocket endpoint
-app.get('/translation-updates', (req, res) => {
-    res.status(200).send('Translation updates WebSocket endpoint');
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        activeSessions: activeSessions.size,
-        activeStreams: activeStreams.size,
-        uptime: process.uptime()
-    });
-});
-
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🚀 Translation relay server running on port ${PORT}`);
-    console.log(`📱 Webhook URL: https://your-domain.com/incoming-call`);
-    console.log(`🌐 Web interface: https://your-domain.com/web-call`);
-    console.log(`🤖 OpenAI integration: ${openai ? 'Ready' : 'Not configured'}`);
-});
\ No newline at end of file
+import express from 'express';
+import twilio from 'twilio';
+import VoiceResponse from 'twilio/lib/twiml/VoiceResponse.js';
+import { WebSocketServer } from 'ws';
+import http from 'http';
+import { v4 as uuidv4 } from 'uuid';
+import { createUtteranceSegmenter } from './lib/vad.js';
+import { applyGain, decodeMulaw, decodeMulawSample, encodeMulaw, encodeWav, parseWav, resample } from './lib/audio.js';
+import { createOutboundPlayer } from './lib/playback.js';
+import { createSessionStore } from './lib/session-store.js';
+import { createJoinTicket, redeemJoinTicket } from './lib/join-tickets.js';
+import {
+    authenticatePassword,
+    authenticateRequest,
+    canAccessRecord,
+    canAccessSession,
+    clearLoginCookie,
+    hasBearerToken,
+    isAuthDisabled,
+    requireAuth,
+    setLoginCookie
+} from './lib/auth.js';
+import {
+    createMediaStreamToken,
+    isSignatureValidationEnabled,
+    validateTwilioRequest,
+    verifyMediaStreamToken
+} from './lib/twilio-webhooks.js';
+import {
+    TRANSCRIPT_FORMATS,
+    archiveTranscript,
+    formatTranscript,
+    getTranscriptRecord,
+    loadArchivedTranscript
+} from './lib/transcript.js';
+import {
+    PARTICIPANT_KINDS,
+    getListenerGroups,
+    getParticipantKind,
+    nextParticipantId
+} from './lib/participants.js';
+import {
+    createGlossaryStore,
+    findMissingTerms,
+    getApplicableGlossary,
+    isGlossaryEmpty,
+    normalizeGlossaryInput
+} from './lib/glossaries.js';
+import {
+    DEFAULT_CONTEXT_CONFIG,
+    compactDialogue,
+    createDialogueState,
+    getTranslationContext,
+    recordTurn
+} from './lib/dialogue-context.js';
+import { addLanguageMenu, getHoldMessage, getLanguageForDigit, getMenuLanguages } from './lib/ivr.js';
+import { getVoiceCatalog, normalizeVoiceSettings, resolveVoice } from './lib/voices.js';
+import { DEFAULT_DETECTION_CONFIG, createDetectionState, recordDetection } from './lib/language-detection.js';
+import {
+    DEFAULT_STATE_TIMEOUTS,
+    getConferenceStatus,
+    getExpiry,
+    initSessionState,
+    isTerminalState,
+    transitionSession
+} from './lib/session-state.js';
+import { getDefaultProviderSelection, getProvider, resolveProviderSelection } from './lib/providers/index.js';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createMetricsRegistry, secondsSince } from './lib/metrics.js';
+import { logger } from './lib/logger.js';
+import { createTracer } from './lib/tracing.js';
+import { addUsage, createUsage, createUsageLedger, getUsageDay, loadRates, meterUsage, mergeUsage } from './lib/usage.js';
+import { getNotice } from './lib/notices.js';
+import { DEFAULT_QUEUE_CONFIG, createTranslationQueue } from './lib/translation-queue.js';
+import { CIRCUIT_STATES, DEFAULT_RESILIENCE_CONFIG, createProviderGuard } from './lib/resilience.js';
+
+const app = express();
+const server = http.createServer(app);
+const wss = new WebSocketServer({ noServer: true });
+
+// Middleware
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+// Session repository (in-memory or file-backed, see SESSION_STORE)
+const activeSessions = createSessionStore();
+const activeStreams = new Map(); // Track media streams
+const translationSubscribers = new Map(); // sessionId -> Set of browser WebSockets
+const glossaries = createGlossaryStore();
+const queueSubscribers = new Set(); // Agent WebSockets notified about inbound calls waiting for pickup
+
+// Provider and Twilio usage per day and per user, priced with USAGE_RATES
+const usageLedger = createUsageLedger();
+const USAGE_RATES = loadRates();
+
+// Per-utterance traces, kept per session and optionally exported over OTLP
+const tracer = createTracer({ onExportError: error => logger.warn('Trace export failed', { error }) });
+
+// Pipeline metrics, served at /metrics
+const metrics = createMetricsRegistry({ prefix: 'relay_' });
+metrics.gauge({
+    name: 'active_sessions',
+    help: 'Sessions in memory by status',
+    collect: () => {
+        const counts = new Map();
+        for (const session of activeSessions.values()) {
+            counts.set(session.status, (counts.get(session.status) || 0) + 1);
+        }
+        return [...counts].map(([status, value]) => ({ labels: { status }, value }));
+    }
+});
+metrics.gauge({ name: 'active_streams', help: 'Connected media streams', collect: () => activeStreams.size });
+const stageDuration = metrics.histogram({
+    name: 'stage_duration_seconds',
+    help: 'Time spent in each pipeline stage (stt, translation, tts, send)',
+    labelNames: ['stage', 'provider', 'model']
+});
+const mouthToEar = metrics.histogram({
+    name: 'mouth_to_ear_seconds',
+    help: 'From the end of an utterance to the first frame of its translation sent to a listener',
+    buckets: [0.5, 1, 1.5, 2, 3, 4, 6, 8, 12]
+});
+const providerErrors = metrics.counter({
+    name: 'provider_errors_total',
+    help: 'Failed provider calls by stage, after retries',
+    labelNames: ['stage', 'provider', 'model']
+});
+const providerRetries = metrics.counter({
+    name: 'provider_retries_total',
+    help: 'Provider calls retried after a timeout or transient error',
+    labelNames: ['stage', 'provider', 'model']
+});
+const framesReceived = metrics.counter({
+    name: 'media_frames_received_total',
+    help: 'Inbound media frames from participants',
+    labelNames: ['kind']
+});
+const framesSent = metrics.counter({
+    name: 'media_frames_sent_total',
+    help: 'Translated audio frames sent to participants',
+    labelNames: ['kind']
+});
+const framesDropped = metrics.counter({
+    name: 'dropped_audio_frames_total',
+    help: 'Translated audio frames that were never sent (cleared, closed, error, no_stream)',
+    labelNames: ['reason']
+});
+const utterancesDropped = metrics.counter({
+    name: 'dropped_utterances_total',
+    help: 'Utterances or translations abandoned before playback (barge_in, pipeline_error, stream_closed, backlog, session_ended)',
+    labelNames: ['reason']
+});
+const utterancesMerged = metrics.counter({
+    name: 'merged_utterances_total',
+    help: 'Waiting utterances merged into one translation to catch up with a backlog'
+});
+
+// Twilio client, created on first use so the server can start without credentials
+let twilioClient = null;
+function getTwilioClient() {
+    if (!twilioClient) {
+        twilioClient = twilio();
+    }
+    return twilioClient;
+}
+
+// Audio processing configuration
+const AUDIO_CONFIG = {
+    sampleRate: 8000,      // Twilio Media Streams (μ-law)
+    sttSampleRate: 16000,  // Audio sent to speech-to-text
+    channels: 1,
+    bitDepth: 16,
+};
+const FRAME_BYTES = AUDIO_CONFIG.sampleRate / 50; // One 20ms μ-law frame
+
+// Utterance segmentation (voice activity detection) configuration
+const VAD_CONFIG = {
+    speechThresholdDb: numberFromEnv('VAD_SPEECH_THRESHOLD_DB', -45),
+    silenceMs: numberFromEnv('VAD_SILENCE_MS', 700),
+    minUtteranceMs: numberFromEnv('VAD_MIN_UTTERANCE_MS', 300),
+    maxUtteranceMs: numberFromEnv('VAD_MAX_UTTERANCE_MS', 15000),
+    preRollMs: numberFromEnv('VAD_PRE_ROLL_MS', 200),
+};
+
+// Phone language identification for sessions created with phoneLanguage 'auto'
+const LANGUAGE_DETECTION_CONFIG = {
+    minUtterances: numberFromEnv('LANGUAGE_DETECTION_MIN_UTTERANCES', DEFAULT_DETECTION_CONFIG.minUtterances),
+    lockShare: numberFromEnv('LANGUAGE_DETECTION_LOCK_SHARE', DEFAULT_DETECTION_CONFIG.lockShare),
+    maxUtterances: numberFromEnv('LANGUAGE_DETECTION_MAX_UTTERANCES', DEFAULT_DETECTION_CONFIG.maxUtterances),
+    minConfidence: numberFromEnv('LANGUAGE_DETECTION_MIN_CONFIDENCE', DEFAULT_DETECTION_CONFIG.minConfidence),
+    switchAfter: numberFromEnv('LANGUAGE_DETECTION_SWITCH_AFTER', DEFAULT_DETECTION_CONFIG.switchAfter),
+};
+
+// Rolling conversation context given to the translator
+const DIALOGUE_CONTEXT_CONFIG = {
+    maxContextTokens: numberFromEnv('DIALOGUE_CONTEXT_MAX_TOKENS', DEFAULT_CONTEXT_CONFIG.maxContextTokens),
+    maxTurns: numberFromEnv('DIALOGUE_CONTEXT_MAX_TURNS', DEFAULT_CONTEXT_CONFIG.maxTurns),
+    keepRecentTurns: numberFromEnv('DIALOGUE_CONTEXT_KEEP_TURNS', DEFAULT_CONTEXT_CONFIG.keepRecentTurns),
+    maxSummaryTokens: numberFromEnv('DIALOGUE_SUMMARY_MAX_TOKENS', DEFAULT_CONTEXT_CONFIG.maxSummaryTokens),
+};
+
+// Per-status timeouts enforced by the session sweeper
+const SESSION_TIMEOUTS = {
+    ...DEFAULT_STATE_TIMEOUTS,
+    created: numberFromEnv('SESSION_CREATED_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.created),
+    phone_calling: numberFromEnv('SESSION_RING_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.phone_calling),
+    phone_answered: numberFromEnv('SESSION_ANSWER_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.phone_answered),
+    queued: numberFromEnv('SESSION_QUEUE_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.queued),
+    phone_in_conference: numberFromEnv('SESSION_JOIN_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.phone_in_conference),
+    web_joining: numberFromEnv('SESSION_JOIN_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.web_joining),
+    web_joined: numberFromEnv('SESSION_JOIN_TIMEOUT_MS', DEFAULT_STATE_TIMEOUTS.web_joined),
+    maxDuration: numberFromEnv('SESSION_MAX_DURATION_MS', DEFAULT_STATE_TIMEOUTS.maxDuration),
+    retention: numberFromEnv('SESSION_RETENTION_MS', DEFAULT_STATE_TIMEOUTS.retention),
+};
+const SESSION_SWEEP_INTERVAL_MS = numberFromEnv('SESSION_SWEEP_INTERVAL_MS', 10000);
+// Twilio sends media frames continuously, even during silence
+const STREAM_IDLE_TIMEOUT_MS = numberFromEnv('STREAM_IDLE_TIMEOUT_MS', 60000);
+
+// Translation jobs: in order per participant, with limits on how many run at
+// once and what to do with a backlog older than TRANSLATION_MAX_BACKLOG_MS
+const TRANSLATION_QUEUE_CONFIG = {
+    maxConcurrent: numberFromEnv('TRANSLATION_MAX_CONCURRENT', DEFAULT_QUEUE_CONFIG.maxConcurrent),
+    maxConcurrentPerSession: numberFromEnv('TRANSLATION_MAX_CONCURRENT_PER_SESSION', DEFAULT_QUEUE_CONFIG.maxConcurrentPerSession),
+    maxBacklogMs: numberFromEnv('TRANSLATION_MAX_BACKLOG_MS', DEFAULT_QUEUE_CONFIG.maxBacklogMs),
+    overflow: process.env.TRANSLATION_OVERFLOW_POLICY || DEFAULT_QUEUE_CONFIG.overflow,
+};
+
+// Provider calls: a timeout per attempt, bounded retries with jittered backoff
+// and a circuit breaker per stage, provider and model
+const RESILIENCE_CONFIG = {
+    timeouts: {
+        stt: numberFromEnv('PROVIDER_TIMEOUT_STT_MS', DEFAULT_RESILIENCE_CONFIG.timeouts.stt),
+        translation: numberFromEnv('PROVIDER_TIMEOUT_TRANSLATION_MS', DEFAULT_RESILIENCE_CONFIG.timeouts.translation),
+        tts: numberFromEnv('PROVIDER_TIMEOUT_TTS_MS', DEFAULT_RESILIENCE_CONFIG.timeouts.tts),
+    },
+    maxRetries: numberFromEnv('PROVIDER_MAX_RETRIES', DEFAULT_RESILIENCE_CONFIG.maxRetries),
+    retryBaseMs: numberFromEnv('PROVIDER_RETRY_BASE_MS', DEFAULT_RESILIENCE_CONFIG.retryBaseMs),
+    retryMaxMs: numberFromEnv('PROVIDER_RETRY_MAX_MS', DEFAULT_RESILIENCE_CONFIG.retryMaxMs),
+    failureThreshold: numberFromEnv('PROVIDER_CIRCUIT_FAILURES', DEFAULT_RESILIENCE_CONFIG.failureThreshold),
+    resetTimeoutMs: numberFromEnv('PROVIDER_CIRCUIT_RESET_MS', DEFAULT_RESILIENCE_CONFIG.resetTimeoutMs),
+};
+// A participant hears the same service notice at most this often
+const NOTICE_MIN_INTERVAL_MS = numberFromEnv('NOTICE_MIN_INTERVAL_MS', 30000);
+
+// Spending caps in USD; 0 means unlimited. Sessions may set a lower or
+// higher cap of their own when they are created.
+const BUDGETS = {
+    session: numberFromEnv('SESSION_BUDGET_USD', 0),
+    daily: numberFromEnv('DAILY_BUDGET_USD', 0),
+};
+
+// How translations reach listeners:
+//   voice     translated speech, with transcription and translation events
+//   captions  transcription and translation events only, nothing synthesized;
+//             speech nobody needs translated is still captioned
+//   both      translated speech, and captions for speech nobody needs translated
+const SESSION_MODES = ['voice', 'captions', 'both'];
+
+function numberFromEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+// Language configuration
+const SUPPORTED_LANGUAGES = {
+    'en': 'en-US',
+    'es': 'es-ES', 
+    'fr': 'fr-FR',
+    'de': 'de-DE',
+    'zh': 'zh-CN',
+    'ja': 'ja-JP',
+    'ko': 'ko-KR',
+    'ar': 'ar-SA',
+    'hi': 'hi-IN',
+    'pt': 'pt-BR',
+    'ru': 'ru-RU',
+    'it': 'it-IT',
+    'vi': 'vi-VN',
+    'th': 'th-TH'
+};
+
+// Guards every provider call in the pipeline
+const providerGuard = createProviderGuard({
+    ...RESILIENCE_CONFIG,
+    onRetry: ({ attempt, delayMs, error, ...labels }) => {
+        providerRetries.inc(labels);
+        logger.warn('Retrying provider call', { ...labels, attempt, delayMs: Math.round(delayMs), error });
+    },
+    onStateChange: ({ state, previousState, ...labels }) => {
+        const log = state === 'closed' ? logger.info : logger.warn;
+        log('Provider circuit changed', { ...labels, state, previousState });
+    }
+});
+metrics.gauge({
+    name: 'provider_circuit_state',
+    help: 'Circuit breaker state per provider (0 closed, 1 half-open, 2 open)',
+    collect: () => providerGuard.getStates().map(({ state, failures, ...labels }) => ({ labels, value: CIRCUIT_STATES[state] }))
+});
+const noticeAudio = new Map(); // Key -> promise of synthesized notice audio, reused while TTS is down
+
+// Utterances waiting for translation, per participant
+const translationQueue = createTranslationQueue({
+    ...TRANSLATION_QUEUE_CONFIG,
+    run: job => translateAndForwardAudio(job.audio, job.participant, job.session, job.timing),
+    merge: mergeUtteranceJobs,
+    onOverflow: handleTranslationBacklog,
+    onDiscard: (job, reason) => utterancesDropped.inc({ reason })
+});
+metrics.gauge({
+    name: 'translation_queue_depth',
+    help: 'Utterances waiting for translation',
+    collect: () => translationQueue.getDepth().queued
+});
+metrics.gauge({
+    name: 'translation_jobs_running',
+    help: 'Utterances being translated',
+    collect: () => translationQueue.getDepth().running
+});
+metrics.gauge({
+    name: 'translation_queue_oldest_wait_seconds',
+    help: 'How long the oldest waiting utterance has been queued',
+    collect: () => Math.max(0, ...translationQueue.getQueueDepths().map(queue => queue.oldestWaitMs)) / 1000
+});
+
+// Static files
+app.use(express.static('public'));
+
+// Root route
+app.get('/', (req, res) => {
+    res.send(`
+        <h1>Real-time Translation Relay Service</h1>
+        <p>Service is running on port ${process.env.PORT || 3000}</p>
+        <p>Active sessions: ${activeSessions.size}</p>
+        <ul>
+            <li><a href="/web-call">Web Call Interface</a></li>
+        </ul>
+    `);
+});
+
+// Web call interface
+app.get('/web-call', (req, res) => {
+    res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Web Call Interface</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; }
+        .btn { background: #007bff; color: white; border: none; padding: 10px 20px; cursor: pointer; margin: 5px; border-radius: 5px; }
+        .btn:hover { background: #0056b3; }
+        .btn:disabled { background: #ccc; cursor: not-allowed; }
+        .status { margin: 20px 0; padding: 10px; border-radius: 5px; }
+        .success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
+        .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
+        .info { background: #d1ecf1; color: #0c5460; border: 1px solid #bee5eb; }
+    </style>
+</head>
+<body>
+    <h1>Web Call Interface</h1>
+    
+    <div id="status" class="status info">Ready to connect</div>
+    
+    <div>
+        <input id="sessionId" placeholder="Session ID" style="padding: 9px; width: 320px;">
+        <input id="participantId" placeholder="Participant (web)" style="padding: 9px; width: 120px;">
+        <button id="startCall" class="btn">Start Call</button>
+        <button id="endCall" class="btn" disabled>End Call</button>
+    </div>
+    
+    <div>
+        <h3>Active Sessions:</h3>
+        <div id="activeSessions">Loading...</div>
+    </div>
+
+    <script src="//sdk.twilio.com/js/client/releases/1.14.1/twilio.min.js"></script>
+    <script>
+        let device;
+        let connection;
+        
+        const statusDiv = document.getElementById('status');
+        const startBtn = document.getElementById('startCall');
+        const endBtn = document.getElementById('endCall');
+        
+        function updateStatus(message, type = 'info') {
+            statusDiv.textContent = message;
+            statusDiv.className = 'status ' + type;
+        }
+        
+        // Initialize Twilio Device
+        async function initializeDevice() {
+            try {
+                updateStatus('Getting access token...', 'info');
+                const response = await fetch('/token');
+                if (response.status === 401) {
+                    throw new Error('Please sign in on the main page first');
+                }
+                const data = await response.json();
+                
+                if (data.error) {
+                    throw new Error(data.error);
+                }
+                
+                device = new Twilio.Device(data.token, {
+                    logLevel: 1,
+                    codecPreferences: ['opus', 'pcmu']
+                });
+                
+                device.ready(() => {
+                    updateStatus('Ready to make calls', 'success');
+                    startBtn.disabled = false;
+                });
+                
+                device.error((error) => {
+                    updateStatus('Device Error: ' + error.message, 'error');
+                    console.error('Device error:', error);
+                });
+                
+                device.connect((conn) => {
+                    updateStatus('Connected to call', 'success');
+                    connection = conn;
+                    startBtn.disabled = true;
+                    endBtn.disabled = false;
+                });
+                
+                device.disconnect((conn) => {
+                    updateStatus('Call ended', 'info');
+                    connection = null;
+                    startBtn.disabled = false;
+                    endBtn.disabled = true;
+                });
+                
+            } catch (error) {
+                updateStatus('Failed to initialize: ' + error.message, 'error');
+                console.error('Initialization error:', error);
+            }
+        }
+        
+        // Join a specific session as a browser participant with a freshly issued join ticket
+        async function joinSession(sessionId, participantId) {
+            if (!device) return;
+            try {
+                updateStatus('Connecting...', 'info');
+                const response = await fetch('/api/sessions/' + encodeURIComponent(sessionId) + '/join-ticket', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ participantId: participantId || 'web' })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Could not join session');
+                }
+                connection = device.connect({ type: 'web', sessionId: sessionId, joinTicket: data.joinTicket });
+            } catch (error) {
+                updateStatus('Failed to join: ' + error.message, 'error');
+            }
+        }
+        
+        startBtn.addEventListener('click', () => {
+            const sessionId = document.getElementById('sessionId').value.trim();
+            if (!sessionId) {
+                updateStatus('Enter or pick a session to join', 'error');
+                return;
+            }
+            joinSession(sessionId, document.getElementById('participantId').value.trim());
+        });
+        
+        endBtn.addEventListener('click', () => {
+            if (connection) {
+                connection.disconnect();
+            }
+        });
+        
+        // Caller numbers and participant IDs come from outside; escape them like public/client.js does
+        function escapeHtml(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+        
+        // Load active sessions
+        async function loadActiveSessions() {
+            try {
+                const response = await fetch('/api/sessions');
+                const sessions = await response.json();
+                const container = document.getElementById('activeSessions');
+                
+                if (sessions.length === 0) {
+                    container.innerHTML = '<p>No active sessions</p>';
+                } else {
+                    container.innerHTML = sessions.map(session => 
+                        '<div style="border: 1px solid #ccc; padding: 10px; margin: 5px; border-radius: 5px;">' +
+                        '<strong>Session:</strong> ' + escapeHtml(session.sessionId) + '<br>' +
+                        '<strong>Status:</strong> ' + escapeHtml(session.status) + '<br>' +
+                        '<strong>Created:</strong> ' + escapeHtml(new Date(session.createdAt).toLocaleString()) + '<br>' +
+                        '<strong>Phone:</strong> ' + escapeHtml(session.phoneNumber || 'Not set') + '<br>' +
+                        '<strong>Participants:</strong> ' + session.participants.map(p => escapeHtml(p.id + ' (' + p.language + ')')).join(', ') + '<br>' +
+                        '<button class="btn" data-session="' + escapeHtml(session.sessionId) + '">Select</button>' +
+                        '</div>'
+                    ).join('');
+                }
+            } catch (error) {
+                document.getElementById('activeSessions').innerHTML = '<p>Error loading sessions</p>';
+            }
+        }
+        
+        // Selecting a listed session fills in the session to join
+        document.getElementById('activeSessions').addEventListener('click', (event) => {
+            const sessionId = event.target.getAttribute('data-session');
+            if (sessionId) {
+                document.getElementById('sessionId').value = sessionId;
+            }
+        });
+        
+        // Initialize everything
+        initializeDevice();
+        loadActiveSessions();
+        
+        // Refresh sessions every 5 seconds
+        setInterval(loadActiveSessions, 5000);
+    </script>
+</body>
+</html>
+    `);
+});
+
+// Browser login; sets an HttpOnly session cookie
+app.post('/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    const user = authenticatePassword(username, password);
+    
+    if (!user) {
+        logger.warn('Failed login', { username });
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    setLoginCookie(req, res, user);
+    logger.info('User logged in', { username: user.username });
+    res.json({ user });
+});
+
+app.post('/auth/logout', (req, res) => {
+    clearLoginCookie(res);
+    res.json({ success: true });
+});
+
+app.get('/auth/me', requireAuth(), (req, res) => {
+    res.json({ user: req.user, authDisabled: isAuthDisabled() });
+});
+
+// Twilio client identities allow only alphanumerics and underscores
+function getVoiceIdentity(user) {
+    return 'agent_' + String(user.id).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+// Get access token for web calling, bound to the authenticated user
+app.get('/token', requireAuth(), (req, res) => {
+    try {
+        const AccessToken = twilio.jwt.AccessToken;
+        const VoiceGrant = AccessToken.VoiceGrant;
+        
+        const token = new AccessToken(
+            process.env.TWILIO_ACCOUNT_SID,
+            process.env.TWILIO_API_KEY,
+            process.env.TWILIO_API_SECRET,
+            { identity: getVoiceIdentity(req.user) }
+        );
+        
+        const voiceGrant = new VoiceGrant({
+            outgoingApplicationSid: process.env.TWILIO_TWIML_APP_SID,
+            incomingAllow: false
+        });
+        
+        token.addGrant(voiceGrant);
+        
+        res.json({
+            token: token.toJwt(),
+            identity: token.identity
+        });
+    } catch (error) {
+        logger.error('Token generation failed', { error });
+        res.status(500).json({ 
+            error: 'Failed to generate token: ' + error.message 
+        });
+    }
+});
+
+// API endpoint to get active sessions (agents only see their own)
+app.get('/api/sessions', requireAuth(), (req, res) => {
+    const sessions = Array.from(activeSessions.values())
+        .filter(session => canAccessSession(req.user, session))
+        .map(session => ({
+            sessionId: session.sessionId,
+            status: session.status,
+            statusChangedAt: session.statusChangedAt || null,
+            endReason: session.endReason || null,
+            ownerId: session.ownerId,
+            createdAt: session.createdAt,
+            phoneNumber: session.phoneNumber,
+            languages: session.languages,
+            languageDetection: session.languageDetection ? session.languageDetection.status : null,
+            providers: session.providers,
+            glossaryIds: session.glossaryIds || [],
+            mode: getSessionMode(session),
+            cost: session.usage?.cost.total || 0,
+            translationStopped: session.translationStopped?.reason || null,
+            translationQueue: translationQueue.getDepth(session.sessionId),
+            participants: Object.keys(session.languages).map(participantId => ({
+                id: participantId,
+                kind: getParticipantKind(participantId),
+                language: session.languages[participantId],
+                voice: session.voices?.[participantId] || normalizeVoiceSettings(),
+                joinedAt: session.participants?.[participantId]?.joinedAt || null,
+                leftAt: session.participants?.[participantId]?.leftAt || null
+            }))
+        }));
+    
+    res.json(sessions);
+});
+
+// Glossaries attached to a session must exist and belong to the user.
+// Returns the reason `glossaryIds` is rejected, or null.
+function getGlossaryIdsError(user, glossaryIds) {
+    if (!Array.isArray(glossaryIds)) {
+        return 'glossaryIds must be an array';
+    }
+    const unknownGlossary = glossaryIds.find(glossaryId => {
+        const glossary = glossaries.get(glossaryId);
+        return !glossary || !canAccessRecord(user, glossary);
+    });
+    return unknownGlossary !== undefined ? `Unknown glossary: ${unknownGlossary}` : null;
+}
+
+// Create new translation session
+app.post('/create-session', requireAuth(), async (req, res) => {
+    try {
+        const { phoneNumber, phoneLanguage = 'es', phoneFallbackLanguage = 'es', webLanguage = 'en', providers, glossaryIds = [], voices = {}, budget, mode = 'voice' } = req.body;
+        
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+        
+        // Validate languages. With 'auto' the phone language is identified from
+        // the caller's speech; the fallback is used until then.
+        const detectPhoneLanguage = phoneLanguage === 'auto';
+        const initialPhoneLanguage = detectPhoneLanguage ? phoneFallbackLanguage : phoneLanguage;
+        if (!SUPPORTED_LANGUAGES[initialPhoneLanguage] || !SUPPORTED_LANGUAGES[webLanguage]) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
+        
+        // Voice settings for how each party sounds once translated
+        let voiceSettings;
+        try {
+            const unknownParticipant = Object.keys(voices || {}).find(participantId => !['phone', 'web'].includes(participantId));
+            if (unknownParticipant) {
+                throw new Error(`Unknown participant in voices: ${unknownParticipant}`);
+            }
+            voiceSettings = {
+                phone: normalizeVoiceSettings(voices?.phone, 'voices.phone'),
+                web: normalizeVoiceSettings(voices?.web, 'voices.web')
+            };
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const glossaryError = getGlossaryIdsError(req.user, glossaryIds);
+        if (glossaryError) {
+            return res.status(400).json({ error: glossaryError });
+        }
+        
+        // Spending cap in USD, defaulting to SESSION_BUDGET_USD
+        if (budget !== undefined && budget !== null && !(Number.isFinite(Number(budget)) && Number(budget) > 0)) {
+            return res.status(400).json({ error: 'budget must be a positive number of USD' });
+        }
+        
+        if (!SESSION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Unknown mode: ${mode}. Use one of: ${SESSION_MODES.join(', ')}` });
+        }
+        
+        // Pipeline providers default to the deployment's configuration
+        let providerSelection;
+        try {
+            providerSelection = resolveProviderSelection(providers);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const sessionId = uuidv4();
+        const conferenceId = 'translation-' + sessionId;
+        
+        // Store session info with language preferences
+        activeSessions.set(sessionId, initSessionState({
+            sessionId,
+            conferenceId,
+            direction: 'outbound',
+            phoneNumber,
+            ownerId: req.user.id,
+            languages: {
+                phone: initialPhoneLanguage,
+                web: webLanguage
+            },
+            languageDetection: detectPhoneLanguage ? createDetectionState(initialPhoneLanguage) : null,
+            providers: providerSelection,
+            glossaryIds: [...new Set(glossaryIds)],
+            voices: voiceSettings,
+            mode,
+            mediaStreamToken: createMediaStreamToken(),
+            transcript: [],
+            dialogue: createDialogueState(),
+            usage: createUsage(),
+            budget: createSessionBudget(budget),
+            createdAt: new Date().toISOString(),
+            participants: {
+                phone: { kind: 'phone', phoneNumber },
+                web: { kind: 'web' }
+            }
+        }, 'created'));
+        
+        logger.info('Created translation session', {
+            sessionId,
+            phoneNumber,
+            languages: { phone: detectPhoneLanguage ? 'auto' : phoneLanguage, web: webLanguage },
+            providers: providerSelection,
+            mode
+        });
+        
+        // Make the call to the phone number
+        const call = await getTwilioClient().calls.create({
+            to: phoneNumber,
+            from: process.env.TWILIO_PHONE_NUMBER,
+            url: `https://${req.get('host')}/incoming-call?session=${sessionId}&type=phone`,
+            statusCallback: `https://${req.get('host')}/call-status?session=${sessionId}`,
+            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+            statusCallbackMethod: 'POST'
+        });
+        
+        // Update session with call SID
+        const session = activeSessions.get(sessionId);
+        session.callSid = call.sid;
+        setSessionStatus(session, 'phone_calling', 'call_placed');
+        activeSessions.save(session);
+        
+        // The browser presents this ticket when it joins, binding it to this session
+        const joinTicket = createJoinTicket(sessionId);
+        
+        res.json({
+            success: true,
+            sessionId,
+            callSid: call.sid,
+            languages: session.languages,
+            languageDetection: session.languageDetection ? session.languageDetection.status : null,
+            mode,
+            joinTicket: joinTicket.ticket,
+            joinTicketExpiresAt: joinTicket.expiresAt,
+            message: `Calling ${phoneNumber}... Translation will begin when both parties join.`
+        });
+        
+    } catch (error) {
+        logger.error('Failed to create session', { error });
+        res.status(500).json({ error: 'Failed to create session: ' + error.message });
+    }
+});
+
+// Media Stream URL for a participant. Twilio does not pass query strings to
+// stream URLs, so the session, participant and stream token are path segments.
+function getMediaStreamUrl(req, session, participant) {
+    const segments = [session.sessionId, participant, session.mediaStreamToken].map(encodeURIComponent);
+    return `wss://${req.get('host')}/media-stream/${segments.join('/')}`;
+}
+
+// Conference-based webhook handler with bidirectional media streams
+function handleIncomingCall(req, res) {
+    const sessionId = req.query.session;
+    // Browser legs placed with the Voice SDK carry their params in the body
+    const participantType = req.query.type || req.body.type || 'phone';
+    const participantId = req.query.participant || participantType;
+    logger.info('Incoming call', { sessionId, participant: participantId, callSid: req.body.CallSid, from: req.body.From });
+    
+    // Web callers must name their session and present a valid join ticket
+    if (participantType === 'web') {
+        return handleWebCall(req, res);
+    }
+    
+    // Callers who dial the service number arrive without a session
+    if (!sessionId && !req.query.participant) {
+        return handleInboundCall(req, res);
+    }
+    
+    // Handle phone calls with session
+    const knownParticipant = activeSessions.get(sessionId)?.languages[participantId] && getParticipantKind(participantId) === 'phone';
+    if (!sessionId || !activeSessions.has(sessionId) || !knownParticipant) {
+        logger.warn('Rejected call for unknown session or participant', { sessionId, participant: participantId });
+        const response = new VoiceResponse();
+        response.say('Sorry, this session is not available. Please try again.');
+        response.hangup();
+        return res.type('text/xml').send(response.toString());
+    }
+    
+    const session = activeSessions.get(sessionId);
+    const response = new VoiceResponse();
+    
+    logger.info('Phone participant joining conference', { sessionId, participant: participantId, conferenceId: session.conferenceId });
+    
+    addConferenceJoin(response, req, session, participantId);
+    recordParticipantJoin(session, participantId, req);
+    activeSessions.save(session);
+    
+    res.type('text/xml').send(response.toString());
+}
+
+// Stream a participant's audio to us (Connect Stream, bidirectional) and put
+// them in the session's conference. Phone parties hear hold music until
+// someone else joins.
+function addConferenceJoin(response, req, session, participantId) {
+    const connect = response.connect();
+    connect.stream({
+        url: getMediaStreamUrl(req, session, participantId),
+        track: 'both_tracks'
+    });
+    
+    // TwiML builders take the attributes first and the conference name second
+    const dial = response.dial();
+    dial.conference({
+        startConferenceOnEnter: true,
+        endConferenceOnExit: false,
+        waitUrl: getParticipantKind(participantId) === 'phone' ? 'http://twimlets.com/holdmusic?Bucket=com.twilio.music.ambient' : '',
+        maxParticipants: MAX_PARTICIPANTS,
+        record: 'do-not-record',
+        statusCallback: `https://${req.get('host')}/conference-status?session=${session.sessionId}&participant=${participantId}`,
+        statusCallbackEvent: 'start end join leave',
+        statusCallbackMethod: 'POST'
+    }, session.conferenceId);
+}
+
+// Note a participant's call details as their call reaches the conference
+function recordParticipantJoin(session, participantId, req) {
+    const participant = {
+        ...session.participants[participantId],
+        kind: getParticipantKind(participantId),
+        callSid: req.body.CallSid,
+        from: req.body.From,
+        to: req.body.To,
+        joinedAt: new Date()
+    };
+    delete participant.leftAt;
+    session.participants[participantId] = participant;
+}
+
+// Helper function for web calls with session
+function handleWebCallWithSession(req, res, session, participantId = 'web') {
+    const response = new VoiceResponse();
+    
+    logger.info('Web participant joining conference', { sessionId: session.sessionId, participant: participantId, conferenceId: session.conferenceId });
+    
+    addConferenceJoin(response, req, session, participantId);
+    recordParticipantJoin(session, participantId, req);
+    // Only the first browser in the conference changes the session status
+    const conferenceStatus = getConferenceStatus(session);
+    if (conferenceStatus !== 'web_joined' && conferenceStatus !== 'conference_active') {
+        setSessionStatus(session, 'web_joining', 'browser_dialed_in');
+    }
+    activeSessions.save(session);
+    
+    return res.type('text/xml').send(response.toString());
+}
+
+// Conference size, matching the conference's maxParticipants
+const MAX_PARTICIPANTS = 10;
+
+// Statuses in which a browser may still join a session
+const JOINABLE_STATUSES = ['phone_calling', 'phone_answered', 'phone_in_conference', 'conference_active', 'web_joining', 'web_joined'];
+
+// Reject a web caller with a spoken explanation
+function rejectWebCall(res, message) {
+    const response = new VoiceResponse();
+    response.say(message);
+    response.hangup();
+    return res.type('text/xml').send(response.toString());
+}
+
+// Handle web calls from the Voice SDK. The browser passes the sessionId it
+// created and the join ticket it was issued as `device.connect` params.
+function handleWebCall(req, res) {
+    const sessionId = req.body.sessionId || req.query.session;
+    const joinTicket = req.body.joinTicket;
+    
+    logger.info('Web call initiated', { sessionId });
+    
+    if (!sessionId || !activeSessions.has(sessionId)) {
+        logger.warn('Web caller named no known session', { sessionId });
+        return rejectWebCall(res, 'No active translation session found. Please start a new session.');
+    }
+    
+    const verification = redeemJoinTicket(joinTicket, sessionId);
+    if (!verification.valid) {
+        logger.warn('Rejected web join', { sessionId, reason: verification.reason });
+        return rejectWebCall(res, verification.reason === 'expired' || verification.reason === 'already_used'
+            ? 'Your join link has expired. Please try joining again.'
+            : 'You are not allowed to join this translation session.');
+    }
+    
+    const session = activeSessions.get(sessionId);
+    if (!JOINABLE_STATUSES.includes(session.status)) {
+        logger.warn('Rejected web join', { sessionId, reason: 'session_not_joinable', status: session.status });
+        return rejectWebCall(res, 'This translation session has ended. Please start a new session.');
+    }
+    
+    // The ticket names which browser participant this caller is
+    const { participantId } = verification;
+    if (!session.languages[participantId] || getParticipantKind(participantId) !== 'web') {
+        logger.warn('Rejected web join', { sessionId, participant: participantId, reason: 'unknown_participant' });
+        return rejectWebCall(res, 'You are not allowed to join this translation session.');
+    }
+    
+    return handleWebCallWithSession(req, res, session, participantId);
+}
+
+// Issue a fresh join ticket, e.g. when the one from /create-session expired
+app.post('/api/sessions/:sessionId/join-ticket', requireAuth(), (req, res) => {
+    const session = activeSessions.get(req.params.sessionId);
+    if (!session || !canAccessSession(req.user, session)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!JOINABLE_STATUSES.includes(session.status)) {
+        return res.status(409).json({ error: `Session is ${session.status}` });
+    }
+    
+    const participantId = req.body?.participantId || 'web';
+    if (!session.languages[participantId] || getParticipantKind(participantId) !== 'web') {
+        return res.status(400).json({ error: `Unknown browser participant: ${participantId}` });
+    }
+    
+    const { ticket, expiresAt } = createJoinTicket(session.sessionId, participantId);
+    res.json({ sessionId: session.sessionId, participantId, joinTicket: ticket, joinTicketExpiresAt: expiresAt });
+});
+
+// Add a participant to a running session: dial another phone number, or
+// register another browser and return the join ticket it should use
+app.post('/api/sessions/:sessionId/participants', requireAuth(), async (req, res) => {
+    try {
+        const session = activeSessions.get(req.params.sessionId);
+        if (!session || !canAccessSession(req.user, session)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!JOINABLE_STATUSES.includes(session.status)) {
+            return res.status(409).json({ error: `Session is ${session.status}` });
+        }
+        
+        const { type, phoneNumber, language, voice } = req.body || {};
+        if (!PARTICIPANT_KINDS.includes(type)) {
+            return res.status(400).json({ error: `Participant type must be one of: ${PARTICIPANT_KINDS.join(', ')}` });
+        }
+        if (!SUPPORTED_LANGUAGES[language]) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
+        if (type === 'phone' && !phoneNumber) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+        let voiceSettings;
+        try {
+            voiceSettings = normalizeVoiceSettings(voice);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (Object.keys(session.languages).length >= MAX_PARTICIPANTS) {
+            return res.status(409).json({ error: `Sessions are limited to ${MAX_PARTICIPANTS} participants` });
+        }
+        
+        const participantId = nextParticipantId(session, type);
+        session.languages[participantId] = language;
+        session.participants[participantId] = type === 'phone' ? { kind: 'phone', phoneNumber } : { kind: 'web' };
+        session.voices = { ...session.voices, [participantId]: voiceSettings };
+        activeSessions.save(session);
+        
+        logger.info('Added participant', { sessionId: session.sessionId, participant: participantId, language });
+        
+        if (type === 'web') {
+            const { ticket, expiresAt } = createJoinTicket(session.sessionId, participantId);
+            return res.status(201).json({
+                sessionId: session.sessionId,
+                participantId,
+                language,
+                joinTicket: ticket,
+                joinTicketExpiresAt: expiresAt
+            });
+        }
+        
+        try {
+            const call = await getTwilioClient().calls.create({
+                to: phoneNumber,
+                from: process.env.TWILIO_PHONE_NUMBER,
+                url: `https://${req.get('host')}/incoming-call?session=${session.sessionId}&type=phone&participant=${participantId}`,
+                statusCallback: `https://${req.get('host')}/call-status?session=${session.sessionId}&participant=${participantId}`,
+                statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+                statusCallbackMethod: 'POST'
+            });
+            session.participants[participantId].callSid = call.sid;
+            activeSessions.save(session);
+            res.status(201).json({ sessionId: session.sessionId, participantId, language, callSid: call.sid });
+        } catch (error) {
+            // The participant never joined; free the ID again
+            delete session.languages[participantId];
+            delete session.participants[participantId];
+            delete session.voices[participantId];
+            activeSessions.save(session);
+            throw error;
+        }
+    } catch (error) {
+        logger.error('Failed to add participant', { sessionId: req.params.sessionId, error });
+        res.status(500).json({ error: 'Failed to add participant: ' + error.message });
+    }
+});
+
+// Bilingual transcript of a session (live, or archived after the session ended)
+app.get('/api/sessions/:sessionId/transcript', requireAuth(), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const formatInfo = TRANSCRIPT_FORMATS[format];
+        if (!formatInfo) {
+            return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}` });
+        }
+        
+        const session = activeSessions.get(req.params.sessionId);
+        const record = session ? getTranscriptRecord(session) : await loadArchivedTranscript(req.params.sessionId);
+        if (!record || !canAccessSession(req.user, record)) {
+            return res.status(404).json({ error: 'Transcript not found' });
+        }
+        
+        if (format !== 'json') {
+            res.attachment(`transcript-${record.sessionId}.${formatInfo.extension}`);
+        }
+        res.type(formatInfo.contentType).send(formatTranscript(record, format));
+    } catch (error) {
+        logger.error('Failed to export transcript', { sessionId: req.params.sessionId, error });
+        res.status(500).json({ error: 'Failed to export transcript: ' + error.message });
+    }
+});
+
+// Recent per-utterance pipeline traces of a live session, as an OTLP/JSON
+// export request body
+app.get('/api/sessions/:sessionId/traces', requireAuth(), (req, res) => {
+    const session = activeSessions.get(req.params.sessionId);
+    if (!session || !canAccessSession(req.user, session)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(tracer.getTraces(session.sessionId));
+});
+
+// What a session has used so far (or in total, once it has ended) and its budget
+app.get('/api/sessions/:sessionId/usage', requireAuth(), (req, res) => {
+    const session = activeSessions.get(req.params.sessionId);
+    const record = session || usageLedger.getSession(req.params.sessionId);
+    if (!record || !canAccessSession(req.user, record)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({
+        sessionId: record.sessionId,
+        ended: !session || isTerminalState(session.status),
+        usage: record.usage || createUsage(),
+        budget: session ? describeBudget(session) : null,
+        translationStopped: session?.translationStopped || null
+    });
+});
+
+// Usage per UTC day between `from` and `to` (YYYY-MM-DD). Admins see the
+// deployment's totals, agents their own sessions.
+app.get('/api/usage/daily', requireAuth(), (req, res) => {
+    const days = usageLedger.getDays(req.query.from, req.query.to).map(({ day, usage, users }) => ({
+        day,
+        usage: req.user.role === 'admin' ? usage : users[req.user.id] || createUsage()
+    }));
+    res.json({
+        days,
+        dailyBudget: req.user.role === 'admin' && BUDGETS.daily > 0
+            ? { maxCost: BUDGETS.daily, spentToday: usageLedger.getCost() }
+            : null
+    });
+});
+
+// Usage per user between `from` and `to`, summed over the days
+app.get('/api/usage/users', requireAuth('admin'), (req, res) => {
+    const perUser = new Map();
+    for (const { users } of usageLedger.getDays(req.query.from, req.query.to)) {
+        for (const [userId, usage] of Object.entries(users)) {
+            perUser.set(userId, [...(perUser.get(userId) || []), usage]);
+        }
+    }
+    res.json([...perUser].map(([userId, records]) => ({ userId, usage: mergeUsage(records) })));
+});
+
+// Voices available for synthesized speech, with the defaults for each language
+app.get('/api/voices', requireAuth(), (req, res) => {
+    res.json(getVoiceCatalog(Object.keys(SUPPORTED_LANGUAGES)));
+});
+
+// Glossaries: term mappings and do-not-translate terms attached to sessions
+function sendGlossaryError(res, error) {
+    res.status(400).json({ error: error.message });
+}
+
+app.get('/api/glossaries', requireAuth(), (req, res) => {
+    res.json([...glossaries.values()].filter(glossary => canAccessRecord(req.user, glossary)));
+});
+
+app.post('/api/glossaries', requireAuth(), (req, res) => {
+    let fields;
+    try {
+        fields = normalizeGlossaryInput(req.body, language => Boolean(SUPPORTED_LANGUAGES[language]));
+    } catch (error) {
+        return sendGlossaryError(res, error);
+    }
+    res.status(201).json(glossaries.create(fields, req.user.id));
+});
+
+app.get('/api/glossaries/:glossaryId', requireAuth(), (req, res) => {
+    const glossary = glossaries.get(req.params.glossaryId);
+    if (!glossary || !canAccessRecord(req.user, glossary)) {
+        return res.status(404).json({ error: 'Glossary not found' });
+    }
+    res.json(glossary);
+});
+
+app.put('/api/glossaries/:glossaryId', requireAuth(), (req, res) => {
+    const glossary = glossaries.get(req.params.glossaryId);
+    if (!glossary || !canAccessRecord(req.user, glossary)) {
+        return res.status(404).json({ error: 'Glossary not found' });
+    }
+    let fields;
+    try {
+        fields = normalizeGlossaryInput(req.body, language => Boolean(SUPPORTED_LANGUAGES[language]));
+    } catch (error) {
+        return sendGlossaryError(res, error);
+    }
+    res.json(glossaries.update(glossary.id, fields));
+});
+
+app.delete('/api/glossaries/:glossaryId', requireAuth(), (req, res) => {
+    const glossary = glossaries.get(req.params.glossaryId);
+    if (!glossary || !canAccessRecord(req.user, glossary)) {
+        return res.status(404).json({ error: 'Glossary not found' });
+    }
+    glossaries.delete(glossary.id);
+    res.sendStatus(204);
+});
+
+// ---------------------------------------------------------------------------
+// Inbound calls: IVR language menu, then a queue until an agent picks up
+// ---------------------------------------------------------------------------
+
+const IVR_MAX_ATTEMPTS = 3;
+
+// Play the language menu. Without a choice the menu repeats, and after the
+// last attempt the caller continues in the first menu language.
+function handleInboundCall(req, res) {
+    const attempt = Number(req.query.attempt) || 1;
+    const languages = getMenuLanguages(SUPPORTED_LANGUAGES);
+    const response = new VoiceResponse();
+    
+    logger.info('Inbound call language menu', { callSid: req.body.CallSid, from: req.body.From, attempt });
+    
+    addLanguageMenu(response, {
+        actionUrl: `/incoming-call/language?attempt=${attempt}`,
+        languages,
+        sayLanguages: SUPPORTED_LANGUAGES
+    });
+    response.redirect({ method: 'POST' }, attempt < IVR_MAX_ATTEMPTS
+        ? `/incoming-call?attempt=${attempt + 1}`
+        : `/incoming-call/language?attempt=${attempt}`);
+    
+    res.type('text/xml').send(response.toString());
+}
+
+function handleLanguageSelection(req, res) {
+    const attempt = Number(req.query.attempt) || 1;
+    const languages = getMenuLanguages(SUPPORTED_LANGUAGES);
+    let language = getLanguageForDigit(req.body.Digits, languages);
+    
+    if (!language) {
+        if (req.body.Digits && attempt < IVR_MAX_ATTEMPTS) {
+            const response = new VoiceResponse();
+            response.redirect({ method: 'POST' }, `/incoming-call?attempt=${attempt + 1}`);
+            return res.type('text/xml').send(response.toString());
+        }
+        language = languages[0] || 'en';
+    }
+    
+    // Twilio may retry the webhook; keep one session per call
+    const existing = [...activeSessions.values()].find(session => session.direction === 'inbound' && session.callSid === req.body.CallSid);
+    const session = existing || createInboundSession(req, language);
+    
+    const response = new VoiceResponse();
+    response.say({ language: SUPPORTED_LANGUAGES[language] }, getHoldMessage(language));
+    addConferenceJoin(response, req, session, 'phone');
+    recordParticipantJoin(session, 'phone', req);
+    activeSessions.save(session);
+    
+    if (!existing) {
+        publishQueueUpdate({ type: 'call_queued', call: describeQueuedCall(session) });
+    }
+    
+    res.type('text/xml').send(response.toString());
+}
+
+// A session for an inbound caller, unowned until an agent claims it
+function createInboundSession(req, language) {
+    const sessionId = uuidv4();
+    const now = new Date().toISOString();
+    const session = {
+        sessionId,
+        conferenceId: 'translation-' + sessionId,
+        direction: 'inbound',
+        phoneNumber: req.body.From,
+        callSid: req.body.CallSid,
+        ownerId: null,
+        languages: { phone: language },
+        languageDetection: null,
+        providers: resolveProviderSelection(),
+        glossaryIds: [],
+        voices: { phone: normalizeVoiceSettings() },
+        mode: 'voice',
+        mediaStreamToken: createMediaStreamToken(),
+        transcript: [],
+        dialogue: createDialogueState(),
+        usage: createUsage(),
+        budget: createSessionBudget(),
+        queuedAt: now,
+        createdAt: now,
+        participants: {
+            phone: { kind: 'phone', phoneNumber: req.body.From }
+        }
+    };
+    activeSessions.set(sessionId, initSessionState(session, 'queued'));
+    
+    logger.info('Queued inbound call', { sessionId, callSid: req.body.CallSid, from: req.body.From, language });
+    return session;
+}
+
+function describeQueuedCall(session) {
+    return {
+        sessionId: session.sessionId,
+        phoneNumber: session.phoneNumber,
+        language: session.languages.phone,
+        queuedAt: session.queuedAt
+    };
+}
+
+function getQueuedCalls() {
+    return [...activeSessions.values()]
+        .filter(session => session.status === 'queued')
+        .map(describeQueuedCall)
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+// Inbound calls waiting for an agent
+app.get('/api/queue', requireAuth(), (req, res) => {
+    res.json(getQueuedCalls());
+});
+
+// Pick up a queued call. The first agent to claim it becomes its owner and
+// receives a join ticket for the browser leg. Inbound calls have no
+// create-session step, so the claim also picks the mode and glossaries.
+app.post('/api/queue/:sessionId/claim', requireAuth(), (req, res) => {
+    const session = activeSessions.get(req.params.sessionId);
+    if (!session || session.direction !== 'inbound') {
+        return res.status(404).json({ error: 'Call not found' });
+    }
+    if (session.status !== 'queued') {
+        return res.status(409).json({ error: 'This call has already been picked up or has ended' });
+    }
+    
+    const { webLanguage = 'en', voices = {}, mode = 'voice', glossaryIds = [] } = req.body || {};
+    if (!SUPPORTED_LANGUAGES[webLanguage]) {
+        return res.status(400).json({ error: 'Unsupported language' });
+    }
+    if (!SESSION_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Unknown mode: ${mode}. Use one of: ${SESSION_MODES.join(', ')}` });
+    }
+    const glossaryError = getGlossaryIdsError(req.user, glossaryIds);
+    if (glossaryError) {
+        return res.status(400).json({ error: glossaryError });
+    }
+    let webVoice;
+    try {
+        webVoice = normalizeVoiceSettings(voices?.web, 'voices.web');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    session.ownerId = req.user.id;
+    session.claimedAt = new Date().toISOString();
+    session.languages.web = webLanguage;
+    session.participants.web = { kind: 'web' };
+    session.voices.web = webVoice;
+    session.mode = mode;
+    session.glossaryIds = [...new Set(glossaryIds)];
+    setSessionStatus(session, 'phone_in_conference', 'claimed');
+    activeSessions.save(session);
+    
+    logger.info('Inbound call claimed', { sessionId: session.sessionId, username: req.user.username });
+    publishQueueUpdate({ type: 'call_claimed', sessionId: session.sessionId, claimedBy: req.user.username });
+    
+    const joinTicket = createJoinTicket(session.sessionId);
+    res.json({
+        success: true,
+        sessionId: session.sessionId,
+        phoneNumber: session.phoneNumber,
+        languages: session.languages,
+        mode,
+        glossaryIds: session.glossaryIds,
+        joinTicket: joinTicket.ticket,
+        joinTicketExpiresAt: joinTicket.expiresAt
+    });
+});
+
+// Route handlers
+app.post('/incoming-call', validateTwilioRequest, handleIncomingCall);
+app.post('/incoming-call/language', validateTwilioRequest, handleLanguageSelection);
+app.post('/voice', validateTwilioRequest, handleWebCall);
+
+// Call status webhook
+app.post('/call-status', validateTwilioRequest, (req, res) => {
+    const { CallSid, CallStatus, From, To } = req.body;
+    const sessionId = req.query.session;
+    const participantId = req.query.participant || 'phone';
+    
+    logger.info('Call status update', { sessionId, participant: participantId, callSid: CallSid, callStatus: CallStatus, from: From, to: To });
+    
+    // Calls to added participants only affect that participant
+    if (participantId !== 'phone' && activeSessions.get(sessionId)?.participants[participantId]) {
+        const session = activeSessions.get(sessionId);
+        const participant = session.participants[participantId];
+        participant.lastCallStatus = CallStatus;
+        if (ENDED_CALL_STATUSES.includes(CallStatus) && !participant.leftAt) {
+            participant.leftAt = new Date();
+        }
+        if (CallStatus === 'completed') {
+            recordCallUsage(session, participantId, req.body.CallDuration);
+        }
+        activeSessions.save(session);
+        publishParticipantStatus(session, participantId, CALL_STATUS_EVENTS[CallStatus], CallStatus);
+    } else if (sessionId && activeSessions.has(sessionId)) {
+        const session = activeSessions.get(sessionId);
+        publishParticipantStatus(session, 'phone', CALL_STATUS_EVENTS[CallStatus], CallStatus);
+        session.lastCallStatus = CallStatus;
+        session.lastStatusUpdate = new Date().toISOString();
+        
+        // Twilio reports an answered call as 'in-progress'
+        if ((CallStatus === 'in-progress' || CallStatus === 'answered') && session.status === 'phone_calling') {
+            setSessionStatus(session, 'phone_answered', 'call_answered');
+            markCallStarted(session);
+        } else if (ENDED_CALL_STATUSES.includes(CallStatus)) {
+            if (session.participants.phone && !session.participants.phone.leftAt) {
+                session.participants.phone.leftAt = new Date();
+            }
+            // The others stay on the call; the session ends with the last of them
+            // or with the conference
+            if (hasOtherConnectedParticipants(session, 'phone')) {
+                updateConferenceStatus(session, 'phone_left');
+            } else {
+                endSession(session, `call_${CallStatus.replace('-', '_')}`);
+            }
+            if (CallStatus === 'completed') {
+                recordCallUsage(session, 'phone', req.body.CallDuration);
+            }
+        }
+        
+        activeSessions.save(session);
+        logger.debug('Session status after call update', { sessionId, status: session.status });
+    }
+    
+    res.sendStatus(200);
+});
+
+// Conference status webhook
+app.post('/conference-status', validateTwilioRequest, (req, res) => {
+    const { ConferenceSid, StatusCallbackEvent, ParticipantLabel } = req.body;
+    const sessionId = req.query.session;
+    const participantType = req.query.participant;
+    
+    logger.info('Conference event', { sessionId, participant: participantType, event: StatusCallbackEvent, conferenceSid: ConferenceSid });
+    
+    if (sessionId && activeSessions.has(sessionId)) {
+        const session = activeSessions.get(sessionId);
+        const participant = session.participants?.[participantType];
+        
+        switch (StatusCallbackEvent) {
+            case 'participant-join':
+                if (participant) {
+                    participant.conferenceJoinedAt = new Date();
+                    delete participant.leftAt;
+                }
+                publishParticipantStatus(session, participantType, 'joined');
+                updateConferenceStatus(session, `${participantType}_joined`);
+                break;
+                
+            case 'participant-leave':
+                if (participant) {
+                    participant.leftAt = new Date();
+                    if (!hasCallStatusCallback(session, participantType) && participant.conferenceJoinedAt) {
+                        recordCallUsage(session, participantType, (participant.leftAt - new Date(participant.conferenceJoinedAt)) / 1000);
+                    }
+                }
+                publishParticipantStatus(session, participantType, 'left');
+                if (session.status === 'queued' && participantType === 'phone') {
+                    endSession(session, 'caller_hung_up');
+                } else {
+                    updateConferenceStatus(session, `${participantType}_left`);
+                }
+                break;
+                
+            case 'conference-start':
+                markCallStarted(session);
+                break;
+                
+            case 'conference-end':
+                endSession(session, 'conference_ended', 'conference_ended');
+                releaseSessionStreams(sessionId, 'conference_ended');
+                break;
+        }
+        
+        activeSessions.save(session);
+        logger.debug('Session status after conference event', { sessionId, status: session.status });
+    }
+    
+    res.sendStatus(200);
+});
+
+const ENDED_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// Twilio call statuses reported to the browser as participant events
+const CALL_STATUS_EVENTS = {
+    ringing: 'ringing',
+    'in-progress': 'answered',
+    answered: 'answered',
+    completed: 'ended',
+    busy: 'failed',
+    failed: 'failed',
+    'no-answer': 'failed',
+    canceled: 'failed'
+};
+
+// What the browser needs to render a session's state
+function describeSessionStatus(session) {
+    return {
+        status: session.status,
+        statusChangedAt: session.statusChangedAt || null,
+        endReason: session.endReason || null,
+        translationStopped: session.translationStopped?.reason || null,
+        participants: Object.keys(session.languages).map(participantId => {
+            const participant = session.participants?.[participantId] || {};
+            return {
+                id: participantId,
+                kind: getParticipantKind(participantId),
+                inConference: Boolean(participant.conferenceJoinedAt) && !participant.leftAt,
+                leftAt: participant.leftAt || null
+            };
+        })
+    };
+}
+
+// Change a session's status and push the change to its subscribers
+function setSessionStatus(session, status, reason) {
+    const previousStatus = session.status;
+    if (!transitionSession(session, status, reason)) {
+        return false;
+    }
+    publishTranslationUpdate(session.sessionId, {
+        type: 'session_status',
+        previousStatus,
+        reason,
+        ...describeSessionStatus(session)
+    });
+    return true;
+}
+
+// A participant's call rang, was answered, joined or left the conference,
+// ended or failed
+function publishParticipantStatus(session, participantId, event, callStatus = null) {
+    if (!event) {
+        return;
+    }
+    publishTranslationUpdate(session.sessionId, {
+        type: 'participant_status',
+        participant: participantId,
+        event,
+        callStatus
+    });
+}
+
+// Whether anyone besides `participantId` is still on a call in the session
+function hasOtherConnectedParticipants(session, participantId) {
+    return Object.entries(session.participants || {}).some(([otherId, participant]) =>
+        otherId !== participantId && participant.callSid && !participant.leftAt);
+}
+
+// Follow who is in the conference. Queued callers stay queued until claimed.
+function updateConferenceStatus(session, reason) {
+    const status = getConferenceStatus(session);
+    if (status && session.status !== 'queued') {
+        setSessionStatus(session, status, reason);
+    }
+}
+
+// Move a live session to an ended status and tell its subscribers why.
+// Returns false if the session had already ended.
+function endSession(session, reason, status = 'call_ended') {
+    const wasQueued = session.status === 'queued';
+    if (!setSessionStatus(session, status, reason)) {
+        return false;
+    }
+    activeSessions.save(session);
+    logger.info('Session ended', { sessionId: session.sessionId, status, reason });
+    translationQueue.clearSession(session.sessionId, 'session_ended');
+    
+    if (wasQueued) {
+        publishQueueUpdate({ type: 'call_abandoned', sessionId: session.sessionId, reason });
+    }
+    return true;
+}
+
+// Hang up every call leg still connected to a session. Calls that are still
+// ringing have to be canceled rather than completed.
+function hangUpSessionCalls(session, ringing = false) {
+    const calls = new Map(); // callSid -> status to request
+    const participants = session.participants || {};
+    if (session.callSid && !participants.phone?.leftAt) {
+        calls.set(session.callSid, ringing ? 'canceled' : 'completed');
+    }
+    for (const participant of Object.values(participants)) {
+        if (participant.callSid && !participant.leftAt && !calls.has(participant.callSid)) {
+            calls.set(participant.callSid, 'completed');
+        }
+    }
+    for (const participant of Object.values(participants)) {
+        if (!participant.leftAt && (participant.callSid || participant === participants.phone)) {
+            participant.leftAt = new Date();
+        }
+    }
+    
+    for (const [callSid, status] of calls) {
+        try {
+            getTwilioClient().calls(callSid).update({ status })
+                .catch(error => logger.error('Failed to hang up call', { sessionId: session.sessionId, callSid, error }));
+        } catch (error) {
+            logger.error('Failed to hang up call', { sessionId: session.sessionId, callSid, error });
+        }
+    }
+}
+
+// Close a media stream and drop everything buffered for it: unsent
+// playback, audio collected for the next utterance and pending TTS
+function closeStream(streamKey, stream, reason) {
+    if (activeStreams.get(streamKey) === stream) {
+        activeStreams.delete(streamKey);
+    }
+    stream.player.close();
+    const discarded = stream.segmenter.flush().length;
+    if (discarded > 0) {
+        utterancesDropped.inc({ reason: 'stream_closed' }, discarded);
+    }
+    for (const synthesis of stream.pendingSyntheses) {
+        synthesis.abort();
+    }
+    stream.pendingSyntheses.clear();
+    if (stream.ws.readyState === 0 || stream.ws.readyState === 1) { // CONNECTING or OPEN
+        stream.ws.close(1000, reason);
+    }
+    logger.info('Closed media stream', { sessionId: stream.sessionId, participant: stream.participant, reason });
+}
+
+function releaseSessionStreams(sessionId, reason) {
+    for (const [streamKey, stream] of activeStreams) {
+        if (stream.sessionId === sessionId) {
+            closeStream(streamKey, stream, reason);
+        }
+    }
+}
+
+// Forget an ended session. Transcripts are archived first so the record
+// outlives the session.
+async function removeSession(session) {
+    const { sessionId } = session;
+    try {
+        await archiveTranscript(session);
+    } catch (error) {
+        logger.error('Failed to archive transcript', { sessionId, error });
+    }
+    hangUpSessionCalls(session);
+    releaseSessionStreams(sessionId, 'session_removed');
+    usageLedger.recordSession(session);
+    activeSessions.delete(sessionId);
+    
+    for (const ws of translationSubscribers.get(sessionId) || []) {
+        ws.close(1000, 'Session ended');
+    }
+    translationSubscribers.delete(sessionId);
+    tracer.forget(sessionId);
+    logger.info('Removed session', { sessionId, status: session.status, reason: session.endReason || null });
+}
+
+// Periodic sweep: end sessions that outstayed their status or the maximum
+// duration, remove ended sessions once their retention has passed and close
+// media streams that went quiet or lost their session
+async function sweepSessions(now = Date.now()) {
+    for (const session of [...activeSessions.values()]) {
+        const expiry = getExpiry(session, SESSION_TIMEOUTS, now);
+        if (expiry?.action === 'end') {
+            const ringing = session.status === 'phone_calling';
+            logger.warn('Session timed out', { sessionId: session.sessionId, status: session.status, reason: expiry.reason });
+            if (endSession(session, expiry.reason)) {
+                hangUpSessionCalls(session, ringing);
+                releaseSessionStreams(session.sessionId, expiry.reason);
+                activeSessions.save(session);
+            }
+        } else if (expiry?.action === 'remove') {
+            await removeSession(session);
+        }
+    }
+    
+    for (const [streamKey, stream] of activeStreams) {
+        if (!activeSessions.has(stream.sessionId)) {
+            closeStream(streamKey, stream, 'session_removed');
+        } else if (now - (stream.lastMediaAt || stream.connectedAt) >= STREAM_IDLE_TIMEOUT_MS) {
+            closeStream(streamKey, stream, 'stream_idle');
+        }
+    }
+}
+
+function startSessionSweeper() {
+    let sweeping = false;
+    setInterval(async () => {
+        if (sweeping) {
+            return;
+        }
+        sweeping = true;
+        try {
+            await sweepSessions();
+        } catch (error) {
+            logger.error('Session sweep failed', { error });
+        } finally {
+            sweeping = false;
+        }
+    }, SESSION_SWEEP_INTERVAL_MS).unref();
+}
+
+// Transcript offsets are measured from the moment the call first connects
+function markCallStarted(session, at = Date.now()) {
+    if (!session.callStartedAt) {
+        session.callStartedAt = new Date(at).toISOString();
+        activeSessions.save(session);
+    }
+}
+
+function getCallOffsetMs(session, at) {
+    return session.callStartedAt ? Math.max(0, at - Date.parse(session.callStartedAt)) : 0;
+}
+
+// Sessions checked against Twilio at once during startup
+const RECONCILE_CONCURRENCY = numberFromEnv('RECONCILE_CONCURRENCY', 8);
+
+// Bring sessions persisted before a restart back in line with Twilio.
+// Media streams do not survive a restart; Twilio has to reconnect them.
+// Ended sessions are left to the sweeper.
+async function reconcileRehydratedSessions(sessions) {
+    // Twilio lookups run a few at a time rather than one after another
+    const pending = [...sessions];
+    const worker = async () => {
+        while (pending.length > 0) {
+            await reconcileRehydratedSession(pending.shift());
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, RECONCILE_CONCURRENCY), pending.length) }, worker));
+}
+
+async function reconcileRehydratedSession(session) {
+    session.rehydratedAt = new Date().toISOString();
+    session.participants = session.participants || {};
+    session.transcript = session.transcript || [];
+    session.dialogue = session.dialogue || createDialogueState();
+    session.mediaStreamToken = session.mediaStreamToken || createMediaStreamToken();
+    // Sessions saved before status timestamps existed get a full timeout
+    session.statusChangedAt = session.statusChangedAt || session.rehydratedAt;
+    
+    if (isTerminalState(session.status)) {
+        return;
+    }
+    
+    if (!session.callSid) {
+        // The outbound call was never placed, so nothing can resume
+        endSession(session, 'call_not_placed');
+    } else {
+        try {
+            const call = await getTwilioClient().calls(session.callSid).fetch();
+            session.lastCallStatus = call.status;
+            if (ENDED_CALL_STATUSES.includes(call.status)) {
+                endSession(session, `call_${call.status.replace('-', '_')}`);
+            } else if (call.status === 'queued' || call.status === 'ringing') {
+                setSessionStatus(session, 'phone_calling', 'reconciled');
+            }
+        } catch (error) {
+            logger.error('Could not reconcile session', { sessionId: session.sessionId, error });
+            session.reconcileError = error.message;
+        }
+    }
+    
+    activeSessions.save(session);
+    logger.info('Rehydrated session', { sessionId: session.sessionId, status: session.status });
+}
+
+// WebSocket server for Media Streams
+// Parse /media-stream/<sessionId>/<participant>/<token>
+function parseMediaStreamPath(pathname) {
+    const [, route, sessionId, participant, token] = pathname.split('/').map(decodeURIComponent);
+    return route === 'media-stream' ? { sessionId, participant, token } : null;
+}
+
+// The URL, media stream path and browser user of an upgrade request, or null
+// when the request line, Host header or credentials are malformed
+function parseUpgradeRequest(req) {
+    try {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const mediaStream = parseMediaStreamPath(url.pathname);
+        // Media streams authenticate with the token in their path instead
+        const user = mediaStream ? null : authenticateRequest(req);
+        return { url, mediaStream, user };
+    } catch {
+        return null;
+    }
+}
+
+// Authenticate WebSocket upgrades before handing them to the WebSocket server
+server.on('upgrade', (req, socket, head) => {
+    const request = parseUpgradeRequest(req);
+    if (!request) {
+        logger.warn('Rejected malformed WebSocket upgrade', { url: req.url });
+        socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    const { mediaStream } = request;
+    
+    if (mediaStream) {
+        const session = activeSessions.get(mediaStream.sessionId);
+        if (!verifyMediaStreamToken(session, mediaStream.token) || !session.languages[mediaStream.participant] ||
+            isTerminalState(session.status)) {
+            logger.warn('Rejected media stream upgrade', { sessionId: mediaStream.sessionId, participant: mediaStream.participant });
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+    }
+    
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, request);
+    });
+});
+
+// `request` is what the upgrade handler parsed and authenticated
+wss.on('connection', (ws, req, request) => {
+    const { url, mediaStream, user } = request;
+    
+    if (mediaStream) {
+        handleMediaStream(ws, mediaStream.sessionId, mediaStream.participant);
+    } else if (url.pathname === '/agent-queue') {
+        handleAgentQueueSocket(ws, user);
+    } else if (url.pathname === '/translation-updates') {
+        const sessionId = url.searchParams.get('session');
+        handleTranslationUpdatesSocket(ws, sessionId, user);
+    } else {
+        handleRegularWebSocket(ws);
+    }
+});
+
+// Handle Media Stream WebSocket for translation
+function handleMediaStream(ws, sessionId, participant) {
+    const session = activeSessions.get(sessionId);
+    
+    if (!session) {
+        logger.error('Media stream for unknown session', { sessionId, participant });
+        ws.close();
+        return;
+    }
+    
+    // Store stream reference along with its utterance segmenter and outbound player
+    const streamKey = `${sessionId}-${participant}`;
+    const kind = getParticipantKind(participant);
+    const stream = {
+        ws,
+        participant,
+        kind,
+        log: logger.child({ sessionId, participant }),
+        sessionId,
+        streamSid: null,
+        connectedAt: Date.now(),
+        pendingSyntheses: new Set(), // AbortControllers for TTS destined for this participant
+        noticesPlayedAt: new Map(), // notice kind -> when it was last played
+        player: createOutboundPlayer((message) => {
+            if (ws.readyState === 1) { // WebSocket.OPEN
+                ws.send(JSON.stringify(message));
+            }
+        }, {
+            sampleRate: AUDIO_CONFIG.sampleRate,
+            onFrameSent: () => framesSent.inc({ kind }),
+            onFramesDropped: (count, reason) => framesDropped.inc({ reason }, count)
+        })
+    };
+    stream.segmenter = createUtteranceSegmenter({
+        ...VAD_CONFIG,
+        sampleRate: AUDIO_CONFIG.sampleRate,
+        decodeSample: decodeMulawSample,
+        onSpeechStart: () => handleBargeIn(stream, session)
+    });
+    
+    // A reconnect replaces the participant's previous stream: its last words
+    // are still translated, and its playback and pending speech are dropped
+    const previous = activeStreams.get(streamKey);
+    if (previous) {
+        flushPendingUtterance(previous, session);
+        closeStream(streamKey, previous, 'stream_replaced');
+    }
+    activeStreams.set(streamKey, stream);
+    
+    ws.on('message', async (message) => {
+        try {
+            const msg = JSON.parse(message);
+            
+            switch (msg.event) {
+                case 'connected':
+                    stream.log.info('Media stream connected');
+                    break;
+                    
+                case 'start':
+                    // The streamSid is first announced here and must be used for outbound media
+                    stream.streamSid = msg.start?.streamSid || msg.streamSid;
+                    stream.player.setStreamSid(stream.streamSid);
+                    stream.log.info('Media stream started', { streamSid: stream.streamSid });
+                    break;
+                    
+                case 'media':
+                    stream.lastMediaAt = Date.now();
+                    framesReceived.inc({ kind: stream.kind });
+                    // Process audio for translation
+                    processAudioForTranslation(msg, stream, session);
+                    break;
+                    
+                case 'mark': {
+                    const ack = stream.player.acknowledgeMark(msg.mark?.name);
+                    if (ack) {
+                        stream.lastPlaybackCompletedAt = new Date().toISOString();
+                        stream.log.debug('Playback finished', { utteranceId: ack.name, latencyMs: ack.latencyMs });
+                    }
+                    break;
+                }
+                    
+                case 'stop':
+                    stream.log.info('Media stream stopped', { streamSid: msg.streamSid });
+                    if (activeStreams.get(streamKey) === stream) {
+                        activeStreams.delete(streamKey);
+                    }
+                    stream.player.close();
+                    flushPendingUtterance(stream, session);
+                    break;
+            }
+        } catch (error) {
+            stream.log.error('Error processing media stream message', { error });
+        }
+    });
+    
+    ws.on('close', () => {
+        stream.log.info('Media stream disconnected');
+        stream.player.close();
+        if (activeStreams.get(streamKey) === stream) {
+            activeStreams.delete(streamKey);
+        }
+    });
+}
+
+// Barge-in: when a participant starts speaking over translated audio, stop
+// their playback, cancel TTS still being generated for them and note it
+function handleBargeIn(stream, session) {
+    const cancelledSyntheses = stream.pendingSyntheses.size;
+    if (!stream.player.isActive && cancelledSyntheses === 0) {
+        return;
+    }
+    
+    const interruptedUtterances = stream.player.clear();
+    for (const synthesis of stream.pendingSyntheses) {
+        synthesis.abort();
+    }
+    stream.pendingSyntheses.clear();
+    
+    stream.log.info('Participant interrupted playback', { interruptedClips: interruptedUtterances.length, cancelledSyntheses });
+    
+    const interruption = {
+        type: 'interruption',
+        participant: stream.participant,
+        interruptedUtterances,
+        cancelledSyntheses,
+        offsetMs: getCallOffsetMs(session, Date.now()),
+        at: new Date().toISOString()
+    };
+    session.transcript.push(interruption);
+    activeSessions.save(session);
+    publishTranslationUpdate(session.sessionId, interruption);
+}
+
+// Handle browser subscriptions to a session's transcription/translation feed
+function handleTranslationUpdatesSocket(ws, sessionId, user) {
+    if (!user) {
+        ws.close(1008, 'Authentication required');
+        return;
+    }
+    
+    if (!sessionId || !activeSessions.has(sessionId) || !canAccessSession(user, activeSessions.get(sessionId))) {
+        ws.send(JSON.stringify({ type: 'error', error: 'Unknown session', timestamp: new Date().toISOString() }));
+        ws.close(1008, 'Unknown session');
+        return;
+    }
+    
+    if (!translationSubscribers.has(sessionId)) {
+        translationSubscribers.set(sessionId, new Set());
+    }
+    const subscribers = translationSubscribers.get(sessionId);
+    subscribers.add(ws);
+    logger.info('Translation updates subscriber connected', { sessionId, username: user.username });
+    
+    // Start the subscriber off with the current state; changes are pushed from here on
+    ws.send(JSON.stringify({
+        type: 'session_status',
+        previousStatus: null,
+        reason: 'subscribed',
+        ...describeSessionStatus(activeSessions.get(sessionId)),
+        sessionId,
+        timestamp: new Date().toISOString()
+    }));
+    
+    ws.on('close', () => {
+        subscribers.delete(ws);
+        if (subscribers.size === 0 && translationSubscribers.get(sessionId) === subscribers) {
+            translationSubscribers.delete(sessionId);
+        }
+        logger.info('Translation updates subscriber disconnected', { sessionId });
+    });
+    
+    ws.on('error', (error) => {
+        logger.error('Translation updates socket error', { sessionId, error });
+    });
+}
+
+// Agents listening for inbound calls; they get the current queue on connect
+function handleAgentQueueSocket(ws, user) {
+    if (!user) {
+        ws.close(1008, 'Authentication required');
+        return;
+    }
+    
+    queueSubscribers.add(ws);
+    ws.send(JSON.stringify({ type: 'queue_snapshot', calls: getQueuedCalls(), timestamp: new Date().toISOString() }));
+    
+    ws.on('close', () => {
+        queueSubscribers.delete(ws);
+    });
+    
+    ws.on('error', (error) => {
+        logger.error('Agent queue socket error', { error });
+    });
+}
+
+function publishQueueUpdate(event) {
+    const message = JSON.stringify({ ...event, timestamp: new Date().toISOString() });
+    for (const ws of queueSubscribers) {
+        if (ws.readyState === 1) { // WebSocket.OPEN
+            ws.send(message);
+        }
+    }
+}
+
+// Send an event to every browser subscribed to the session
+function publishTranslationUpdate(sessionId, event) {
+    const subscribers = translationSubscribers.get(sessionId);
+    if (!subscribers || subscribers.size === 0) {
+        return;
+    }
+    
+    const message = JSON.stringify({
+        ...event,
+        sessionId,
+        timestamp: new Date().toISOString()
+    });
+    
+    for (const ws of subscribers) {
+        if (ws.readyState === 1) { // WebSocket.OPEN
+            ws.send(message);
+        }
+    }
+}
+
+// Handle regular WebSocket connections
+function handleRegularWebSocket(ws) {
+    ws.on('message', (message) => {
+        try {
+            const data = JSON.parse(message);
+            logger.debug('WebSocket message', { type: data.type });
+            
+            switch (data.type) {
+                case 'join-session':
+                    break;
+                case 'audio-data':
+                    break;
+                default:
+                    logger.warn('Unknown WebSocket message type', { type: data.type });
+            }
+        } catch (error) {
+            logger.error('WebSocket message error', { error });
+        }
+    });
+    
+    ws.on('close', () => {
+        logger.debug('WebSocket client disconnected');
+    });
+}
+
+// Segment a participant's audio into utterances and queue them for translation
+function processAudioForTranslation(mediaMsg, stream, session) {
+    try {
+        // Only the participant's own speech is translated, not what they hear
+        if (mediaMsg.media.track && mediaMsg.media.track !== 'inbound') {
+            return;
+        }
+        
+        const audioData = Buffer.from(mediaMsg.media.payload, 'base64');
+        
+        // Segmenter offsets count from the first audio it receives
+        if (!stream.audioStartedAt) {
+            stream.audioStartedAt = Date.now();
+            markCallStarted(session, stream.audioStartedAt);
+        }
+        
+        // Collect audio until the speaker pauses, then translate the whole utterance
+        const utterances = stream.segmenter.push(audioData);
+        for (const utterance of utterances) {
+            stream.log.debug('Utterance segmented', { durationMs: utterance.durationMs, reason: utterance.reason });
+            queueUtterance(stream, session, utterance);
+        }
+        
+    } catch (error) {
+        stream.log.error('Error processing audio', { error });
+    }
+}
+
+// Wall-clock start and end of a segmented utterance
+function getUtteranceTiming(stream, utterance) {
+    const base = stream.audioStartedAt || Date.now();
+    return {
+        startedAt: base + utterance.startOffsetMs,
+        endedAt: base + utterance.endOffsetMs
+    };
+}
+
+// Translate any speech still in progress when a stream stops
+function flushPendingUtterance(stream, session) {
+    try {
+        for (const utterance of stream.segmenter.flush()) {
+            stream.log.debug('Final utterance flushed', { durationMs: utterance.durationMs });
+            queueUtterance(stream, session, utterance);
+        }
+    } catch (error) {
+        stream.log.error('Error flushing audio', { error });
+    }
+}
+
+// Utterances are translated in the order each participant spoke them
+function queueUtterance(stream, session, utterance) {
+    translationQueue.enqueue(`${session.sessionId}-${stream.participant}`, session.sessionId, {
+        session,
+        participant: stream.participant,
+        audio: utterance.audio,
+        timing: getUtteranceTiming(stream, utterance)
+    });
+}
+
+// Waiting utterances of one speaker become a single turn
+function mergeUtteranceJobs(jobs) {
+    return {
+        ...jobs[0],
+        audio: Buffer.concat(jobs.map(job => job.audio)),
+        timing: { startedAt: jobs[0].timing.startedAt, endedAt: jobs[jobs.length - 1].timing.endedAt }
+    };
+}
+
+// A speaker's backlog outgrew the latency budget and was merged or dropped
+function handleTranslationBacklog(queueKey, { action, jobs }) {
+    const { session, participant } = jobs[0];
+    if (action === 'merged') {
+        utterancesMerged.inc({}, jobs.length);
+    } else {
+        utterancesDropped.inc({ reason: 'backlog' }, jobs.length);
+    }
+    logger.warn('Translation backlog over budget', {
+        sessionId: session.sessionId,
+        participant,
+        action,
+        utterances: jobs.length,
+        maxBacklogMs: TRANSLATION_QUEUE_CONFIG.maxBacklogMs
+    });
+    publishTranslationUpdate(session.sessionId, {
+        type: 'backlog',
+        participant,
+        action,
+        utterances: jobs.length,
+        queued: translationQueue.getDepth(session.sessionId).queued
+    });
+}
+
+// Main translation pipeline: transcribe once, then translate and synthesize
+// once per distinct listener language and play the result to each listener.
+// Outside voice mode, speech nobody needs translated is still transcribed
+// for captions. Each utterance is traced, with spans for stt, translation,
+// tts and send.
+//
+// Resolves once the translated audio is queued for playback, with
+// `{ playback }`: a promise that settles when every listener's audio has
+// started playing (or been dropped), which is when the trace ends.
+async function translateAndForwardAudio(audioData, sourceParticipant, session, timing = {}) {
+    const utteranceId = uuidv4();
+    // Audio replayed faster than real time can place the end in the future
+    const spokenAt = Math.min(timing.endedAt ?? Date.now(), Date.now());
+    const log = logger.child({ sessionId: session.sessionId, participant: sourceParticipant, utteranceId });
+    let stage = 'prepare';
+    let trace = null;
+    let traceError = null;
+    let playback = null;
+    
+    // A phone party in auto-detect mode is transcribed without a forced
+    // language and speaks whatever STT hears
+    const detectLanguage = sourceParticipant === 'phone' && session.languageDetection?.mode === 'auto';
+    let sourceLanguage = session.languages[sourceParticipant];
+    let listenerGroups = getListenerGroups(session, sourceParticipant, sourceLanguage);
+    const utterance = { utteranceId, speaker: sourceParticipant };
+    const captions = getSessionMode(session) !== 'voice';
+    
+    try {
+        // Skip translation if everyone else speaks the same language
+        if (listenerGroups.size === 0 && !detectLanguage && !captions) {
+            log.debug('No listener needs a translation, skipping');
+            return;
+        }
+        
+        if (!isWithinBudget(session)) {
+            log.debug('Translation stopped, skipping', { reason: session.translationStopped?.reason });
+            return;
+        }
+        
+        trace = tracer.startTrace('utterance', {
+            key: session.sessionId,
+            attributes: {
+                'session.id': session.sessionId,
+                'participant.id': sourceParticipant,
+                'utterance.id': utteranceId,
+                'utterance.duration_ms': timing.startedAt && timing.endedAt ? timing.endedAt - timing.startedAt : undefined
+            }
+        });
+        
+        // Step 1: Convert mulaw to wav for OpenAI
+        stage = 'transcription';
+        const wavAudio = await convertMulawToWav(audioData);
+        
+        // Step 2: Speech-to-text with Whisper
+        const result = await transcribeAudio(wavAudio, detectLanguage ? undefined : sourceLanguage, session, { span: trace, log });
+        const transcription = result?.text?.trim();
+        
+        if (!transcription) {
+            log.debug('No speech detected, skipping');
+            trace.setAttributes({ 'utterance.skipped': 'no_speech' });
+            return;
+        }
+        
+        if (detectLanguage) {
+            const durationMs = timing.startedAt && timing.endedAt ? timing.endedAt - timing.startedAt : undefined;
+            applyLanguageDetection(session, result, durationMs);
+            // Trust this utterance's own language when it is one we can translate
+            sourceLanguage = SUPPORTED_LANGUAGES[result.language] ? result.language : session.languages.phone;
+            listenerGroups = getListenerGroups(session, sourceParticipant, sourceLanguage);
+            if (listenerGroups.size === 0 && !captions) {
+                log.debug('Caller spoke a language every listener understands; skipping translation', { language: sourceLanguage });
+                trace.setAttributes({ 'utterance.skipped': 'same_language' });
+                return;
+            }
+        }
+        
+        // Spoken content stays out of the log unless debugging
+        log.debug('Transcribed', { stage: 'stt', language: sourceLanguage, text: transcription });
+        trace.setAttributes({
+            'language.source': sourceLanguage,
+            'language.targets': [...listenerGroups.keys()].join(',')
+        });
+        
+        // Record the utterance; translations are filled in as they complete
+        const transcriptEntry = {
+            type: 'utterance',
+            ...utterance,
+            sourceLanguage,
+            sourceText: transcription,
+            translations: {},
+            startOffsetMs: getCallOffsetMs(session, timing.startedAt ?? Date.now()),
+            endOffsetMs: getCallOffsetMs(session, timing.endedAt ?? Date.now()),
+            at: new Date().toISOString()
+        };
+        session.transcript.push(transcriptEntry);
+        
+        // Context covers the conversation before this turn
+        const contexts = new Map([...listenerGroups.keys()].map(targetLanguage =>
+            [targetLanguage, getTranslationContext(session.dialogue, targetLanguage, DIALOGUE_CONTEXT_CONFIG)]));
+        const turn = recordTurn(session.dialogue, { speaker: sourceParticipant, language: sourceLanguage, text: transcription });
+        activeSessions.save(session);
+        
+        publishTranslationUpdate(session.sessionId, {
+            type: 'transcription',
+            ...utterance,
+            text: transcription,
+            language: sourceLanguage,
+            ...(listenerGroups.size === 0 && { captionOnly: true })
+        });
+        
+        const results = await Promise.all([...listenerGroups].map(([targetLanguage, listeners]) =>
+            translateForListeners(transcription, sourceLanguage, targetLanguage, listeners, session, transcriptEntry, {
+                turn,
+                context: contexts.get(targetLanguage)
+            }, { spokenAt, span: trace, log })));
+        playback = Promise.all(results.map(result => result?.playback));
+        
+        compactDialogueContext(session);
+        
+    } catch (error) {
+        log.error('Translation pipeline error', { stage, error });
+        traceError = error;
+        utterancesDropped.inc({ reason: 'pipeline_error' });
+        publishTranslationUpdate(session.sessionId, {
+            type: 'error',
+            ...utterance,
+            stage,
+            fromLanguage: sourceLanguage,
+            code: error.code || null,
+            error: error.message
+        });
+        if (stage === 'transcription') {
+            notifyTranslationUnavailable(session, [...listenerGroups.values()].flat());
+        }
+    } finally {
+        if (playback) {
+            playback.then(() => trace.end({ error: traceError }));
+        } else {
+            trace?.end({ error: traceError });
+        }
+    }
+    return { playback };
+}
+
+// Translate an utterance into one language, synthesize it once and play it to
+// every listener of that language. Each listener can cancel their copy by
+// barging in; synthesis itself is only cancelled once all of them have.
+// `pipeline` carries the utterance's trace span and logger, and `spokenAt`,
+// when the utterance ended, for mouth-to-ear latency.
+async function translateForListeners(transcription, sourceLanguage, targetLanguage, listeners, session, transcriptEntry, dialogue, pipeline) {
+    const { utteranceId, speaker } = transcriptEntry;
+    const { spokenAt, span } = pipeline;
+    const log = pipeline.log.child({ targetLanguage });
+    const synthesis = new AbortController();
+    const deliveries = listeners.map(participantId => ({
+        participantId,
+        stream: activeStreams.get(`${session.sessionId}-${participantId}`),
+        controller: new AbortController()
+    }));
+    const abortWhenAllCancelled = () => {
+        if (deliveries.every(delivery => delivery.controller.signal.aborted)) {
+            synthesis.abort();
+        }
+    };
+    let stage = 'translation';
+    
+    try {
+        // Step 3: Translate text
+        const { text: translation, missingTerms } = await translateText(transcription, sourceLanguage, targetLanguage, session, dialogue.context, { span, log });
+        log.debug('Translated', { stage: 'translation', text: translation });
+        transcriptEntry.translations[targetLanguage] = translation;
+        dialogue.turn.translations[targetLanguage] = translation;
+        activeSessions.save(session);
+        
+        publishTranslationUpdate(session.sessionId, {
+            type: 'translation',
+            utteranceId,
+            speaker,
+            listeners,
+            originalText: transcription,
+            translatedText: translation,
+            fromLanguage: sourceLanguage,
+            toLanguage: targetLanguage,
+            ...(missingTerms.length > 0 && { missingGlossaryTerms: missingTerms })
+        });
+        
+        if (getSessionMode(session) === 'captions') {
+            return;
+        }
+        
+        // Step 4: Text-to-speech in the speaker's voice, cancellable if the listeners start speaking
+        stage = 'synthesis';
+        const voice = resolveVoice(session.voices?.[speaker], targetLanguage);
+        for (const delivery of deliveries) {
+            delivery.controller.signal.addEventListener('abort', abortWhenAllCancelled);
+            delivery.stream?.pendingSyntheses.add(delivery.controller);
+        }
+        let translatedAudio;
+        try {
+            translatedAudio = await synthesizeSpeech(translation, targetLanguage, session, voice, synthesis.signal, { span, log });
+        } finally {
+            for (const delivery of deliveries) {
+                delivery.stream?.pendingSyntheses.delete(delivery.controller);
+            }
+        }
+        
+        if (synthesis.signal.aborted) {
+            log.info('Discarded speech: every listener started speaking', { stage: 'tts' });
+            utterancesDropped.inc({ reason: 'barge_in' });
+            return;
+        }
+        
+        // Step 5: Convert back to mulaw and queue it for each listener still
+        // waiting for it. Playback runs in real time, so it is returned rather
+        // than awaited: the translation queue moves on once the audio is queued.
+        stage = 'send';
+        const sendStartedAt = Date.now();
+        const mulawAudio = await convertWavToMulaw(translatedAudio, voice.volume);
+        const playback = Promise.all(deliveries
+            .filter(delivery => !delivery.controller.signal.aborted)
+            .map(async delivery => {
+                const sendSpan = span?.startChild('send', { 'participant.id': delivery.participantId, 'language.target': targetLanguage });
+                const result = sendAudioToParticipant(mulawAudio, delivery.participantId, session, utteranceId);
+                const firstFrameAt = await result?.started;
+                if (firstFrameAt) {
+                    stageDuration.observe({ stage: 'send', provider: 'twilio' }, secondsSince(sendStartedAt, firstFrameAt));
+                    if (spokenAt) {
+                        mouthToEar.observe({}, secondsSince(spokenAt, firstFrameAt));
+                    }
+                }
+                sendSpan?.end({
+                    attributes: {
+                        'send.first_frame_ms': firstFrameAt ? firstFrameAt - sendStartedAt : undefined,
+                        'send.mouth_to_ear_ms': firstFrameAt && spokenAt ? firstFrameAt - spokenAt : undefined
+                    },
+                    error: firstFrameAt ? null : new Error('Audio was not delivered')
+                });
+            }));
+        return { playback };
+        
+    } catch (error) {
+        if (synthesis.signal.aborted) {
+            log.info('Speech synthesis cancelled by barge-in', { stage: 'tts' });
+            utterancesDropped.inc({ reason: 'barge_in' });
+            return;
+        }
+        log.error('Translation pipeline error', { stage, error });
+        utterancesDropped.inc({ reason: 'pipeline_error' });
+        publishTranslationUpdate(session.sessionId, {
+            type: 'error',
+            utteranceId,
+            speaker,
+            stage,
+            fromLanguage: sourceLanguage,
+            toLanguage: targetLanguage,
+            code: error.code || null,
+            error: error.message
+        });
+        if (stage !== 'send') {
+            notifyTranslationUnavailable(session, deliveries
+                .filter(delivery => !delivery.controller.signal.aborted)
+                .map(delivery => delivery.participantId));
+        }
+    }
+}
+
+// Summarize older turns in the background once the history outgrows its budget
+function compactDialogueContext(session) {
+    const provider = getSessionProvider(session, 'translation');
+    const summarize = (summary, turns, options) => providerGuard.call('translation', provider, signal => provider.summarize(summary, turns, {
+        ...options,
+        signal,
+        onUsage: tokens => recordUsage(session, { stage: 'translation', provider: provider.name, model: provider.model, ...tokens })
+    }));
+    compactDialogue(session.dialogue, summarize, DIALOGUE_CONTEXT_CONFIG)
+        .then(changed => {
+            if (changed) {
+                activeSessions.save(session);
+            }
+        })
+        .catch(error => logger.error('Dialogue context compaction failed', { sessionId: session.sessionId, error }));
+}
+
+// Feed a transcription's detected language into the session's identification
+// state, and tell the browser when the phone language locks or changes
+function applyLanguageDetection(session, result, durationMs) {
+    const event = recordDetection(session.languageDetection, {
+        language: result.language,
+        confidence: result.languageConfidence,
+        durationMs
+    }, LANGUAGE_DETECTION_CONFIG);
+    activeSessions.save(session);
+    
+    if (!event || !SUPPORTED_LANGUAGES[event.language]) {
+        if (event) {
+            logger.info('Detected unsupported phone language', { sessionId: session.sessionId, language: event.language, keeping: session.languages.phone });
+        }
+        return;
+    }
+    
+    const previousLanguage = session.languages.phone;
+    session.languages.phone = event.language;
+    activeSessions.save(session);
+    
+    logger.info(event.type === 'switched' ? 'Phone language switched' : 'Phone language detected', {
+        sessionId: session.sessionId,
+        language: event.language,
+        previousLanguage,
+        confidence: event.confidence
+    });
+    publishTranslationUpdate(session.sessionId, {
+        type: event.type === 'switched' ? 'language_switched' : 'language_detected',
+        participant: 'phone',
+        language: event.language,
+        previousLanguage,
+        confidence: event.confidence
+    });
+}
+
+// Audio conversion functions
+async function convertMulawToWav(mulawData) {
+    // Decode telephony μ-law and upsample to the rate Whisper works at
+    const samples = decodeMulaw(mulawData);
+    const upsampled = resample(samples, AUDIO_CONFIG.sampleRate, AUDIO_CONFIG.sttSampleRate);
+    return encodeWav(upsampled, AUDIO_CONFIG.sttSampleRate);
+}
+
+async function convertWavToMulaw(wavData, volume = 1) {
+    // TTS returns a WAV file at its own rate (24kHz for OpenAI)
+    const { samples, sampleRate } = parseWav(wavData);
+    const downsampled = resample(samples, sampleRate, AUDIO_CONFIG.sampleRate);
+    return encodeMulaw(applyGain(downsampled, volume));
+}
+
+// Pipeline stages, delegated to the providers selected for the session
+function getSessionProvider(session, stage) {
+    const selection = session.providers || getDefaultProviderSelection();
+    return getProvider(stage, selection[stage]);
+}
+
+// Metric labels naming the provider and model behind a stage
+function getProviderLabels(stage, provider) {
+    return { stage, provider: provider.name, model: provider.model };
+}
+
+// Stage functions take `trace = { span, log }` from the pipeline and record
+// a child span for their stage
+function startStageSpan(trace, stage, provider, attributes = {}) {
+    return trace.span?.startChild(stage, { 'provider.name': provider.name, 'provider.model': provider.model, ...attributes });
+}
+
+// Stage functions throw once the provider guard gives up (see
+// RESILIENCE_CONFIG); the pipeline turns that into an error event and a
+// spoken notice rather than passing on untranslated speech.
+
+// Resolves to { text, language, languageConfidence }
+async function transcribeAudio(audioBuffer, language, session, trace = {}) {
+    const provider = getSessionProvider(session, 'stt');
+    const span = startStageSpan(trace, 'stt', provider, { 'language.requested': language || 'auto' });
+    const startedAt = Date.now();
+    try {
+        const result = await providerGuard.call('stt', provider, signal => provider.transcribe(audioBuffer, { language, signal }));
+        stageDuration.observe(getProviderLabels('stt', provider), secondsSince(startedAt));
+        const { samples, sampleRate } = parseWav(audioBuffer);
+        recordUsage(session, { stage: 'stt', provider: provider.name, model: provider.model, audioSeconds: samples.length / sampleRate });
+        span?.end({ attributes: { 'language.detected': result?.language } });
+        return result;
+    } catch (error) {
+        (trace.log || logger).error('Transcription failed', { stage: 'stt', provider: provider.name, error });
+        providerErrors.inc(getProviderLabels('stt', provider));
+        span?.end({ error });
+        throw error;
+    }
+}
+
+// Resolves to { text, missingTerms }. Session glossaries and the dialogue
+// context are passed to the provider, and a translation missing required
+// terms is retried once.
+async function translateText(text, fromLang, toLang, session, context = null, trace = {}) {
+    const provider = getSessionProvider(session, 'translation');
+    const log = trace.log || logger;
+    const span = startStageSpan(trace, 'translation', provider, { 'language.source': fromLang, 'language.target': toLang });
+    const startedAt = Date.now();
+    try {
+        const sessionGlossaries = (session.glossaryIds || []).map(glossaryId => glossaries.get(glossaryId)).filter(Boolean);
+        const glossary = getApplicableGlossary(sessionGlossaries, text, fromLang, toLang);
+        const options = {
+            from: fromLang,
+            to: toLang,
+            context,
+            onUsage: tokens => recordUsage(session, { stage: 'translation', provider: provider.name, model: provider.model, ...tokens })
+        };
+        const translate = extra => providerGuard.call('translation', provider, signal => provider.translate(text, { ...options, ...extra, signal }));
+        
+        if (isGlossaryEmpty(glossary)) {
+            const translation = await translate();
+            stageDuration.observe(getProviderLabels('translation', provider), secondsSince(startedAt));
+            span?.end();
+            return { text: translation, missingTerms: [] };
+        }
+        
+        let translation = await translate({ glossary });
+        let missingTerms = findMissingTerms(translation, glossary);
+        if (missingTerms.length > 0) {
+            log.warn('Translation missed glossary terms; retrying', { stage: 'translation', missingTerms });
+            translation = await translate({ glossary, missingTerms });
+            missingTerms = findMissingTerms(translation, glossary);
+            if (missingTerms.length > 0) {
+                log.warn('Translation still misses glossary terms', { stage: 'translation', missingTerms });
+            }
+        }
+        stageDuration.observe(getProviderLabels('translation', provider), secondsSince(startedAt));
+        span?.end({ attributes: { 'glossary.missing_terms': missingTerms.length } });
+        return { text: translation, missingTerms };
+    } catch (error) {
+        log.error('Translation failed', { stage: 'translation', provider: provider.name, error });
+        providerErrors.inc(getProviderLabels('translation', provider));
+        span?.end({ error });
+        throw error;
+    }
+}
+
+async function synthesizeSpeech(text, language, session, voice, signal, trace = {}) {
+    const provider = getSessionProvider(session, 'tts');
+    const span = startStageSpan(trace, 'tts', provider, { 'language.target': language, 'tts.voice': voice.voice });
+    const startedAt = Date.now();
+    try {
+        const audio = await providerGuard.call('tts', provider, attemptSignal =>
+            provider.synthesize(text, { language, voice: voice.voice, speed: voice.speed, signal: attemptSignal }), { signal });
+        stageDuration.observe(getProviderLabels('tts', provider), secondsSince(startedAt));
+        recordUsage(session, { stage: 'tts', provider: provider.name, model: provider.model, characters: text.length });
+        span?.end();
+        return audio;
+    } catch (error) {
+        if (signal?.aborted) {
+            span?.end({ attributes: { 'tts.cancelled': true } });
+        } else {
+            (trace.log || logger).error('Speech synthesis failed', { stage: 'tts', provider: provider.name, error });
+            providerErrors.inc(getProviderLabels('tts', provider));
+            span?.end({ error });
+        }
+        throw error;
+    }
+}
+
+// Usage accounting and budgets
+
+// Sessions stored before modes existed are voice sessions
+function getSessionMode(session) {
+    return session.mode || 'voice';
+}
+
+function createSessionBudget(maxCost = BUDGETS.session) {
+    return Number(maxCost) > 0 ? { maxCost: Number(maxCost) } : null;
+}
+
+function describeBudget(session) {
+    const spent = session.usage?.cost.total || 0;
+    return {
+        maxCost: session.budget?.maxCost ?? null,
+        remaining: session.budget ? Math.max(0, session.budget.maxCost - spent) : null,
+        daily: BUDGETS.daily > 0 ? { maxCost: BUDGETS.daily, spentToday: usageLedger.getCost() } : null
+    };
+}
+
+// Meter one billable call against its session and the daily ledger
+function recordUsage(session, call) {
+    const entry = meterUsage(call, USAGE_RATES);
+    if (!session.usage) {
+        session.usage = createUsage();
+    }
+    addUsage(session.usage, entry);
+    usageLedger.record(entry, session.ownerId);
+    checkBudgets(session);
+    return entry;
+}
+
+// Twilio reports CallDuration for legs placed with a call-status callback;
+// other legs (browsers, inbound callers) are metered from conference presence
+function hasCallStatusCallback(session, participantId) {
+    return getParticipantKind(participantId) === 'phone' && !(session.direction === 'inbound' && participantId === 'phone');
+}
+
+function recordCallUsage(session, participantId, seconds) {
+    const duration = Number(seconds);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        return;
+    }
+    const model = getParticipantKind(participantId) === 'web' ? 'client' : 'phone';
+    recordUsage(session, { stage: 'twilio', provider: 'twilio', model, seconds: duration });
+}
+
+// Stop translating sessions whose own budget, or the day's, has run out
+function checkBudgets(session) {
+    if (session.budget && session.usage.cost.total >= session.budget.maxCost) {
+        stopTranslation(session, 'session_budget_exhausted');
+    }
+    if (BUDGETS.daily > 0 && usageLedger.getCost(getUsageDay()) >= BUDGETS.daily) {
+        for (const liveSession of activeSessions.values()) {
+            stopTranslation(liveSession, 'daily_budget_exhausted');
+        }
+    }
+}
+
+// Whether a session may keep translating. Sessions started after the day's
+// budget ran out are stopped on their first utterance.
+function isWithinBudget(session) {
+    if (!session.translationStopped && BUDGETS.daily > 0 && usageLedger.getCost() >= BUDGETS.daily) {
+        stopTranslation(session, 'daily_budget_exhausted');
+    }
+    return !session.translationStopped;
+}
+
+// Stop translating a live session for good: tell the browser why and the
+// participants, in their own language, that translation has stopped
+function stopTranslation(session, reason) {
+    if (session.translationStopped || isTerminalState(session.status)) {
+        return false;
+    }
+    session.translationStopped = { reason, at: new Date().toISOString() };
+    activeSessions.save(session);
+    logger.warn('Translation stopped', { sessionId: session.sessionId, reason, cost: session.usage?.cost.total || 0 });
+    publishTranslationUpdate(session.sessionId, {
+        type: 'translation_stopped',
+        reason,
+        usage: session.usage,
+        budget: describeBudget(session)
+    });
+    playNotice(session, 'budget_exhausted')
+        .catch(error => logger.error('Failed to play notice', { sessionId: session.sessionId, notice: 'budget_exhausted', error }));
+    return true;
+}
+
+// Speak a service notice to connected participants (by default all of them)
+// in their own language, at most once per NOTICE_MIN_INTERVAL_MS each
+async function playNotice(session, kind, participantIds = Object.keys(session.languages)) {
+    // Captions-only sessions hear nothing synthesized; events tell them instead
+    if (getSessionMode(session) === 'captions') {
+        return;
+    }
+    const now = Date.now();
+    const listeners = participantIds.filter(participantId => {
+        const stream = activeStreams.get(`${session.sessionId}-${participantId}`);
+        if (!stream || now - (stream.noticesPlayedAt.get(kind) || 0) < NOTICE_MIN_INTERVAL_MS) {
+            return false;
+        }
+        stream.noticesPlayedAt.set(kind, now);
+        return true;
+    });
+    await Promise.all(listeners.map(async participantId => {
+        const audio = await getNoticeAudio(session, kind, session.languages[participantId]);
+        sendAudioToParticipant(audio, participantId, session, `notice-${uuidv4()}`);
+    }));
+}
+
+// Notices are synthesized once per language and voice and shared by every
+// session, so they can still be played when the TTS provider itself is
+// failing. They are service overhead rather than session usage, and are not
+// metered against the session whose budget may just have run out.
+function getNoticeAudio(session, kind, language) {
+    const provider = getSessionProvider(session, 'tts');
+    const voice = resolveVoice(undefined, language);
+    const key = [kind, language, provider.name, provider.model, voice.voice].join(':');
+    if (!noticeAudio.has(key)) {
+        const rendering = providerGuard.call('tts', provider, signal =>
+            provider.synthesize(getNotice(kind, language), { language, voice: voice.voice, speed: voice.speed, signal }))
+            .then(audio => convertWavToMulaw(audio, voice.volume));
+        // Try again next time rather than caching the failure
+        rendering.catch(() => noticeAudio.delete(key));
+        noticeAudio.set(key, rendering);
+    }
+    return noticeAudio.get(key);
+}
+
+// Listeners left without a translation hear that it is unavailable
+function notifyTranslationUnavailable(session, participantIds) {
+    playNotice(session, 'translation_unavailable', participantIds)
+        .catch(error => logger.error('Failed to play notice', { sessionId: session.sessionId, notice: 'translation_unavailable', error }));
+}
+
+// Send translated audio to participant as paced 20ms frames followed by a mark.
+// Returns as soon as the clip is queued on the listener's player, which keeps
+// clips in order: `started` gives the time the first frame went out and
+// `played` settles when Twilio reports that playback reached the mark. Returns
+// null when the listener has no stream.
+function sendAudioToParticipant(audioData, targetParticipant, session, utteranceId) {
+    const log = logger.child({ sessionId: session.sessionId, participant: targetParticipant, utteranceId, stage: 'send' });
+    const streamKey = `${session.sessionId}-${targetParticipant}`;
+    const stream = activeStreams.get(streamKey);
+    
+    if (!stream) {
+        log.warn('No active stream for listener');
+        framesDropped.inc({ reason: 'no_stream' }, Math.ceil(audioData.length / FRAME_BYTES));
+        return null;
+    }
+    
+    const { started, queued, played } = stream.player.play(audioData, utteranceId);
+    queued.then(completed => {
+        if (completed) {
+            log.debug('Sent translated audio', { bytes: audioData.length });
+        } else {
+            log.info('Playback was interrupted');
+        }
+    }, error => log.error('Error sending audio', { error }));
+    return { started, played };
+}
+
+// Prometheus scrape endpoint. Scrapers send METRICS_TOKEN as a bearer token;
+// otherwise an admin login or API key is required, since the metrics reveal
+// call volume and provider health.
+const requireAdmin = requireAuth('admin');
+app.get('/metrics', (req, res, next) => {
+    if (hasBearerToken(req, process.env.METRICS_TOKEN)) {
+        return next();
+    }
+    requireAdmin(req, res, next);
+}, (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Translation updates are served over WebSocket only
+app.get('/translation-updates', (req, res) => {
+    res.status(426).send('Translation updates require a WebSocket connection');
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        activeSessions: activeSessions.size,
+        sessionStore: activeSessions.kind,
+        activeStreams: activeStreams.size,
+        translationQueue: translationQueue.getDepth(),
+        uptime: process.uptime()
+    });
+});
+
+// Start server once persisted sessions are back in memory
+const PORT = process.env.PORT || 3000;
+const rehydratedSessions = await activeSessions.load();
+if (rehydratedSessions.length > 0) {
+    logger.info('Loaded sessions', { count: rehydratedSessions.length, path: activeSessions.path });
+    await reconcileRehydratedSessions(rehydratedSessions);
+}
+startSessionSweeper();
+
+server.listen(PORT, () => {
+    logger.info('Translation relay server running', {
+        port: Number(PORT),
+        webhookUrl: 'https://your-domain.com/incoming-call',
+        webInterface: 'https://your-domain.com/web-call',
+        providers: getDefaultProviderSelection()
+    });
+    if (!isSignatureValidationEnabled()) {
+        logger.warn('Twilio webhook signature validation is disabled (TWILIO_VALIDATE_SIGNATURES=false)');
+    }
+});
+
+// Session saves and usage writes are coalesced, so write out pending ones
+// before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        logger.info('Shutting down', { signal });
+        await Promise.all([activeSessions.flush(), usageLedger.flush()]);
+        process.exit(0);
+    });
+}
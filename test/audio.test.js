@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    decodeMulawSample, encodeMulawSample, decodeAlawSample, encodeAlawSample,
+    decodeMulaw, encodeMulaw, decodeAlaw, encodeAlaw,
+    parseWav, encodeWav, resample, applyGain
+} from '../lib/audio.js';
+
+// Code words and decoder output levels from the ITU-T G.711 tables: the
+// first level of each segment, the extremes and both zeros, with the 14-bit
+// (μ-law) and 13-bit (A-law) levels scaled to 16 bits
+const MULAW_VECTORS = [
+    [0xFF, 0], [0x7F, 0], [0xFE, 8], [0x7E, -8], [0xF0, 120],
+    [0xEF, 132], [0xDF, 396], [0xCF, 924], [0xBF, 1980], [0xAF, 4092], [0x9F, 8316], [0x8F, 16764],
+    [0x80, 32124], [0x00, -32124]
+];
+const ALAW_VECTORS = [
+    [0xD5, 8], [0x55, -8], [0xD4, 24],
+    [0xC5, 264], [0xF5, 528], [0xE5, 1056], [0x95, 2112], [0x85, 4224], [0xB5, 8448], [0xA5, 16896],
+    [0xAA, 32256], [0x2A, -32256]
+];
+
+function sine(frequency, sampleRate, seconds, amplitude = 10000) {
+    const samples = new Int16Array(Math.round(sampleRate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+    }
+    return samples;
+}
+
+// Peak amplitude away from the edges, where the filter has no history
+function peak(samples) {
+    const margin = Math.floor(samples.length / 10);
+    return Math.max(...samples.subarray(margin, samples.length - margin).map(Math.abs));
+}
+
+// A WAV file built chunk by chunk, for formats encodeWav does not write
+function buildWav(chunks) {
+    const body = Buffer.concat(chunks.map(([id, data, declaredSize = data.length]) => {
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 'ascii');
+        header.writeUInt32LE(declaredSize, 4);
+        return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+    }));
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(4 + body.length, 4);
+    riff.write('WAVE', 8, 'ascii');
+    return Buffer.concat([riff, body]);
+}
+
+function fmtChunk({ audioFormat, channels = 1, sampleRate = 8000, bitsPerSample }) {
+    const data = Buffer.alloc(16);
+    data.writeUInt16LE(audioFormat, 0);
+    data.writeUInt16LE(channels, 2);
+    data.writeUInt32LE(sampleRate, 4);
+    data.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 8);
+    data.writeUInt16LE(channels * bitsPerSample / 8, 12);
+    data.writeUInt16LE(bitsPerSample, 14);
+    return ['fmt ', data];
+}
+
+test('μ-law decodes the G.711 reference code words', () => {
+    for (const [code, linear] of MULAW_VECTORS) {
+        assert.equal(decodeMulawSample(code), linear, `code 0x${code.toString(16)}`);
+    }
+});
+
+test('μ-law encodes full scale, silence and the decoded levels', () => {
+    assert.equal(encodeMulawSample(0), 0xFF);
+    assert.equal(encodeMulawSample(32767), 0x80);
+    assert.equal(encodeMulawSample(-32768), 0x00);
+    // Every code word except negative zero survives a decode and re-encode
+    for (let code = 0; code < 256; code++) {
+        assert.equal(encodeMulawSample(decodeMulawSample(code)), code === 0x7F ? 0xFF : code);
+    }
+});
+
+test('A-law decodes the G.711 reference code words', () => {
+    for (const [code, linear] of ALAW_VECTORS) {
+        assert.equal(decodeAlawSample(code), linear, `code 0x${code.toString(16)}`);
+    }
+});
+
+test('A-law encodes full scale, silence and the decoded levels', () => {
+    assert.equal(encodeAlawSample(0), 0xD5);
+    assert.equal(encodeAlawSample(32767), 0xAA);
+    assert.equal(encodeAlawSample(-32768), 0x2A);
+    for (let code = 0; code < 256; code++) {
+        assert.equal(encodeAlawSample(decodeAlawSample(code)), code);
+    }
+});
+
+test('G.711 quantisation error stays within half of the largest step', () => {
+    // Both laws step by 1024 in their top segment, and the encoders drop the
+    // low bits first (2 for μ-law, 3 for A-law); beyond their largest level
+    // they clip
+    for (let sample = -32124; sample <= 32124; sample++) {
+        const mulaw = decodeMulawSample(encodeMulawSample(sample));
+        const alaw = decodeAlawSample(encodeAlawSample(sample));
+        assert.ok(Math.abs(mulaw - sample) <= 512 + 4, `μ-law ${sample} -> ${mulaw}`);
+        assert.ok(Math.abs(alaw - sample) <= 512 + 8, `A-law ${sample} -> ${alaw}`);
+    }
+});
+
+test('buffer codecs match the per-sample codecs', () => {
+    const samples = sine(440, 8000, 0.05, 20000);
+    const mulaw = encodeMulaw(samples);
+    const alaw = encodeAlaw(samples);
+    samples.forEach((sample, i) => {
+        assert.equal(mulaw[i], encodeMulawSample(sample));
+        assert.equal(alaw[i], encodeAlawSample(sample));
+    });
+    assert.deepEqual(decodeMulaw(mulaw), Int16Array.from(mulaw, decodeMulawSample));
+    assert.deepEqual(decodeAlaw(alaw), Int16Array.from(alaw, decodeAlawSample));
+});
+
+test('encodeWav output parses back to the same samples', () => {
+    const samples = sine(300, 16000, 0.1);
+    const wav = encodeWav(samples, 16000);
+    assert.equal(wav.length, 44 + samples.length * 2);
+    const parsed = parseWav(wav);
+    assert.equal(parsed.sampleRate, 16000);
+    assert.equal(parsed.sourceChannels, 1);
+    assert.deepEqual(parsed.samples, samples);
+});
+
+test('parseWav reads 8-bit PCM, μ-law and A-law data', () => {
+    const pcm8 = parseWav(buildWav([fmtChunk({ audioFormat: 1, bitsPerSample: 8 }), ['data', Buffer.from([0, 128, 255])]]));
+    assert.deepEqual(pcm8.samples, Int16Array.from([-32768, 0, 32512]));
+
+    const mulaw = parseWav(buildWav([fmtChunk({ audioFormat: 7, bitsPerSample: 8 }), ['data', Buffer.from([0xFF, 0x80])]]));
+    assert.deepEqual(mulaw.samples, Int16Array.from([0, 32124]));
+
+    const alaw = parseWav(buildWav([fmtChunk({ audioFormat: 6, bitsPerSample: 8 }), ['data', Buffer.from([0xD5, 0xAA])]]));
+    assert.deepEqual(alaw.samples, Int16Array.from([8, 32256]));
+});
+
+test('parseWav downmixes stereo and skips unknown chunks with odd sizes', () => {
+    const data = Buffer.alloc(8);
+    data.writeInt16LE(1000, 0);
+    data.writeInt16LE(3000, 2);
+    data.writeInt16LE(-100, 4);
+    data.writeInt16LE(-300, 6);
+    const wav = buildWav([
+        fmtChunk({ audioFormat: 1, channels: 2, bitsPerSample: 16 }),
+        ['LIST', Buffer.from('abc')],
+        ['data', data]
+    ]);
+    const parsed = parseWav(wav);
+    assert.equal(parsed.sourceChannels, 2);
+    assert.deepEqual(parsed.samples, Int16Array.from([2000, -200]));
+});
+
+test('parseWav clamps a streaming placeholder data size to the buffer', () => {
+    const samples = Int16Array.from([1, 2, 3]);
+    const data = Buffer.from(samples.buffer);
+    const parsed = parseWav(buildWav([fmtChunk({ audioFormat: 1, bitsPerSample: 16 }), ['data', data, 0xFFFFFFFF]]));
+    assert.deepEqual(parsed.samples, samples);
+});
+
+test('parseWav rejects files it cannot read', () => {
+    assert.throws(() => parseWav(Buffer.from('not a wave file')), /Not a RIFF WAVE file/);
+    assert.throws(() => parseWav(buildWav([['data', Buffer.alloc(2)]])), /data chunk before fmt chunk/);
+    assert.throws(() => parseWav(buildWav([fmtChunk({ audioFormat: 1, bitsPerSample: 16 })])), /no data chunk/);
+    assert.throws(() => parseWav(buildWav([fmtChunk({ audioFormat: 2, bitsPerSample: 4 }), ['data', Buffer.alloc(2)]])),
+        /Unsupported WAV encoding/);
+});
+
+test('resample changes the length by the rate ratio and keeps a passband tone', () => {
+    const tone = sine(1000, 8000, 0.5);
+    const up = resample(tone, 8000, 16000);
+    assert.equal(up.length, tone.length * 2);
+    assert.ok(Math.abs(peak(up) - 10000) < 300, `peak ${peak(up)}`);
+
+    const down = resample(sine(1000, 24000, 0.5), 24000, 8000);
+    assert.equal(down.length, 4000);
+    assert.ok(Math.abs(peak(down) - 10000) < 300, `peak ${peak(down)}`);
+});
+
+test('resample filters out tones above the output Nyquist frequency', () => {
+    // 6 kHz would alias to 2 kHz at 8 kHz without the low-pass filter
+    const down = resample(sine(6000, 24000, 0.5), 24000, 8000);
+    assert.ok(peak(down) < 200, `peak ${peak(down)}`);
+});
+
+test('resample at the same rate returns a copy', () => {
+    const samples = Int16Array.from([1, -2, 3]);
+    const copy = resample(samples, 8000, 8000);
+    assert.deepEqual(copy, samples);
+    assert.notEqual(copy, samples);
+});
+
+test('applyGain scales in place and clips at full scale', () => {
+    const samples = Int16Array.from([1000, -1000, 20000, -20000]);
+    assert.equal(applyGain(samples, 2), samples);
+    assert.deepEqual(samples, Int16Array.from([2000, -2000, 32767, -32768]));
+});
@@ -0,0 +1,127 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    authenticateRequest, authenticatePassword, hashPassword, hashApiKey, generateApiKey, setLoginCookie,
+    writeUsersFile, requireAuth, canAccessRecord, hasBearerToken
+} from '../lib/auth.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-auth-'));
+process.env.AUTH_USERS_FILE = path.join(dir, 'users.json');
+process.env.AUTH_SECRET = 'test-secret';
+const apiKey = generateApiKey();
+writeUsersFile([
+    { id: 'u1', username: 'alice', role: 'agent', passwordHash: hashPassword('correct horse'), apiKeys: [] },
+    { id: 'u2', username: 'bob', role: 'admin', passwordHash: 'md5$abc', apiKeys: [hashApiKey(apiKey)] }
+]);
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The relay_auth cookie a successful login would set for `user`
+function loginCookie(user) {
+    let cookie;
+    setLoginCookie({ headers: {} }, { cookie: (name, value) => { cookie = `${name}=${encodeURIComponent(value)}`; } }, user);
+    return cookie;
+}
+
+function withCookie(cookie) {
+    return { headers: { cookie } };
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run requireAuth() on a request and report what it did
+function runMiddleware(middleware, req) {
+    let result = null;
+    const res = {
+        status(code) {
+            return { json: body => { result = { status: code, body }; } };
+        }
+    };
+    middleware(req, res, () => { result = { next: true, user: req.user }; });
+    return result;
+}
+
+test('a malformed cookie does not throw and does not hide the login cookie', () => {
+    assert.equal(authenticateRequest(withCookie('foo=%E0%A4%A')), null);
+    assert.equal(authenticateRequest(withCookie('relay_auth=%E0%A4%A')), null);
+    assert.equal(authenticateRequest(withCookie(`foo=%E0%A4%A; ${loginCookie({ id: 'u1' })}`)).username, 'alice');
+});
+
+test('passwords are checked against their scrypt hash', () => {
+    assert.deepEqual(authenticatePassword('alice', 'correct horse'), { id: 'u1', username: 'alice', role: 'agent' });
+    assert.equal(authenticatePassword('alice', 'wrong horse'), null);
+    assert.equal(authenticatePassword('alice', ''), null);
+    assert.equal(authenticatePassword('mallory', 'correct horse'), null);
+    // Hashes in another scheme never match
+    assert.equal(authenticatePassword('bob', 'abc'), null);
+
+    const [scheme, salt, hash] = hashPassword('secret').split('$');
+    assert.equal(scheme, 'scrypt');
+    assert.notEqual(hashPassword('secret').split('$')[1], salt);
+    assert.equal(Buffer.from(hash, 'base64').length, 32);
+});
+
+test('login cookies are signed, and tampered or expired ones are rejected', async (t) => {
+    const cookie = loginCookie({ id: 'u1' });
+    assert.equal(authenticateRequest(withCookie(cookie)).id, 'u1');
+
+    const [payload, signature] = decodeURIComponent(cookie.slice('relay_auth='.length)).split('.');
+    const forged = Buffer.from(JSON.stringify({ uid: 'u2', exp: Date.now() + 60000 })).toString('base64url');
+    assert.equal(authenticateRequest(withCookie(`relay_auth=${forged}.${signature}`)), null);
+    assert.equal(authenticateRequest(withCookie(`relay_auth=${payload}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`)), null);
+    assert.equal(authenticateRequest(withCookie(`relay_auth=${payload}`)), null);
+    // A valid cookie for a user who no longer exists
+    assert.equal(authenticateRequest(withCookie(loginCookie({ id: 'deleted' }))), null);
+
+    process.env.AUTH_SESSION_TTL_SECONDS = '0.01';
+    t.after(() => {
+        delete process.env.AUTH_SESSION_TTL_SECONDS;
+    });
+    const shortLived = loginCookie({ id: 'u1' });
+    await delay(20);
+    assert.equal(authenticateRequest(withCookie(shortLived)), null);
+});
+
+test('API keys authenticate as a bearer token or an X-API-Key header', () => {
+    assert.equal(authenticateRequest({ headers: { authorization: `Bearer ${apiKey}` } }).username, 'bob');
+    assert.equal(authenticateRequest({ headers: { 'x-api-key': apiKey } }).username, 'bob');
+    assert.equal(authenticateRequest({ headers: { 'x-api-key': `${apiKey}x` } }), null);
+    // A wrong key is not rescued by a valid login cookie
+    assert.equal(authenticateRequest({ headers: { 'x-api-key': 'nope', cookie: loginCookie({ id: 'u1' }) } }), null);
+});
+
+test('requireAuth rejects anonymous requests and users without the role', () => {
+    assert.deepEqual(runMiddleware(requireAuth(), { headers: {} }), { status: 401, body: { error: 'Authentication required' } });
+    assert.deepEqual(runMiddleware(requireAuth('admin'), withCookie(loginCookie({ id: 'u1' }))),
+        { status: 403, body: { error: 'Insufficient permissions' } });
+    assert.equal(runMiddleware(requireAuth('admin'), { headers: { 'x-api-key': apiKey } }).user.username, 'bob');
+});
+
+test('a shared bearer token matches only when one is configured', () => {
+    assert.equal(hasBearerToken({ headers: { authorization: 'Bearer scrape-secret' } }, 'scrape-secret'), true);
+    assert.equal(hasBearerToken({ headers: { authorization: 'Bearer scrape-secre' } }, 'scrape-secret'), false);
+    assert.equal(hasBearerToken({ headers: { 'x-api-key': 'scrape-secret' } }, 'scrape-secret'), false);
+    assert.equal(hasBearerToken({ headers: { authorization: 'Bearer ' } }, ''), false);
+    assert.equal(hasBearerToken({ headers: { authorization: 'Bearer anything' } }, undefined), false);
+});
+
+test('agents reach their own records and admins reach every record', () => {
+    const agent = { id: 'u1', role: 'agent' };
+    assert.equal(canAccessRecord(agent, { ownerId: 'u1' }), true);
+    assert.equal(canAccessRecord(agent, { ownerId: 'u3' }), false);
+    assert.equal(canAccessRecord({ id: 'u2', role: 'admin' }, { ownerId: 'u3' }), true);
+    assert.equal(canAccessRecord(null, { ownerId: 'u1' }), false);
+});
+
+test('AUTH_DISABLED makes every request an anonymous admin', (t) => {
+    process.env.AUTH_DISABLED = 'true';
+    t.after(() => {
+        delete process.env.AUTH_DISABLED;
+    });
+    assert.deepEqual(authenticateRequest({ headers: {} }), { id: 'anonymous', username: 'anonymous', role: 'admin' });
+});
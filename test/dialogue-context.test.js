@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createDialogueState, recordTurn, getTranslationContext, compactDialogue, describeContext
+} from '../lib/dialogue-context.js';
+
+const config = { maxContextTokens: 600, maxTurns: 4, keepRecentTurns: 2, maxSummaryTokens: 10 };
+
+function createDialogue(count) {
+    const dialogue = createDialogueState();
+    for (let i = 1; i <= count; i++) {
+        const turn = recordTurn(dialogue, { speaker: i % 2 ? 'phone' : 'web-1', language: i % 2 ? 'es' : 'en', text: `turn ${i}` });
+        turn.translations[i % 2 ? 'en' : 'es'] = `translated ${i}`;
+    }
+    return dialogue;
+}
+
+test('the context holds recent turns with translations into the target language', () => {
+    assert.equal(getTranslationContext(createDialogueState(), 'en'), null);
+
+    const context = getTranslationContext(createDialogue(2), 'en');
+    assert.deepEqual(context, {
+        summary: '',
+        turns: [
+            { speaker: 'Caller', text: 'turn 1', translation: 'translated 1' },
+            { speaker: 'Agent 1', text: 'turn 2', translation: null }
+        ]
+    });
+    assert.equal(describeContext(context), [
+        'Most recent turns:',
+        'Caller: turn 1 (translated: translated 1)',
+        'Agent 1: turn 2'
+    ].join('\n'));
+});
+
+test('the oldest turns are left out when the context is over budget', () => {
+    const dialogue = createDialogue(6);
+    // Two tokens for each turn's text and three for a caller turn's English translation
+    const context = getTranslationContext(dialogue, 'en', { ...config, maxContextTokens: 8 });
+    assert.deepEqual(context.turns.map(turn => turn.text), ['turn 5', 'turn 6']);
+});
+
+test('older turns are summarized once the history outgrows its limit', async () => {
+    const dialogue = createDialogue(4);
+    const calls = [];
+    const summarize = async (previous, turns, options) => {
+        calls.push({ previous, turns, options });
+        return 'They discussed a refill';
+    };
+
+    assert.equal(await compactDialogue(dialogue, summarize, config), false);
+    assert.equal(calls.length, 0);
+
+    recordTurn(dialogue, { speaker: 'phone', language: 'es', text: 'turn 5' });
+    assert.equal(await compactDialogue(dialogue, summarize, config), true);
+    assert.deepEqual(calls, [{
+        previous: '',
+        turns: [
+            { speaker: 'Caller', text: 'turn 1' },
+            { speaker: 'Agent 1', text: 'turn 2' },
+            { speaker: 'Caller', text: 'turn 3' }
+        ],
+        options: { maxTokens: 10 }
+    }]);
+    assert.equal(dialogue.summary, 'They discussed a refill');
+    assert.equal(dialogue.summarizedTurns, 3);
+    assert.deepEqual(dialogue.turns.map(turn => turn.text), ['turn 4', 'turn 5']);
+    assert.match(describeContext(getTranslationContext(dialogue, 'en', config)),
+        /^Summary of the earlier conversation: They discussed a refill\nMost recent turns:/);
+});
+
+test('a long history is summarized before it reaches the turn limit', async () => {
+    const dialogue = createDialogue(3);
+    dialogue.turns[0].text = 'x'.repeat(4 * 600);
+    let summarized = 0;
+    assert.equal(await compactDialogue(dialogue, async () => { summarized++; return 'long'; }, config), true);
+    assert.equal(summarized, 1);
+    assert.equal(dialogue.turns.length, 2);
+});
+
+test('summaries are capped, and a failed summary drops the older turns', async () => {
+    const capped = createDialogue(5);
+    await compactDialogue(capped, async () => 'y'.repeat(100), config);
+    assert.equal(capped.summary.length, 40);
+
+    const failed = createDialogue(5);
+    failed.summary = 'kept';
+    assert.equal(await compactDialogue(failed, async () => { throw new Error('provider down'); }, config), true);
+    assert.equal(failed.summary, 'kept');
+    assert.deepEqual(failed.turns.map(turn => turn.text), ['turn 4', 'turn 5']);
+});
+
+test('a dialogue is not summarized twice at once', async () => {
+    const dialogue = createDialogue(5);
+    let release;
+    let calls = 0;
+    const summarize = () => {
+        calls++;
+        return new Promise(resolve => { release = resolve; });
+    };
+
+    const first = compactDialogue(dialogue, summarize, config);
+    assert.equal(await compactDialogue(dialogue, summarize, config), false);
+    // A turn added while summarizing is kept
+    recordTurn(dialogue, { speaker: 'web-1', language: 'en', text: 'turn 6' });
+    release('summary');
+    assert.equal(await first, true);
+    assert.equal(calls, 1);
+    assert.deepEqual(dialogue.turns.map(turn => turn.text), ['turn 4', 'turn 5', 'turn 6']);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    normalizeGlossaryInput, createGlossaryStore, containsTerm, getApplicableGlossary, describeGlossary, findMissingTerms
+} from '../lib/glossaries.js';
+
+const pharmacy = {
+    terms: [
+        { from: 'en', to: 'es', source: 'refill', target: 'resurtido' },
+        { from: 'en', to: 'es', source: 'copay', target: 'copago' },
+        { from: 'es', to: 'en', source: 'receta', target: 'prescription' }
+    ],
+    protectedTerms: ['Lipitor', 'RX-42']
+};
+
+test('terms match whole words, in any case and script', () => {
+    assert.equal(containsTerm('Is my Refill ready?', 'refill'), true);
+    assert.equal(containsTerm('The refills are ready', 'refill'), false);
+    assert.equal(containsTerm('Código RX-42.', 'RX-42'), true);
+    assert.equal(containsTerm('東京タワー', 'タワ'), false);
+    assert.equal(containsTerm('a (b) c', '(b)'), true);
+});
+
+test('only the mappings for the language pair and text of an utterance apply', () => {
+    const glossary = getApplicableGlossary([pharmacy, { terms: [], protectedTerms: ['Lipitor'] }],
+        'Can I get a refill of Lipitor?', 'en', 'es');
+    assert.deepEqual(glossary, { terms: [{ source: 'refill', target: 'resurtido' }], protectedTerms: ['Lipitor'] });
+
+    assert.deepEqual(getApplicableGlossary([pharmacy], 'Can I get a refill?', 'es', 'en'), { terms: [], protectedTerms: [] });
+});
+
+test('the prompt names each substitution, and translations missing one are caught', () => {
+    const glossary = getApplicableGlossary([pharmacy], 'Your copay for Lipitor is ten dollars', 'en', 'es');
+    assert.equal(describeGlossary(glossary), [
+        'Translate these terms exactly as given:',
+        '- "copay" -> "copago"',
+        'Keep these terms exactly as written, without translating them:',
+        '- "Lipitor"'
+    ].join('\n'));
+
+    assert.deepEqual(findMissingTerms('Su copago para Lipitor es de diez dólares', glossary), []);
+    assert.deepEqual(findMissingTerms('Su pago para Lipitor es de diez dólares', glossary), ['copago']);
+    assert.deepEqual(findMissingTerms('Su copago para atorvastatina es de diez dólares', glossary), ['Lipitor']);
+});
+
+test('glossary input is validated and cleaned', () => {
+    const isSupported = language => ['en', 'es'].includes(language);
+    assert.deepEqual(normalizeGlossaryInput({
+        name: ' Pharmacy ',
+        terms: [{ from: 'en', to: 'es', source: ' refill ', target: 'resurtido' }],
+        protectedTerms: ['Lipitor', 'Lipitor ']
+    }, isSupported), {
+        name: 'Pharmacy',
+        terms: [{ from: 'en', to: 'es', source: 'refill', target: 'resurtido' }],
+        protectedTerms: ['Lipitor']
+    });
+
+    assert.throws(() => normalizeGlossaryInput(null), /Glossary must be an object/);
+    assert.throws(() => normalizeGlossaryInput({ name: '' }), /name must be a non-empty string/);
+    assert.throws(() => normalizeGlossaryInput({ name: 'x', terms: {} }), /must be arrays/);
+    assert.throws(() => normalizeGlossaryInput({ name: 'x', terms: [{ from: 'en', to: 'xx', source: 'a', target: 'b' }] }, isSupported),
+        /terms\[0\]\.to must be a supported language code/);
+    assert.throws(() => normalizeGlossaryInput({ name: 'x', protectedTerms: new Array(501).fill('a') }), /at most 500 terms/);
+});
+
+test('glossaries are persisted and reloaded from their file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-glossaries-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'nested', 'glossaries.json');
+
+    const store = createGlossaryStore(filePath);
+    const created = store.create({ name: 'Pharmacy', ...pharmacy }, 'u1');
+    store.update(created.id, { name: 'Pharmacy v2' });
+    const removed = store.create({ name: 'Old', terms: [], protectedTerms: [] }, 'u1');
+    assert.equal(store.delete(removed.id), true);
+    assert.equal(store.delete(removed.id), false);
+    assert.equal(store.update('missing', { name: 'x' }), null);
+
+    const reloaded = createGlossaryStore(filePath);
+    assert.deepEqual([...reloaded.values()], [store.get(created.id)]);
+    assert.equal(reloaded.get(created.id).name, 'Pharmacy v2');
+    assert.equal(reloaded.get(created.id).ownerId, 'u1');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJoinTicket, verifyJoinTicket, redeemJoinTicket } from '../lib/join-tickets.js';
+
+process.env.JOIN_TICKET_SECRET = 'test-secret';
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('a ticket admits its own session and names the browser participant', () => {
+    const { ticket, expiresAt } = createJoinTicket('session-1', 'web-2');
+    const verification = verifyJoinTicket(ticket, 'session-1');
+    assert.equal(verification.valid, true);
+    assert.equal(verification.participantId, 'web-2');
+    assert.equal(new Date(verification.expiresAt).toISOString(), expiresAt);
+    assert.deepEqual(verifyJoinTicket(ticket, 'session-2'), { valid: false, reason: 'session_mismatch' });
+});
+
+test('tickets for the same session are distinct', () => {
+    assert.notEqual(createJoinTicket('session-1').ticket, createJoinTicket('session-1').ticket);
+});
+
+test('missing, malformed and tampered tickets are rejected', () => {
+    const { ticket } = createJoinTicket('session-1');
+    const [payload, signature] = ticket.split('.');
+    const forged = Buffer.from(JSON.stringify({ sid: 'session-1', pid: 'web', exp: Date.now() + 60000 })).toString('base64url');
+
+    assert.deepEqual(verifyJoinTicket('', 'session-1'), { valid: false, reason: 'missing' });
+    assert.deepEqual(verifyJoinTicket('abc', 'session-1'), { valid: false, reason: 'malformed' });
+    assert.deepEqual(verifyJoinTicket(`${ticket}.extra`, 'session-1'), { valid: false, reason: 'malformed' });
+    assert.deepEqual(verifyJoinTicket(`${forged}.${signature}`, 'session-1'), { valid: false, reason: 'bad_signature' });
+    assert.deepEqual(verifyJoinTicket(`${payload}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`, 'session-1'), { valid: false, reason: 'bad_signature' });
+});
+
+test('tickets expire after their time to live', async () => {
+    const { ticket } = createJoinTicket('session-1', 'web', 0.01);
+    await delay(20);
+    assert.deepEqual(verifyJoinTicket(ticket, 'session-1'), { valid: false, reason: 'expired' });
+    assert.deepEqual(redeemJoinTicket(ticket, 'session-1'), { valid: false, reason: 'expired' });
+});
+
+test('a ticket can be redeemed once', () => {
+    const { ticket } = createJoinTicket('session-1');
+    assert.equal(redeemJoinTicket(ticket, 'session-1').valid, true);
+    assert.deepEqual(redeemJoinTicket(ticket, 'session-1'), { valid: false, reason: 'already_used' });
+    // A rejected redemption does not use the ticket up
+    const other = createJoinTicket('session-2').ticket;
+    assert.equal(redeemJoinTicket(other, 'session-1').valid, false);
+    assert.equal(redeemJoinTicket(other, 'session-2').valid, true);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLanguageCode, createDetectionState, recordDetection } from '../lib/language-detection.js';
+
+test('language names, codes and regional tags normalize to a base code', () => {
+    assert.equal(normalizeLanguageCode('Spanish'), 'es');
+    assert.equal(normalizeLanguageCode(' castilian '), 'es');
+    assert.equal(normalizeLanguageCode('es-MX'), 'es');
+    assert.equal(normalizeLanguageCode('pt_BR'), 'pt');
+    assert.equal(normalizeLanguageCode('yue'), 'yue');
+    assert.equal(normalizeLanguageCode('klingon'), null);
+    assert.equal(normalizeLanguageCode(''), null);
+});
+
+test('the language locks once enough confident utterances agree', () => {
+    const state = createDetectionState('en');
+    assert.equal(recordDetection(state, { language: 'spanish', confidence: 0.9, durationMs: 3000 }), null);
+    assert.equal(state.status, 'detecting');
+    assert.deepEqual(recordDetection(state, { language: 'es', confidence: 0.8, durationMs: 3000 }),
+        { type: 'detected', language: 'es', confidence: 1 });
+    assert.equal(state.status, 'locked');
+    assert.equal(state.language, 'es');
+});
+
+test('low-confidence and unrecognised reports are not counted', () => {
+    const state = createDetectionState('en');
+    assert.equal(recordDetection(state, { language: 'fr', confidence: 0.2 }), null);
+    assert.equal(recordDetection(state, { language: 'klingon', confidence: 1 }), null);
+    assert.equal(state.utterances, 0);
+    assert.deepEqual(state.votes, {});
+});
+
+test('a split vote locks on the leader after the maximum number of utterances', () => {
+    const state = createDetectionState('en');
+    const reports = ['en', 'es', 'en', 'es'];
+    for (const language of reports) {
+        assert.equal(recordDetection(state, { language, confidence: language === 'en' ? 0.9 : 0.8 }), null);
+    }
+    const result = recordDetection(state, { language: 'es', confidence: 0.5 });
+    assert.equal(result.type, 'detected');
+    assert.equal(result.language, 'es');
+    assert.ok(result.confidence < 0.7);
+});
+
+test('a locked language switches only after consecutive different detections', () => {
+    const state = createDetectionState('en');
+    recordDetection(state, { language: 'en', confidence: 1, durationMs: 3000 });
+    recordDetection(state, { language: 'en', confidence: 1, durationMs: 3000 });
+    assert.equal(state.language, 'en');
+
+    // One stray utterance, then back to English, resets the count
+    assert.equal(recordDetection(state, { language: 'fr', confidence: 0.9 }), null);
+    assert.equal(recordDetection(state, { language: 'en', confidence: 0.9 }), null);
+    assert.equal(recordDetection(state, { language: 'fr', confidence: 0.9 }), null);
+    assert.equal(state.language, 'en');
+
+    assert.deepEqual(recordDetection(state, { language: 'fr', confidence: 0.85 }),
+        { type: 'switched', language: 'fr', previousLanguage: 'en', confidence: 0.85 });
+    assert.equal(state.language, 'fr');
+});
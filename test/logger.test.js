@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, maskPhoneNumber } from '../lib/logger.js';
+
+// A logger that keeps its entries instead of writing them out
+function createCapturingLogger(context = {}, level = 'debug') {
+    const entries = [];
+    const logger = createLogger(context, { level, write: line => entries.push(JSON.parse(line)) });
+    return { logger, entries };
+}
+
+test('phone numbers are masked in phone fields, messages and other strings', () => {
+    const { logger, entries } = createCapturingLogger({ sessionId: 's1' });
+    logger.info('Call from +15550100123', { From: '+15550100123', note: 'transferred to +447700900123', nested: { to: '5550100123' } });
+
+    const [entry] = entries;
+    assert.equal(entry.sessionId, 's1');
+    assert.equal(entry.msg, 'Call from +*******0123');
+    assert.equal(entry.From, '+*******0123');
+    assert.equal(entry.note, 'transferred to +********0123');
+    assert.equal(entry.nested.to, '******0123');
+    assert.equal(maskPhoneNumber('1234'), '1234');
+});
+
+test('errors are logged with phone numbers masked in both the message and the stack', () => {
+    const { logger, entries } = createCapturingLogger();
+    const error = new Error('No answer from +15550100123');
+    error.code = 'NO_ANSWER';
+    logger.error('Call failed', { error });
+
+    const [{ error: logged }] = entries;
+    assert.equal(logged.name, 'Error');
+    assert.equal(logged.code, 'NO_ANSWER');
+    assert.equal(logged.message, 'No answer from +*******0123');
+    assert.ok(logged.stack.startsWith('Error: No answer from +*******0123\n'));
+    assert.ok(!JSON.stringify(entries).includes('5550100123'));
+});
+
+test('entries below the configured level are skipped and children extend the context', () => {
+    const { logger, entries } = createCapturingLogger({ service: 'relay' }, 'warn');
+    logger.info('ignored');
+    logger.child({ participant: 'phone' }).warn('kept');
+    assert.deepEqual(entries.map(({ level, msg, service, participant }) => ({ level, msg, service, participant })), [
+        { level: 'warn', msg: 'kept', service: 'relay', participant: 'phone' }
+    ]);
+    assert.equal(logger.isLevelEnabled('error'), true);
+    assert.equal(logger.isLevelEnabled('debug'), false);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry, secondsSince } from '../lib/metrics.js';
+
+function lines(text) {
+    return text.trimEnd().split('\n');
+}
+
+test('counters render one series per label set, with HELP and TYPE lines', () => {
+    const registry = createMetricsRegistry({ prefix: 'relay_' });
+    const requests = registry.counter({ name: 'requests_total', help: 'Provider requests', labelNames: ['stage'] });
+    requests.inc({ stage: 'stt' });
+    requests.inc({ stage: 'tts' }, 2);
+    // Labels that were not declared are ignored
+    requests.inc({ stage: 'stt', provider: 'mock' });
+
+    assert.deepEqual(lines(registry.render()), [
+        '# HELP relay_requests_total Provider requests',
+        '# TYPE relay_requests_total counter',
+        'relay_requests_total{stage="stt"} 2',
+        'relay_requests_total{stage="tts"} 2'
+    ]);
+});
+
+test('label values are escaped', () => {
+    const registry = createMetricsRegistry();
+    registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['message'] }).inc({ message: 'say "hi"\\\nbye' });
+    assert.equal(lines(registry.render())[2], 'errors_total{message="say \\"hi\\"\\\\\\nbye"} 1');
+});
+
+test('gauges are read when the registry is rendered', () => {
+    const registry = createMetricsRegistry();
+    let sessions = 1;
+    registry.gauge({ name: 'active_sessions', help: 'Sessions', collect: () => sessions });
+    registry.gauge({
+        name: 'circuit_state',
+        help: 'Breaker state',
+        collect: () => [{ labels: { stage: 'stt' }, value: 0 }, { labels: { stage: 'tts' }, value: 2 }]
+    });
+
+    assert.equal(lines(registry.render())[2], 'active_sessions 1');
+    sessions = 3;
+    assert.deepEqual(lines(registry.render()).filter(line => !line.startsWith('#')), [
+        'active_sessions 3',
+        'circuit_state{stage="stt"} 0',
+        'circuit_state{stage="tts"} 2'
+    ]);
+});
+
+test('histograms count observations into cumulative buckets', () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['stage'], buckets: [1, 0.5] });
+    latency.observe({ stage: 'stt' }, 0.25);
+    latency.observe({ stage: 'stt' }, 0.75);
+    latency.observe({ stage: 'stt' }, 4);
+    // Values that are not finite numbers are skipped
+    latency.observe({ stage: 'stt' }, NaN);
+
+    assert.deepEqual(lines(registry.render()).slice(2), [
+        'latency_seconds_bucket{stage="stt",le="0.5"} 1',
+        'latency_seconds_bucket{stage="stt",le="1"} 2',
+        'latency_seconds_bucket{stage="stt",le="+Inf"} 3',
+        'latency_seconds_sum{stage="stt"} 5',
+        'latency_seconds_count{stage="stt"} 3'
+    ]);
+});
+
+test('secondsSince converts a timestamp difference to seconds', () => {
+    assert.equal(secondsSince(1000, 3500), 2.5);
+});
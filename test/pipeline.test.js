@@ -0,0 +1,284 @@
+// End-to-end run of the translation pipeline on the offline mock providers.
+// An inbound caller is queued through the IVR webhook, an agent claims the
+// call and joins from the browser, both legs open media streams, and the
+// caller's speech reaches the agent as a transcript, a translation and paced
+// audio frames. Nothing leaves the machine.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { encodeMulaw } from '../lib/audio.js';
+
+const serverPath = fileURLToPath(new URL('../server.js', import.meta.url));
+
+let server;
+let baseUrl;
+let dataDir;
+let output = '';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves once `check()` returns something truthy, polling every 20ms
+async function waitFor(check, description, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${description}\n${output}`);
+        }
+        await delay(20);
+    }
+}
+
+// Twilio posts its webhooks form-encoded
+async function postForm(pathname, fields) {
+    const response = await fetch(baseUrl + pathname, { method: 'POST', body: new URLSearchParams(fields) });
+    assert.equal(response.status, 200);
+    return response.text();
+}
+
+async function postJson(pathname, body, status = 200) {
+    const response = await fetch(baseUrl + pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    assert.equal(response.status, status);
+    return response.json();
+}
+
+function getStreamPath(twiml) {
+    const match = twiml.match(/<Stream url="wss:\/\/[^/"]+([^"]+)"/);
+    assert.ok(match, `No media stream in TwiML: ${twiml}`);
+    return match[1];
+}
+
+// A Media Streams client: announces `streamSid` and records what it receives
+function openMediaStream(pathname, streamSid) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(baseUrl.replace('http', 'ws') + pathname);
+        const received = [];
+        ws.on('message', data => received.push(JSON.parse(data)));
+        ws.on('error', reject);
+        ws.on('open', () => {
+            ws.send(JSON.stringify({ event: 'start', start: { streamSid } }));
+            resolve({ ws, received });
+        });
+    });
+}
+
+function openTranslationUpdates(sessionId) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/translation-updates?session=${sessionId}`);
+        const events = [];
+        ws.on('message', data => events.push(JSON.parse(data)));
+        ws.on('error', reject);
+        ws.on('open', () => resolve({ ws, events }));
+    });
+}
+
+// 1.5 s of tone, loud enough for the VAD, then a second of silence to end the utterance
+function createUtteranceAudio() {
+    const tone = new Int16Array(8000 * 1.5);
+    for (let i = 0; i < tone.length; i++) {
+        tone[i] = Math.round(8000 * Math.sin(i * 0.3));
+    }
+    return Buffer.concat([encodeMulaw(tone), encodeMulaw(new Int16Array(8000))]);
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-pipeline-'));
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [serverPath], {
+        cwd: dataDir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PIPELINE_PROVIDER: 'mock',
+            SESSION_STORE: 'memory',
+            AUTH_DISABLED: 'true',
+            TWILIO_VALIDATE_SIGNATURES: 'false',
+            TWILIO_ACCOUNT_SID: 'ACtest',
+            TWILIO_AUTH_TOKEN: 'test',
+            JOIN_TICKET_SECRET: 'test-secret',
+            IVR_LANGUAGES: 'en,es',
+            USAGE_FILE: path.join(dataDir, 'usage.json'),
+            LOG_LEVEL: 'warn'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', chunk => { output += chunk; });
+    server.stderr.on('data', chunk => { output += chunk; });
+
+    await waitFor(async () => {
+        try {
+            return (await fetch(`${baseUrl}/health`)).ok;
+        } catch {
+            return false;
+        }
+    }, 'the server to start');
+});
+
+after(() => {
+    server?.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// The caller picks English from the IVR menu and waits in the queue, then an
+// agent who speaks Spanish claims the call and dials in from the browser
+async function connectCallerAndAgent(callSid, claimOptions = {}) {
+    const phoneTwiml = await postForm('/incoming-call/language', { CallSid: callSid, From: '+15550100', Digits: '1' });
+    const phonePath = getStreamPath(phoneTwiml);
+    const sessionId = phonePath.split('/')[2];
+
+    const claim = await postJson(`/api/queue/${sessionId}/claim`, { webLanguage: 'es', ...claimOptions });
+    assert.deepEqual(claim.languages, { phone: 'en', web: 'es' });
+    const webTwiml = await postForm('/voice', { sessionId, joinTicket: claim.joinTicket, CallSid: `${callSid}-agent`, From: 'client:agent' });
+    return { sessionId, phonePath, webPath: getStreamPath(webTwiml) };
+}
+
+function speak(ws) {
+    const audio = createUtteranceAudio();
+    for (let offset = 0; offset < audio.length; offset += 160) {
+        ws.send(JSON.stringify({
+            event: 'media',
+            media: { track: 'inbound', payload: audio.subarray(offset, offset + 160).toString('base64') }
+        }));
+    }
+}
+
+test('caller speech reaches the agent as a transcript, a translation and audio', async () => {
+    const { sessionId, phonePath, webPath } = await connectCallerAndAgent('CAcaller');
+
+    const updates = await openTranslationUpdates(sessionId);
+    const phone = await openMediaStream(phonePath, 'MZphone');
+    const web = await openMediaStream(webPath, 'MZweb');
+
+    speak(phone.ws);
+
+    const translation = await waitFor(() => updates.events.find(event => event.type === 'translation'), 'the translation');
+    const transcription = updates.events.find(event => event.type === 'transcription');
+    assert.equal(transcription.text, 'yes please');
+    assert.equal(transcription.language, 'en');
+    assert.equal(translation.translatedText, 'sí por favor');
+    assert.equal(translation.toLanguage, 'es');
+    assert.deepEqual(translation.listeners, ['web']);
+
+    // Translated speech is sent on the agent's own stream, followed by a mark
+    const mark = await waitFor(() => web.received.find(message => message.event === 'mark'), 'the end-of-clip mark');
+    assert.equal(mark.mark.name, translation.utteranceId);
+    const media = web.received.filter(message => message.event === 'media');
+    assert.ok(media.length > 0);
+    for (const message of media) {
+        assert.equal(message.streamSid, 'MZweb');
+        assert.equal(Buffer.from(message.media.payload, 'base64').length, 160);
+    }
+    // The caller does not hear their own words
+    assert.equal(phone.received.length, 0);
+
+    const transcript = await (await fetch(`${baseUrl}/api/sessions/${sessionId}/transcript`)).json();
+    const [entry] = transcript.entries;
+    assert.equal(entry.sourceText, 'yes please');
+    assert.deepEqual(entry.translations, { es: 'sí por favor' });
+
+    for (const socket of [updates.ws, phone.ws, web.ws]) {
+        socket.close();
+    }
+});
+
+test('a reconnected media stream replaces the old one, and a late stop from the old one is ignored', async () => {
+    const { sessionId, phonePath, webPath } = await connectCallerAndAgent('CAreconnect');
+
+    const updates = await openTranslationUpdates(sessionId);
+    const phone = await openMediaStream(phonePath, 'MZphone2');
+    const staleWeb = await openMediaStream(webPath, 'MZwebOld');
+    const web = await openMediaStream(webPath, 'MZwebNew');
+    staleWeb.ws.send(JSON.stringify({ event: 'stop', streamSid: 'MZwebOld' }));
+    // The server closes the stream it replaced
+    await waitFor(() => staleWeb.ws.readyState === WebSocket.CLOSED, 'the replaced stream to close');
+
+    speak(phone.ws);
+
+    await waitFor(() => updates.events.find(event => event.type === 'translation'), 'the translation');
+    const mark = await waitFor(() => web.received.find(message => message.event === 'mark'), 'the end-of-clip mark');
+    assert.equal(mark.streamSid, 'MZwebNew');
+    assert.equal(staleWeb.received.filter(message => message.event === 'media').length, 0);
+
+    for (const socket of [updates.ws, phone.ws, web.ws]) {
+        socket.close();
+    }
+});
+
+test('a captions session gets the translation but no synthesized speech', async () => {
+    const { sessionId, phonePath, webPath } = await connectCallerAndAgent('CAcaptions', { mode: 'captions' });
+
+    const updates = await openTranslationUpdates(sessionId);
+    const phone = await openMediaStream(phonePath, 'MZphone3');
+    const web = await openMediaStream(webPath, 'MZweb3');
+
+    speak(phone.ws);
+
+    const translation = await waitFor(() => updates.events.find(event => event.type === 'translation'), 'the translation');
+    assert.equal(translation.translatedText, 'sí por favor');
+    // Mock speech would have reached the agent well within this
+    await delay(500);
+    assert.deepEqual(web.received, []);
+    const { usage } = await (await fetch(`${baseUrl}/api/sessions/${sessionId}/usage`)).json();
+    assert.equal(usage.translation.requests, 1);
+    assert.equal(usage.tts.requests, 0);
+
+    for (const socket of [updates.ws, phone.ws, web.ws]) {
+        socket.close();
+    }
+});
+
+test('an agent can attach glossaries when claiming an inbound call', async () => {
+    const glossary = await postJson('/api/glossaries', {
+        name: 'Courtesy',
+        terms: [{ from: 'en', to: 'es', source: 'please', target: 'porfa' }]
+    }, 201);
+
+    const queuedTwiml = await postForm('/incoming-call/language', { CallSid: 'CAglossaryBad', From: '+15550101', Digits: '1' });
+    const queuedId = getStreamPath(queuedTwiml).split('/')[2];
+    const rejected = await postJson(`/api/queue/${queuedId}/claim`, { webLanguage: 'es', glossaryIds: ['missing'] }, 400);
+    assert.equal(rejected.error, 'Unknown glossary: missing');
+    // A rejected claim leaves the call waiting for an agent
+    const queue = await (await fetch(`${baseUrl}/api/queue`)).json();
+    assert.ok(queue.some(call => call.sessionId === queuedId));
+
+    const { sessionId, phonePath, webPath } = await connectCallerAndAgent('CAglossary', { glossaryIds: [glossary.id] });
+    const updates = await openTranslationUpdates(sessionId);
+    const phone = await openMediaStream(phonePath, 'MZphone4');
+    const web = await openMediaStream(webPath, 'MZweb4');
+
+    speak(phone.ws);
+
+    const translation = await waitFor(() => updates.events.find(event => event.type === 'translation'), 'the translation');
+    assert.equal(translation.translatedText, 'sí porfa');
+
+    for (const socket of [updates.ws, phone.ws, web.ws]) {
+        socket.close();
+    }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutboundPlayer } from '../lib/playback.js';
+
+// Frames go out as fast as they are queued when the lead covers the whole clip
+function createPlayer(send, options = {}) {
+    const dropped = [];
+    let framesSent = 0;
+    const player = createOutboundPlayer(send, {
+        leadMs: 10000,
+        onFrameSent: () => { framesSent++; },
+        onFramesDropped: (count, reason) => dropped.push([count, reason]),
+        ...options
+    });
+    player.setStreamSid('MZtest');
+    return { player, dropped, getFramesSent: () => framesSent };
+}
+
+test('a clip is sent as 20ms frames followed by its mark', async () => {
+    const messages = [];
+    const { player, dropped, getFramesSent } = createPlayer(message => messages.push(message));
+    const { started, queued, played } = player.play(Buffer.alloc(400), 'clip-1');
+
+    assert.equal(typeof await started, 'number');
+    assert.equal(await queued, true);
+    assert.deepEqual(messages.map(message => message.event), ['media', 'media', 'media', 'mark']);
+    assert.deepEqual(messages.map(message => message.streamSid), ['MZtest', 'MZtest', 'MZtest', 'MZtest']);
+    assert.equal(Buffer.from(messages[2].media.payload, 'base64').length, 80);
+    assert.equal(getFramesSent(), 3);
+    assert.deepEqual(dropped, []);
+
+    assert.equal(player.acknowledgeMark('clip-1').name, 'clip-1');
+    assert.equal(await played, true);
+    assert.equal(player.isActive, false);
+});
+
+test('a send failure reports only the frames that were not sent as dropped', async () => {
+    let sends = 0;
+    const { player, dropped, getFramesSent } = createPlayer(() => {
+        if (++sends === 3) {
+            throw new Error('socket closed');
+        }
+    });
+    const { queued, played } = player.play(Buffer.alloc(160 * 5), 'clip-1');
+
+    await assert.rejects(queued, /socket closed/);
+    assert.equal(await played, false);
+    assert.equal(getFramesSent(), 2);
+    assert.deepEqual(dropped, [[3, 'error']]);
+});
+
+test('clear drops queued clips and tells Twilio to discard buffered audio', async () => {
+    const messages = [];
+    const { player, dropped } = createPlayer(message => messages.push(message));
+    const first = player.play(Buffer.alloc(160), 'clip-1');
+    const second = player.play(Buffer.alloc(320), 'clip-2');
+
+    assert.deepEqual(player.clear(), ['clip-1', 'clip-2']);
+    assert.equal(await second.queued, false);
+    assert.equal(await second.started, null);
+    assert.equal(await first.played, false);
+    assert.equal(await second.played, false);
+    assert.deepEqual(dropped, [[2, 'cleared']]);
+    assert.equal(messages.at(-1).event, 'clear');
+});
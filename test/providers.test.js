@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, parseWav } from '../lib/audio.js';
+import { createMockProviders } from '../lib/providers/mock.js';
+import { resolveProviderSelection, getProvider } from '../lib/providers/index.js';
+
+function silence(seconds, sampleRate = 16000) {
+    return encodeWav(new Int16Array(Math.round(seconds * sampleRate)), sampleRate);
+}
+
+test('mock providers run a transcription, translation and synthesis offline', async () => {
+    const { stt, translation, tts } = createMockProviders({ failStages: [] });
+
+    const result = await stt.transcribe(silence(1.5), { language: 'en' });
+    assert.deepEqual(result, { text: 'yes please', language: 'en', languageConfidence: 1 });
+
+    const usage = [];
+    const translated = await translation.translate(result.text, { from: 'en', to: 'es', onUsage: tokens => usage.push(tokens) });
+    assert.equal(translated, 'sí por favor');
+    assert.deepEqual(usage, [{ inputTokens: 3, outputTokens: 3 }]);
+
+    // One 0.2 s tone and gap per word at 24 kHz
+    const { samples, sampleRate } = parseWav(await tts.synthesize(translated));
+    assert.equal(sampleRate, 24000);
+    assert.equal(samples.length, 3 * 4800);
+});
+
+test('mock transcription picks longer phrases for longer utterances', async () => {
+    const { stt } = createMockProviders({ failStages: [] });
+    assert.equal((await stt.transcribe(silence(0.5), { language: 'fr' })).text, 'bonjour');
+    assert.equal((await stt.transcribe(silence(3.2), { language: 'fr' })).text, 'où est le médecin');
+});
+
+test('mock transcription identifies the language of a fixed transcript', async () => {
+    const { stt } = createMockProviders({ transcript: 'muchas gracias', failStages: [] });
+    const result = await stt.transcribe(silence(1));
+    assert.equal(result.language, 'es');
+    assert.equal(result.languageConfidence, 0.9);
+});
+
+test('mock translation keeps glossary terms and protected terms', async () => {
+    const { translation } = createMockProviders({ failStages: [] });
+    const glossary = { terms: [{ source: 'account', target: 'expediente' }], protectedTerms: ['Acme'] };
+    const translated = await translation.translate('I need help with my account Acme', { from: 'en', to: 'es', glossary });
+    assert.equal(translated, 'yo necesito ayuda con mi expediente Acme');
+});
+
+test('mock stages listed to fail throw like an unavailable service', async () => {
+    const { translation, tts } = createMockProviders({ failStages: ['translation'] });
+    await assert.rejects(translation.translate('hello', { from: 'en', to: 'es' }), { status: 503 });
+    await assert.doesNotReject(tts.synthesize('hello'));
+});
+
+test('provider selection merges overrides and rejects unknown providers', () => {
+    assert.deepEqual(resolveProviderSelection('mock'), { stt: 'mock', translation: 'mock', tts: 'mock' });
+    assert.equal(resolveProviderSelection({ tts: 'mock' }).tts, 'mock');
+    assert.throws(() => resolveProviderSelection({ stt: 'nope' }), /Unknown stt provider: nope/);
+    assert.equal(getProvider('translation', 'mock').model, 'dictionary');
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderGuard, isRetryableError, getRetryDelay, DEFAULT_RESILIENCE_CONFIG } from '../lib/resilience.js';
+
+const provider = { name: 'mock', model: 'test' };
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function httpError(status) {
+    return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+// Quick retries and short timeouts so the tests run in milliseconds
+function createGuard(options = {}) {
+    return createProviderGuard({
+        timeouts: { stt: 50, translation: 50, tts: 50 },
+        retryBaseMs: 1,
+        retryMaxMs: 2,
+        ...options
+    });
+}
+
+test('errors worth another attempt are told apart from the rest', () => {
+    for (const error of [
+        { code: 'PROVIDER_TIMEOUT' }, httpError(429), httpError(408), httpError(503),
+        { code: 'ECONNRESET' }, { cause: { code: 'UND_ERR_SOCKET' } }, { name: 'APIConnectionError' }
+    ]) {
+        assert.equal(isRetryableError(error), true, JSON.stringify(error));
+    }
+    for (const error of [httpError(400), httpError(401), { code: 'CIRCUIT_OPEN' }, new Error('bad input'), undefined]) {
+        assert.equal(isRetryableError(error), false, JSON.stringify(error));
+    }
+});
+
+test('retry delays stay under the capped exponential backoff', () => {
+    for (let attempt = 0; attempt < 6; attempt++) {
+        const cap = Math.min(DEFAULT_RESILIENCE_CONFIG.retryMaxMs, DEFAULT_RESILIENCE_CONFIG.retryBaseMs * 2 ** attempt);
+        const delayMs = getRetryDelay(attempt);
+        assert.ok(delayMs >= 0 && delayMs <= cap, `attempt ${attempt}: ${delayMs}`);
+    }
+});
+
+test('retryable failures are retried until a call succeeds', async () => {
+    const retries = [];
+    const guard = createGuard({ onRetry: ({ stage, attempt, error }) => retries.push([stage, attempt, error.status]) });
+    let calls = 0;
+    const result = await guard.call('tts', provider, async () => {
+        calls++;
+        if (calls < 3) {
+            throw httpError(503);
+        }
+        return 'audio';
+    });
+    assert.equal(result, 'audio');
+    assert.deepEqual(retries, [['tts', 1, 503], ['tts', 2, 503]]);
+});
+
+test('failures that are not retryable, or out of retries, are thrown', async () => {
+    const guard = createGuard();
+    let calls = 0;
+    await assert.rejects(guard.call('stt', provider, async () => {
+        calls++;
+        throw httpError(400);
+    }), { status: 400 });
+    assert.equal(calls, 1);
+
+    calls = 0;
+    await assert.rejects(guard.call('stt', provider, async () => {
+        calls++;
+        throw httpError(500);
+    }), { status: 500 });
+    assert.equal(calls, 1 + DEFAULT_RESILIENCE_CONFIG.maxRetries);
+});
+
+test('a call that outlives its timeout fails with PROVIDER_TIMEOUT and is aborted', async () => {
+    const guard = createGuard({ maxRetries: 0 });
+    let providerSignal;
+    await assert.rejects(guard.call('translation', provider, signal => {
+        providerSignal = signal;
+        return new Promise(() => {});
+    }), { code: 'PROVIDER_TIMEOUT' });
+    assert.equal(providerSignal.aborted, true);
+});
+
+test('a call cancelled by the caller is neither retried nor counted', async () => {
+    const guard = createGuard({ failureThreshold: 1 });
+    const controller = new AbortController();
+    let calls = 0;
+    const call = guard.call('tts', provider, () => {
+        calls++;
+        return new Promise(() => {});
+    }, { signal: controller.signal });
+    controller.abort(new Error('barge-in'));
+
+    await assert.rejects(call, /barge-in/);
+    assert.equal(calls, 1);
+    assert.deepEqual(guard.getStates(), [{ stage: 'tts', provider: 'mock', model: 'test', state: 'closed', failures: 0 }]);
+});
+
+test('the breaker opens after repeated failures and closes after a good trial call', async () => {
+    const changes = [];
+    const guard = createGuard({
+        maxRetries: 0,
+        failureThreshold: 2,
+        resetTimeoutMs: 30,
+        onStateChange: ({ state, previousState }) => changes.push(`${previousState}->${state}`)
+    });
+    const fail = async () => {
+        throw httpError(503);
+    };
+
+    await assert.rejects(guard.call('stt', provider, fail), { status: 503 });
+    await assert.rejects(guard.call('stt', provider, fail), { status: 503 });
+    let calls = 0;
+    await assert.rejects(guard.call('stt', provider, async () => {
+        calls++;
+    }), { code: 'CIRCUIT_OPEN' });
+    assert.equal(calls, 0);
+
+    // A failed trial opens the breaker again
+    await delay(40);
+    await assert.rejects(guard.call('stt', provider, fail), { status: 503 });
+    await assert.rejects(guard.call('stt', provider, fail), { code: 'CIRCUIT_OPEN' });
+
+    await delay(40);
+    assert.equal(await guard.call('stt', provider, async () => 'text'), 'text');
+    assert.deepEqual(changes, ['closed->open', 'open->half_open', 'half_open->open', 'open->half_open', 'half_open->closed']);
+    assert.equal(guard.getStates()[0].state, 'closed');
+});
+
+test('only one trial call runs while the breaker is half-open', async () => {
+    const guard = createGuard({ maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 10 });
+    await assert.rejects(guard.call('tts', provider, async () => {
+        throw httpError(503);
+    }));
+    await delay(20);
+
+    let finishTrial;
+    const trial = guard.call('tts', provider, () => new Promise(resolve => {
+        finishTrial = resolve;
+    }));
+    await assert.rejects(guard.call('tts', provider, async () => 'audio'), { code: 'CIRCUIT_OPEN' });
+    finishTrial('audio');
+    assert.equal(await trial, 'audio');
+    assert.equal(await guard.call('tts', provider, async () => 'audio'), 'audio');
+});
+
+test('each stage, provider and model has its own breaker', async () => {
+    const guard = createGuard({ maxRetries: 0, failureThreshold: 1 });
+    await assert.rejects(guard.call('stt', provider, async () => {
+        throw httpError(503);
+    }));
+    assert.equal(await guard.call('tts', provider, async () => 'audio'), 'audio');
+    assert.equal(await guard.call('stt', { ...provider, model: 'other' }, async () => 'text'), 'text');
+    assert.deepEqual(guard.getStates().map(({ stage, model, state }) => [stage, model, state]), [
+        ['stt', 'test', 'open'],
+        ['tts', 'test', 'closed'],
+        ['stt', 'other', 'closed']
+    ]);
+});
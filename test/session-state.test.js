@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_STATE_TIMEOUTS, initSessionState, transitionSession, getConferenceStatus, getExpiry
+} from '../lib/session-state.js';
+
+const start = new Date('2024-05-01T10:00:00.000Z');
+
+function createSession(status = 'created') {
+    return initSessionState({ sessionId: 's1', createdAt: start.toISOString() }, status, start);
+}
+
+function later(ms) {
+    return new Date(start.getTime() + ms);
+}
+
+test('allowed changes are recorded in the status history', () => {
+    const session = createSession();
+    assert.equal(transitionSession(session, 'phone_calling', null, later(1000)), true);
+    assert.equal(transitionSession(session, 'phone_in_conference', 'joined', later(2000)), true);
+    assert.equal(session.status, 'phone_in_conference');
+    assert.equal(session.statusChangedAt, later(2000).toISOString());
+    assert.deepEqual(session.statusHistory.map(entry => [entry.status, entry.reason ?? null]), [
+        ['created', null], ['phone_calling', null], ['phone_in_conference', 'joined']
+    ]);
+    // Moving to the current status is not a change
+    assert.equal(transitionSession(session, 'phone_in_conference'), false);
+    assert.equal(session.statusHistory.length, 3);
+});
+
+test('changes the machine does not allow are ignored', () => {
+    const session = createSession();
+    assert.equal(transitionSession(session, 'conference_active'), false);
+    assert.equal(transitionSession(session, 'not_a_status'), false);
+    assert.equal(session.status, 'created');
+    assert.equal(session.statusHistory.length, 1);
+
+    const queued = createSession('queued');
+    assert.equal(transitionSession(queued, 'phone_calling'), false);
+    assert.equal(queued.status, 'queued');
+});
+
+test('an ended session keeps its end reason and cannot change again', () => {
+    const session = createSession('phone_calling');
+    assert.equal(transitionSession(session, 'call_ended', 'no-answer', later(5000)), true);
+    assert.equal(session.endReason, 'no-answer');
+    assert.equal(session.endedAt, later(5000).toISOString());
+
+    for (const status of ['created', 'phone_calling', 'conference_active', 'conference_ended']) {
+        assert.equal(transitionSession(session, status, 'late'), false);
+    }
+    assert.equal(session.status, 'call_ended');
+    assert.equal(session.endReason, 'no-answer');
+
+    const withoutReason = createSession();
+    transitionSession(withoutReason, 'conference_ended');
+    assert.equal(withoutReason.endReason, 'conference_ended');
+});
+
+test('the conference status follows who is in the conference', () => {
+    const phone = { kind: 'phone', conferenceJoinedAt: start.toISOString() };
+    const web = { kind: 'web', conferenceJoinedAt: start.toISOString() };
+    assert.equal(getConferenceStatus({ participants: {} }), null);
+    assert.equal(getConferenceStatus({ participants: { phone } }), 'phone_in_conference');
+    assert.equal(getConferenceStatus({ participants: { web } }), 'web_joined');
+    assert.equal(getConferenceStatus({ participants: { phone, web } }), 'conference_active');
+    assert.equal(getConferenceStatus({ participants: { phone, web: { ...web, leftAt: start.toISOString() } } }), 'phone_in_conference');
+    // Called but not in the conference yet
+    assert.equal(getConferenceStatus({ participants: { phone, web: { kind: 'web', callSid: 'CA1' } } }), 'phone_in_conference');
+});
+
+test('live sessions are ended when they outstay their status or the maximum duration', () => {
+    const ringing = createSession('phone_calling');
+    const ringTimeout = DEFAULT_STATE_TIMEOUTS.phone_calling;
+    assert.equal(getExpiry(ringing, DEFAULT_STATE_TIMEOUTS, later(ringTimeout - 1).getTime()), null);
+    assert.deepEqual(getExpiry(ringing, DEFAULT_STATE_TIMEOUTS, later(ringTimeout).getTime()), { action: 'end', reason: 'ring_timeout' });
+
+    // The active conference has no status timeout, only the maximum duration
+    const active = createSession('conference_active');
+    assert.equal(getExpiry(active, DEFAULT_STATE_TIMEOUTS, later(60 * 60 * 1000).getTime()), null);
+    transitionSession(active, 'web_joining', null, later(DEFAULT_STATE_TIMEOUTS.maxDuration - 1000));
+    assert.deepEqual(getExpiry(active, DEFAULT_STATE_TIMEOUTS, later(DEFAULT_STATE_TIMEOUTS.maxDuration).getTime()),
+        { action: 'end', reason: 'max_duration' });
+});
+
+test('ended sessions are removed once their retention has passed', () => {
+    const session = createSession('phone_calling');
+    transitionSession(session, 'call_ended', 'completed', later(1000));
+    const endedAt = 1000;
+    assert.equal(getExpiry(session, DEFAULT_STATE_TIMEOUTS, later(endedAt + DEFAULT_STATE_TIMEOUTS.retention - 1).getTime()), null);
+    assert.deepEqual(getExpiry(session, DEFAULT_STATE_TIMEOUTS, later(endedAt + DEFAULT_STATE_TIMEOUTS.retention).getTime()),
+        { action: 'remove' });
+    // Past the maximum duration an ended session is still only removed
+    assert.deepEqual(getExpiry(session, DEFAULT_STATE_TIMEOUTS, later(DEFAULT_STATE_TIMEOUTS.maxDuration * 2).getTime()),
+        { action: 'remove' });
+    // Custom timeouts replace the defaults
+    assert.equal(getExpiry(session, { ...DEFAULT_STATE_TIMEOUTS, retention: 10 * 60 * 1000 }, later(endedAt + 60 * 1000).getTime()), null);
+});
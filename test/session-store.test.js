@@ -0,0 +1,109 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSessionStore, createSessionStore } from '../lib/session-store.js';
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-sessions-'));
+    filePath = path.join(dir, 'sessions.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function readOperations() {
+    return fs.readFileSync(filePath, 'utf8').trimEnd().split('\n').map(line => JSON.parse(line));
+}
+
+async function reopen(options = {}) {
+    const store = createFileSessionStore(filePath, options);
+    const loaded = await store.load();
+    return { store, loaded };
+}
+
+test('sessions are replayed from the log after a restart', async () => {
+    const store = createFileSessionStore(filePath);
+    await store.load();
+    const first = { sessionId: 'a', status: 'created', streams: new Map([['x', 1]]) };
+    store.set('a', first);
+    store.set('b', { sessionId: 'b', status: 'created' });
+    first.status = 'conference_active';
+    store.save(first);
+    store.delete('b');
+    await store.flush();
+
+    const { store: restarted, loaded } = await reopen();
+    assert.deepEqual(loaded, [{ sessionId: 'a', status: 'conference_active' }]);
+    assert.equal(restarted.get('a').status, 'conference_active');
+    assert.equal(restarted.has('b'), false);
+    assert.equal(restarted.size, 1);
+});
+
+test('a torn last line is skipped and dropped from the log on load', async () => {
+    fs.writeFileSync(filePath, [
+        JSON.stringify({ op: 'put', session: { sessionId: 'a', status: 'created' } }),
+        JSON.stringify({ op: 'put', session: { sessionId: 'a', status: 'phone_calling' } }),
+        '{"op":"put","session":{"sessionId":"b","sta'
+    ].join('\n'));
+
+    const { loaded } = await reopen();
+    assert.deepEqual(loaded, [{ sessionId: 'a', status: 'phone_calling' }]);
+    assert.deepEqual(readOperations(), [{ op: 'put', session: { sessionId: 'a', status: 'phone_calling' } }]);
+});
+
+test('saves are coalesced into one put per session', async () => {
+    const store = createFileSessionStore(filePath, { saveDelayMs: 60000 });
+    await store.load();
+    const session = { sessionId: 'a', count: 0 };
+    store.set('a', session);
+    await store.flush();
+
+    for (let i = 1; i <= 5; i++) {
+        session.count = i;
+        store.save(session);
+    }
+    // Objects the store does not hold are not saved
+    store.save({ sessionId: 'a', count: -1 });
+    await store.flush();
+
+    assert.deepEqual(readOperations().map(operation => operation.session.count), [0, 5]);
+});
+
+test('the log is compacted once it outgrows the live sessions, and replays the same', async () => {
+    const store = createFileSessionStore(filePath, { compactMinBytes: 1, compactRatio: 2, saveDelayMs: 0 });
+    await store.load();
+    const session = { sessionId: 'a', transcript: [] };
+    store.set('a', session);
+    store.set('b', { sessionId: 'b', transcript: ['kept'] });
+    await store.flush();
+
+    for (let i = 0; i < 20; i++) {
+        session.transcript.push(`line ${i}`);
+        store.save(session);
+        await store.flush();
+    }
+    store.delete('b');
+    await store.flush();
+
+    // Never more than twice the live data plus the put that tipped it over
+    const liveBytes = Buffer.byteLength(JSON.stringify({ op: 'put', session }) + '\n');
+    assert.ok(fs.statSync(filePath).size <= liveBytes * 3, `log is ${fs.statSync(filePath).size} bytes`);
+
+    const { loaded } = await reopen();
+    assert.deepEqual(loaded, [session]);
+    assert.deepEqual(readOperations(), [{ op: 'put', session }]);
+});
+
+test('the memory store persists nothing and unknown stores are rejected', async () => {
+    const store = createSessionStore({ kind: 'memory' });
+    store.set('a', { sessionId: 'a' });
+    assert.equal(store.get('a').sessionId, 'a');
+    assert.deepEqual(await store.load(), []);
+    assert.throws(() => createSessionStore({ kind: 'redis' }), /Unknown session store: redis/);
+});
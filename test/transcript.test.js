@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    formatTranscript, getTranscriptRecord, getSpeakerLabel, archiveTranscript, loadArchivedTranscript
+} from '../lib/transcript.js';
+
+const record = getTranscriptRecord({
+    sessionId: 'session-1',
+    ownerId: 'u1',
+    callStartedAt: '2024-05-01T10:00:00.000Z',
+    languages: { phone: 'en', web: 'es' },
+    transcript: [
+        {
+            type: 'utterance', utteranceId: 'u-1', speaker: 'phone', sourceLanguage: 'en', sourceText: 'Hello',
+            translations: { es: 'Hola' }, startOffsetMs: 1500, endOffsetMs: 3250
+        },
+        { type: 'interruption', participant: 'web', offsetMs: 3725000 },
+        {
+            type: 'utterance', utteranceId: 'u-2', speaker: 'web-2', sourceLanguage: 'es', sourceText: 'Adiós',
+            translations: { en: 'Goodbye', fr: 'Au revoir' }, startOffsetMs: 3723004, endOffsetMs: 3725000
+        }
+    ]
+});
+
+// An utterance whose text tries to end its cue and inject markup
+const hostile = {
+    ...record,
+    entries: [{
+        type: 'utterance', speaker: '<b>phone</b>', sourceLanguage: 'en', sourceText: 'a --> b & <i>c</i>\n\n99\nd',
+        translations: { es: 'x > y' }, startOffsetMs: 0, endOffsetMs: 1000
+    }]
+};
+
+test('speaker labels name callers and agents with their index', () => {
+    assert.equal(getSpeakerLabel('phone'), 'Caller');
+    assert.equal(getSpeakerLabel('web-3'), 'Agent 3');
+    assert.equal(getSpeakerLabel('guest'), 'guest');
+});
+
+test('WebVTT has one cue per utterance with voice tags and millisecond timestamps', () => {
+    assert.equal(formatTranscript(record, 'vtt'), [
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:01.500 --> 00:00:03.250',
+        '<v Caller>[en] Hello',
+        '[es] Hola',
+        '',
+        '2',
+        '01:02:03.004 --> 01:02:05.000',
+        '<v Agent 2>[es] Adiós',
+        '[en] Goodbye',
+        '[fr] Au revoir',
+        ''
+    ].join('\n'));
+});
+
+test('SRT numbers its cues and uses a comma before the milliseconds', () => {
+    assert.equal(formatTranscript(record, 'srt'), [
+        '1',
+        '00:00:01,500 --> 00:00:03,250',
+        'Caller: [en] Hello',
+        '[es] Hola',
+        '',
+        '2',
+        '01:02:03,004 --> 01:02:05,000',
+        'Agent 2: [es] Adiós',
+        '[en] Goodbye',
+        '[fr] Au revoir',
+        ''
+    ].join('\n'));
+});
+
+test('plain text lists utterances and interruptions with their offsets', () => {
+    assert.equal(formatTranscript(record, 'txt'), [
+        'Session: session-1',
+        'Call started: 2024-05-01T10:00:00.000Z',
+        '',
+        '[00:00:01] Caller (en): Hello',
+        '                  (es): Hola',
+        '[01:02:05] -- Agent interrupted translated playback --',
+        '[01:02:03] Agent 2 (es): Adiós',
+        '                   (en): Goodbye',
+        '                   (fr): Au revoir',
+        ''
+    ].join('\n'));
+    assert.deepEqual(JSON.parse(formatTranscript(record, 'json')), record);
+});
+
+test('cue text is escaped so it cannot end a cue or add markup', () => {
+    assert.equal(formatTranscript(hostile, 'vtt'), [
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:00.000 --> 00:00:01.000',
+        '<v &lt;b&gt;phone&lt;/b&gt;>[en] a --&gt; b &amp; &lt;i&gt;c&lt;/i&gt; 99 d',
+        '[es] x &gt; y',
+        ''
+    ].join('\n'));
+    const srt = formatTranscript(hostile, 'srt');
+    assert.equal(srt.split('-->').length, 2);
+    assert.ok(srt.includes('&lt;b&gt;phone&lt;/b&gt;: [en] a --&gt; b &amp; &lt;i&gt;c&lt;/i&gt; 99 d\n'));
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => formatTranscript(record, 'docx'), /Unsupported transcript format: docx/);
+});
+
+test('transcripts are archived and loaded by session ID', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-transcripts-'));
+    process.env.TRANSCRIPT_DIR = dir;
+    t.after(() => {
+        delete process.env.TRANSCRIPT_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    assert.equal(await archiveTranscript({ sessionId: 'empty', transcript: [] }), false);
+    assert.equal(await archiveTranscript({ sessionId: 'session-1', ...record, transcript: record.entries }), true);
+    assert.deepEqual(await loadArchivedTranscript('session-1'), record);
+    assert.equal(await loadArchivedTranscript('missing'), null);
+    assert.equal(await loadArchivedTranscript('../session-1'), null);
+});
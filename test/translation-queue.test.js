@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranslationQueue } from '../lib/translation-queue.js';
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A queue whose jobs stay running until the test finishes them by id
+function createControlledQueue(options = {}) {
+    const started = [];
+    const pending = new Map();
+    const queue = createTranslationQueue({
+        overflow: 'drop',
+        ...options,
+        run: job => new Promise((resolve, reject) => {
+            started.push(job.id);
+            pending.set(job.id, { resolve, reject });
+        })
+    });
+
+    async function finish(id, error = null) {
+        const job = pending.get(id);
+        pending.delete(id);
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve();
+        }
+        // Let the queue's finally block run and start the next job
+        await delay(0);
+    }
+
+    return { queue, started, finish };
+}
+
+test('one participant\'s jobs run one at a time in order', async () => {
+    const { queue, started, finish } = createControlledQueue();
+    queue.enqueue('s1/phone', 's1', { id: 'a' });
+    queue.enqueue('s1/phone', 's1', { id: 'b' });
+    queue.enqueue('s1/phone', 's1', { id: 'c' });
+
+    assert.deepEqual(started, ['a']);
+    assert.deepEqual(queue.getDepth('s1'), { queued: 2, running: 1 });
+    await finish('a');
+    assert.deepEqual(started, ['a', 'b']);
+    // A failed job does not stall the queue
+    await finish('b', new Error('provider down'));
+    assert.deepEqual(started, ['a', 'b', 'c']);
+    await finish('c');
+    assert.deepEqual(queue.getDepth(), { queued: 0, running: 0 });
+    assert.deepEqual(queue.getQueueDepths(), []);
+});
+
+test('participants run side by side up to the per-session limit', async () => {
+    const { queue, started, finish } = createControlledQueue({ maxConcurrentPerSession: 2 });
+    queue.enqueue('s1/phone', 's1', { id: 'phone' });
+    queue.enqueue('s1/web', 's1', { id: 'web' });
+    queue.enqueue('s1/guest', 's1', { id: 'guest' });
+    queue.enqueue('s2/phone', 's2', { id: 'other' });
+
+    assert.deepEqual(started, ['phone', 'web', 'other']);
+    await finish('phone');
+    assert.deepEqual(started, ['phone', 'web', 'other', 'guest']);
+});
+
+test('queues take turns for a free global slot', async () => {
+    const { queue, started, finish } = createControlledQueue({ maxConcurrent: 1 });
+    queue.enqueue('s1/phone', 's1', { id: 'a1' });
+    queue.enqueue('s1/phone', 's1', { id: 'a2' });
+    queue.enqueue('s2/phone', 's2', { id: 'b1' });
+    queue.enqueue('s2/phone', 's2', { id: 'b2' });
+
+    await finish('a1');
+    await finish('b1');
+    await finish('a2');
+    assert.deepEqual(started, ['a1', 'b1', 'a2', 'b2']);
+});
+
+test('the drop policy discards stale waiting jobs and keeps the newest', async () => {
+    const overflows = [];
+    const { queue, started, finish } = createControlledQueue({
+        maxBacklogMs: 20,
+        onOverflow: (queueKey, { action, jobs }) => overflows.push([queueKey, action, jobs.map(job => job.id)])
+    });
+    queue.enqueue('s1/phone', 's1', { id: 'a' });
+    queue.enqueue('s1/phone', 's1', { id: 'b' });
+    queue.enqueue('s1/phone', 's1', { id: 'c' });
+    await delay(40);
+    queue.enqueue('s1/phone', 's1', { id: 'd' });
+
+    assert.deepEqual(overflows, [['s1/phone', 'dropped', ['b', 'c']]]);
+    await finish('a');
+    assert.deepEqual(started, ['a', 'd']);
+});
+
+test('the merge policy combines stale waiting jobs into one', async () => {
+    const overflows = [];
+    const { queue, started, finish } = createControlledQueue({
+        overflow: 'merge',
+        maxBacklogMs: 20,
+        merge: jobs => ({ id: jobs.map(job => job.id).join('+') }),
+        onOverflow: (queueKey, { action, jobs }) => overflows.push([action, jobs.map(job => job.id)])
+    });
+    queue.enqueue('s1/phone', 's1', { id: 'a' });
+    queue.enqueue('s1/phone', 's1', { id: 'b' });
+    queue.enqueue('s1/phone', 's1', { id: 'c' });
+    await delay(40);
+    queue.enqueue('s1/phone', 's1', { id: 'd' });
+
+    assert.deepEqual(overflows, [['merged', ['b', 'c', 'd']]]);
+    await finish('a');
+    assert.deepEqual(started, ['a', 'b+c+d']);
+});
+
+test('clearing a session discards its waiting jobs only', async () => {
+    const discarded = [];
+    const { queue, started, finish } = createControlledQueue({
+        onDiscard: (job, reason) => discarded.push([job.id, reason])
+    });
+    queue.enqueue('s1/phone', 's1', { id: 'a' });
+    queue.enqueue('s1/phone', 's1', { id: 'b' });
+    queue.enqueue('s1/web', 's1', { id: 'c' });
+    queue.enqueue('s1/web', 's1', { id: 'd' });
+    queue.enqueue('s2/phone', 's2', { id: 'e' });
+    queue.enqueue('s2/phone', 's2', { id: 'f' });
+
+    assert.equal(queue.clearSession('s1', 'ended'), 2);
+    assert.deepEqual(discarded, [['b', 'ended'], ['d', 'ended']]);
+    assert.deepEqual(queue.getDepth('s1'), { queued: 0, running: 2 });
+    assert.equal(queue.clear('s3/phone', 'ended'), 0);
+
+    await finish('a');
+    await finish('e');
+    assert.deepEqual(started, ['a', 'c', 'e', 'f']);
+});
+
+test('unknown or incomplete overflow settings are rejected', () => {
+    assert.throws(() => createTranslationQueue({ overflow: 'block', run() {} }), /Unknown overflow policy: block/);
+    assert.throws(() => createTranslationQueue({ overflow: 'merge', run() {} }), /needs a merge\(jobs\) option/);
+});
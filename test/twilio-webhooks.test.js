@@ -0,0 +1,98 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import twilio from 'twilio';
+import {
+    validateTwilioRequest, createMediaStreamToken, verifyMediaStreamToken
+} from '../lib/twilio-webhooks.js';
+
+const AUTH_TOKEN = 'test-auth-token';
+const params = { CallSid: 'CA123', CallStatus: 'completed' };
+
+afterEach(() => {
+    for (const name of ['TWILIO_AUTH_TOKEN', 'TWILIO_VALIDATE_SIGNATURES', 'PUBLIC_BASE_URL']) {
+        delete process.env[name];
+    }
+});
+
+// An Express-like request as it reaches the server, and what Twilio signed
+function createRequest({ headers = {}, body = params, protocol = 'http', originalUrl = '/call-status?session=s1' } = {}) {
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+        protocol,
+        originalUrl,
+        path: originalUrl.split('?')[0],
+        body,
+        get: name => lowerCased[name.toLowerCase()]
+    };
+}
+
+function sign(url, body = params) {
+    return twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, body);
+}
+
+// Run the middleware and report whether it passed the request on or what it replied
+function validate(req) {
+    let result = null;
+    const res = {
+        status(code) {
+            return { send: body => { result = { status: code, body }; } };
+        }
+    };
+    validateTwilioRequest(req, res, () => { result = { next: true }; });
+    return result;
+}
+
+test('a webhook signed for its public https URL is accepted', () => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    const signature = sign('https://relay.example.com/call-status?session=s1');
+    assert.deepEqual(validate(createRequest({ headers: { Host: 'relay.example.com', 'X-Twilio-Signature': signature } })), { next: true });
+});
+
+test('signatures are checked against forwarded and configured public URLs', () => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    const forwarded = sign('https://public.example.com/call-status?session=s1');
+    assert.deepEqual(validate(createRequest({
+        headers: { Host: 'internal:3000', 'X-Forwarded-Proto': 'https, http', 'X-Forwarded-Host': 'public.example.com', 'X-Twilio-Signature': forwarded }
+    })), { next: true });
+
+    process.env.PUBLIC_BASE_URL = 'https://calls.example.com/relay/';
+    const configured = sign('https://calls.example.com/relay/call-status?session=s1');
+    assert.deepEqual(validate(createRequest({ headers: { Host: 'internal:3000', 'X-Twilio-Signature': configured } })), { next: true });
+});
+
+test('unsigned, forged and tampered webhooks are rejected', () => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    const url = 'https://relay.example.com/call-status?session=s1';
+    const headers = { Host: 'relay.example.com' };
+
+    assert.deepEqual(validate(createRequest({ headers })), { status: 403, body: 'Missing Twilio signature' });
+    const forged = twilio.getExpectedTwilioSignature('someone-elses-token', url, params);
+    assert.deepEqual(validate(createRequest({ headers: { ...headers, 'X-Twilio-Signature': forged } })),
+        { status: 403, body: 'Invalid Twilio signature' });
+    // The body was changed after signing
+    assert.deepEqual(validate(createRequest({
+        headers: { ...headers, 'X-Twilio-Signature': sign(url) },
+        body: { ...params, CallStatus: 'in-progress' }
+    })), { status: 403, body: 'Invalid Twilio signature' });
+    // The signature was for another session
+    assert.deepEqual(validate(createRequest({
+        headers: { ...headers, 'X-Twilio-Signature': sign('https://relay.example.com/call-status?session=s2') }
+    })), { status: 403, body: 'Invalid Twilio signature' });
+});
+
+test('validation can be turned off, but not left without an auth token', () => {
+    assert.deepEqual(validate(createRequest({ headers: { 'X-Twilio-Signature': 'x' } })),
+        { status: 500, body: 'Webhook validation is not configured' });
+    process.env.TWILIO_VALIDATE_SIGNATURES = 'false';
+    assert.deepEqual(validate(createRequest()), { next: true });
+});
+
+test('media stream tokens match only their own session', () => {
+    const session = { mediaStreamToken: createMediaStreamToken() };
+    assert.equal(verifyMediaStreamToken(session, session.mediaStreamToken), true);
+    assert.equal(verifyMediaStreamToken(session, createMediaStreamToken()), false);
+    assert.equal(verifyMediaStreamToken(session, session.mediaStreamToken.slice(1)), false);
+    assert.equal(verifyMediaStreamToken(session, undefined), false);
+    assert.equal(verifyMediaStreamToken({}, 'anything'), false);
+    assert.equal(verifyMediaStreamToken(undefined, session.mediaStreamToken), false);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    createUsage, meterUsage, addUsage, mergeUsage, loadRates, getUsageDay, createUsageLedger, DEFAULT_RATES
+} from '../lib/usage.js';
+
+test('provider calls are metered at their model\'s rate', () => {
+    const stt = meterUsage({ stage: 'stt', provider: 'openai', model: 'whisper-1', audioSeconds: 90 });
+    assert.equal(stt.audioSeconds, 90);
+    assert.equal(stt.cost, 0.009);
+
+    const translation = meterUsage({ stage: 'translation', provider: 'openai', model: 'gpt-4o', inputTokens: 1000, outputTokens: 500 });
+    assert.equal(translation.cost, 0.0075);
+
+    const tts = meterUsage({ stage: 'tts', provider: 'openai', model: 'tts-1', characters: 1000 });
+    assert.equal(tts.cost, 0.015);
+});
+
+test('call legs are billed in whole minutes', () => {
+    const leg = meterUsage({ stage: 'twilio', provider: 'twilio', model: 'phone', seconds: 61.4 });
+    assert.equal(leg.seconds, 61);
+    assert.equal(leg.minutes, 2);
+    assert.equal(leg.cost, 0.028);
+    assert.equal(meterUsage({ stage: 'twilio', provider: 'twilio', model: 'client', seconds: 0 }).minutes, 0);
+});
+
+test('unpriced models cost nothing and unknown stages are rejected', () => {
+    const entry = meterUsage({ stage: 'tts', provider: 'mock', model: 'tone', characters: 500 });
+    assert.equal(entry.characters, 500);
+    assert.equal(entry.cost, 0);
+    assert.equal(meterUsage({ stage: 'stt', provider: 'openai', model: 'whisper-1', audioSeconds: -3 }).audioSeconds, 0);
+    assert.throws(() => meterUsage({ stage: 'vision', provider: 'openai', model: 'gpt-4o' }), /Unknown usage stage: vision/);
+});
+
+test('entries add up in a usage record', () => {
+    const usage = createUsage();
+    addUsage(usage, meterUsage({ stage: 'stt', provider: 'openai', model: 'whisper-1', audioSeconds: 1.2345 }));
+    addUsage(usage, meterUsage({ stage: 'stt', provider: 'openai', model: 'whisper-1', audioSeconds: 2 }));
+    addUsage(usage, meterUsage({ stage: 'translation', provider: 'openai', model: 'gpt-4o-mini', inputTokens: 100, outputTokens: 50 }));
+    addUsage(usage, meterUsage({ stage: 'twilio', provider: 'twilio', model: 'phone', seconds: 30 }));
+
+    assert.deepEqual(usage.stt, { requests: 2, audioSeconds: 3.235 });
+    assert.deepEqual(usage.translation, { requests: 1, inputTokens: 100, outputTokens: 50 });
+    assert.deepEqual(usage.twilio, { legs: 1, seconds: 30, minutes: 1 });
+    assert.equal(usage.cost.total, usage.cost.stt + usage.cost.translation + usage.cost.twilio);
+});
+
+test('usage records merge field by field', () => {
+    const first = addUsage(createUsage(), meterUsage({ stage: 'tts', provider: 'openai', model: 'tts-1', characters: 100 }));
+    const second = addUsage(createUsage(), meterUsage({ stage: 'tts', provider: 'openai', model: 'tts-1-hd', characters: 100 }));
+    const total = mergeUsage([first, second, {}]);
+    assert.deepEqual(total.tts, { requests: 2, characters: 200 });
+    assert.equal(total.cost.tts, 0.0045);
+    assert.equal(total.cost.total, 0.0045);
+});
+
+test('USAGE_RATES overrides and adds rates', (t) => {
+    t.after(() => {
+        delete process.env.USAGE_RATES;
+    });
+    assert.deepEqual(loadRates(), DEFAULT_RATES);
+
+    process.env.USAGE_RATES = JSON.stringify({ 'openai/tts-1': { perCharacter: 1 }, 'acme/speech': { perCharacter: 2 } });
+    const rates = loadRates();
+    assert.equal(rates['openai/tts-1'].perCharacter, 1);
+    assert.equal(rates['acme/speech'].perCharacter, 2);
+    assert.equal(rates['openai/whisper-1'], DEFAULT_RATES['openai/whisper-1']);
+
+    process.env.USAGE_RATES = '[]';
+    assert.throws(loadRates, /USAGE_RATES must be a JSON object/);
+});
+
+test('usage days are UTC dates', () => {
+    assert.equal(getUsageDay(new Date('2024-03-01T23:30:00-05:00')), '2024-03-02');
+});
+
+test('the ledger totals days and users, persists them and prunes old days', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-usage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'usage.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        days: { '2000-01-01': { total: createUsage(), users: {} } },
+        sessions: {}
+    }));
+
+    const ledger = createUsageLedger({ path: filePath, retentionDays: 30 });
+    const today = getUsageDay();
+    ledger.record(meterUsage({ stage: 'tts', provider: 'openai', model: 'tts-1', characters: 1000 }), 'agent-1');
+    ledger.record(meterUsage({ stage: 'tts', provider: 'openai', model: 'tts-1', characters: 2000 }));
+    ledger.recordSession({ sessionId: 's1', ownerId: 'agent-1', createdAt: new Date().toISOString(), usage: createUsage() });
+    ledger.recordSession({ sessionId: 's2' });
+
+    assert.equal(ledger.getCost(today), 0.045);
+    assert.equal(ledger.getCost(today, 'agent-1'), 0.015);
+    assert.equal(ledger.getCost(today, 'unassigned'), 0.03);
+    assert.equal(ledger.getCost('1999-12-31'), 0);
+    assert.deepEqual(ledger.getDays('2000-01-01', '2000-01-01').map(({ day }) => day), ['2000-01-01']);
+
+    // Writes are coalesced for a second; flush writes straight away
+    await ledger.flush();
+
+    const reloaded = createUsageLedger({ path: filePath, retentionDays: 30 });
+    assert.deepEqual(reloaded.getDays().map(({ day }) => day), [today]);
+    assert.equal(reloaded.getCost(today), 0.045);
+    assert.equal(reloaded.getSession('s1').ownerId, 'agent-1');
+    assert.equal(reloaded.getSession('s2'), null);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUtteranceSegmenter } from '../lib/vad.js';
+import { decodeMulawSample, encodeMulaw } from '../lib/audio.js';
+
+const FRAME_BYTES = 160; // 20ms at 8kHz
+
+function tone(ms, amplitude = 8000) {
+    const samples = new Int16Array(ms * 8);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.round(amplitude * Math.sin(i * 0.3));
+    }
+    return encodeMulaw(samples);
+}
+
+function silence(ms) {
+    return encodeMulaw(new Int16Array(ms * 8));
+}
+
+function createSegmenter(options = {}) {
+    return createUtteranceSegmenter({ decodeSample: decodeMulawSample, ...options });
+}
+
+test('silence produces no utterances', () => {
+    const segmenter = createSegmenter();
+    assert.deepEqual(segmenter.push(silence(3000)), []);
+    assert.equal(segmenter.inSpeech, false);
+    assert.deepEqual(segmenter.flush(), []);
+});
+
+test('speech between pauses becomes one utterance with pre-roll and a short tail', () => {
+    const speechStarts = [];
+    const segmenter = createSegmenter({ onSpeechStart: offsetMs => speechStarts.push(offsetMs) });
+
+    assert.deepEqual(segmenter.push(Buffer.concat([silence(500), tone(1000)])), []);
+    assert.equal(segmenter.inSpeech, true);
+    const [utterance, ...rest] = segmenter.push(silence(1000));
+
+    assert.deepEqual(rest, []);
+    assert.equal(utterance.reason, 'silence');
+    // 200ms of pre-roll before the onset at 500ms, and 200ms of the trailing silence
+    assert.equal(utterance.startOffsetMs, 300);
+    assert.equal(utterance.durationMs, 1400);
+    assert.equal(utterance.endOffsetMs, 1700);
+    assert.equal(utterance.audio.length, 1400 * 8);
+    assert.deepEqual(speechStarts, [300]);
+    assert.equal(segmenter.inSpeech, false);
+});
+
+test('pauses shorter than silenceMs do not split an utterance', () => {
+    const segmenter = createSegmenter();
+    const completed = segmenter.push(Buffer.concat([tone(400), silence(400), tone(400), silence(1000)]));
+    assert.equal(completed.length, 1);
+    assert.equal(completed[0].startOffsetMs, 0);
+    assert.equal(completed[0].durationMs, 1400);
+});
+
+test('bursts shorter than minUtteranceMs are dropped', () => {
+    const segmenter = createSegmenter();
+    assert.deepEqual(segmenter.push(Buffer.concat([silence(200), tone(100), silence(1000)])), []);
+});
+
+test('long speech is cut at maxUtteranceMs', () => {
+    const segmenter = createSegmenter({ maxUtteranceMs: 1000 });
+    const completed = segmenter.push(tone(2500));
+    assert.deepEqual(completed.map(utterance => [utterance.reason, utterance.startOffsetMs, utterance.durationMs]), [
+        ['max_length', 0, 1000],
+        ['max_length', 1000, 1000]
+    ]);
+});
+
+test('results do not depend on how the audio is chunked', () => {
+    const audio = Buffer.concat([silence(300), tone(800), silence(900), tone(600), silence(900)]);
+    const whole = createSegmenter().push(audio);
+
+    const segmenter = createSegmenter();
+    const chunked = [];
+    for (let offset = 0; offset < audio.length; offset += 77) {
+        chunked.push(...segmenter.push(audio.subarray(offset, offset + 77)));
+    }
+
+    assert.equal(whole.length, 2);
+    assert.deepEqual(chunked, whole);
+});
+
+test('flush emits speech in progress, including a partial frame', () => {
+    const segmenter = createSegmenter();
+    segmenter.push(Buffer.concat([tone(600), tone(600).subarray(0, FRAME_BYTES / 2)]));
+    const [utterance] = segmenter.flush();
+    assert.equal(utterance.reason, 'flush');
+    assert.equal(utterance.audio.length, 600 * 8 + FRAME_BYTES / 2);
+    assert.deepEqual(segmenter.flush(), []);
+});
+
+test('a decodeSample function is required', () => {
+    assert.throws(() => createUtteranceSegmenter(), /requires a decodeSample function/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VOICES, getVoiceCatalog, normalizeVoiceSettings, resolveVoice } from '../lib/voices.js';
+
+test('an explicit voice wins over the gender and language defaults', () => {
+    assert.deepEqual(resolveVoice({ voice: 'fable', gender: 'female', speed: 1.25, volume: 0.5 }, 'ja'),
+        { voice: 'fable', speed: 1.25, volume: 0.5 });
+});
+
+test('without a voice, the language default for the gender is used, then a neutral voice', () => {
+    assert.equal(resolveVoice({ gender: 'female' }, 'en').voice, 'nova');
+    assert.equal(resolveVoice({ gender: 'female' }, 'ja').voice, 'shimmer');
+    assert.equal(resolveVoice({ gender: 'male' }, 'zh').voice, 'echo');
+    // Languages without their own defaults fall back to the general ones
+    assert.equal(resolveVoice({ gender: 'male' }, 'ja').voice, 'onyx');
+    assert.deepEqual(resolveVoice(undefined, 'es'), { voice: 'alloy', speed: 1, volume: 1 });
+    assert.equal(resolveVoice({}, 'unknown').voice, 'alloy');
+});
+
+test('voice settings are validated and given a default speed and volume', () => {
+    assert.deepEqual(normalizeVoiceSettings(), { speed: 1, volume: 1 });
+    assert.deepEqual(normalizeVoiceSettings({ voice: 'nova', gender: 'female', speed: '1.5', volume: 2 }),
+        { speed: 1.5, volume: 2, voice: 'nova', gender: 'female' });
+
+    assert.throws(() => normalizeVoiceSettings(null, 'voices.phone'), /voices\.phone must be an object/);
+    assert.throws(() => normalizeVoiceSettings({ voice: 'robot' }), /voice\.voice must be one of: alloy/);
+    assert.throws(() => normalizeVoiceSettings({ gender: 'other' }), /voice\.gender must be one of/);
+    assert.throws(() => normalizeVoiceSettings({ speed: 3 }), /voice\.speed must be between 0\.5 and 2/);
+    assert.throws(() => normalizeVoiceSettings({ volume: 'loud' }), /voice\.volume must be between 0\.1 and 2/);
+});
+
+test('the catalog offers every voice with per-language defaults', () => {
+    const catalog = getVoiceCatalog(['en', 'ko']);
+    assert.deepEqual(Object.keys(catalog), ['en', 'ko']);
+    assert.equal(catalog.en.voices.length, Object.keys(VOICES).length);
+    assert.deepEqual(catalog.en.voices[0], { id: 'alloy', gender: 'neutral', description: 'Balanced, neutral' });
+    assert.deepEqual(catalog.en.defaults, { female: 'nova', male: 'onyx', neutral: 'alloy' });
+    assert.deepEqual(catalog.ko.defaults, { female: 'shimmer', male: 'onyx', neutral: 'alloy' });
+});